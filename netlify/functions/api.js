@@ -6,19 +6,27 @@ import cookieParser from "cookie-parser";
 import cors from "cors";
 
 // Import route files
-import adminAuthRoutes from "../../routes/admin-auth.js";
+import authRoutes from "../../routes/auth.js";
 import runRoutes from "../../routes/run.js";
 import reportRoutes from "../../routes/report.js";
 import adminRoutes from "../../routes/admin.js";
 import dashboardRoutes from "../../routes/dashboard.js";
-import loginRoutes from "../../routes/login.js";
 import zoneRoutes from "../../routes/zone.js";
 import userFeedRoutes from "../../routes/user-feed.js";
 import reportTrackingRoutes from "../../routes/report-tracking.js";
+import contractorRoutes from "../../routes/contractor.js";
+import bidRoutes from "../../routes/bid.js";
+import assignmentRoutes from "../../routes/assignment.js";
+import notificationRoutes from "../../routes/notification.js";
+import mediaRoutes from "../../routes/media.js";
+import { assertAuthConfig } from "../../utils/auth.js";
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start without a JWT secret
+assertAuthConfig();
+
 const app = express();
 
 // Basic middleware
@@ -39,15 +47,19 @@ app.use((req, res, next) => {
 });
 
 // Routes with /api prefix removed since Netlify will handle that
-app.use("/auth", adminAuthRoutes);
+app.use("/auth", authRoutes);
 app.use("/run", runRoutes);
 app.use("/reports", reportRoutes);
 app.use("/admin", adminRoutes);
 app.use("/dashboard", dashboardRoutes);
-app.use("/login", loginRoutes);
 app.use("/zones", zoneRoutes);
 app.use("/feed", userFeedRoutes);
 app.use("/track", reportTrackingRoutes);
+app.use("/contractors", contractorRoutes);
+app.use("/bids", bidRoutes);
+app.use("/assignments", assignmentRoutes);
+app.use("/notifications", notificationRoutes);
+app.use("/media", mediaRoutes);
 
 // Health check endpoint
 app.get("/", (req, res) => {
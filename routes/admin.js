@@ -1,13 +1,22 @@
 // Comprehensive Admin Report Management Routes
 import express from "express";
 import { PrismaClient } from "../generated/prisma/index.js";
-import { authenticate } from "./admin-auth.js";
+import { authenticate } from "../utils/auth.js";
+import { loadWardScope, buildWardFilter, requireReportWardAccess, resolveWardScope, scopeIncludesWard } from "../utils/policy.js";
+import { getMaxOfficerAdjPct, validateWeights, getScoringWeights, rescoreReportBids } from "../utils/scoring.js";
+import { awardBid, assignContractorDirectly, parseAssignmentDeadline, CURRENT_ASSIGNMENT, withCurrentAssignment } from "../utils/bidding.js";
+import { INACTIVE_REPORT_STATUSES } from "../utils/duplicates.js";
+import { MAX_MERGE_SOURCES, mergeReports, unmergeReport } from "../utils/merge.js";
+import { REPORT_STATUSES, checkTransition, sendTransitionError, getAllowedTransitions, getLifecycleGraph } from "../utils/report-lifecycle.js";
+import { notifyUsers } from "../utils/notifications.js";
+import { OPEN_APPEAL_STATUSES, decideAppeal } from "../utils/appeals.js";
+import { cancelContractorAssignments } from "../utils/penalties.js";
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
 
-router.get("/reports", authenticate(["ADMIN", "MODERATOR"]), async (req, res) => {
+router.get("/reports", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), loadWardScope, async (req, res) => {
   try {
     const {
       status,
@@ -25,22 +34,33 @@ router.get("/reports", authenticate(["ADMIN", "MODERATOR"]), async (req, res) =>
       dateTo,
       assignedTo,
       isSpam,
-      isSensitive
+      isSensitive,
+      outsideWardBoundary
     } = req.query;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
+    // Moderators and admins only see reports from their own wards
+    const wardFilter = buildWardFilter(req.wardScope, wardId);
+    if (!wardFilter) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You are not assigned to this ward."
+      });
+    }
+
     // Build comprehensive where clause
     const where = {
       ...(status && { status }),
-      ...(wardId && { wardId }),
+      ...wardFilter,
       ...(departmentId && { departmentId }),
       ...(issueTypeId && { issueTypeId }),
       ...(severity && { severity: parseInt(severity) }),
       ...(isSpam !== undefined && { isSpam: isSpam === 'true' }),
       ...(isSensitive !== undefined && { isSensitive: isSensitive === 'true' }),
+      ...(outsideWardBoundary !== undefined && { outsideWardBoundary: outsideWardBoundary === 'true' }),
       ...(assignedTo && { 
-        assignment: { contractorId: assignedTo }
+        assignments: { some: { ...CURRENT_ASSIGNMENT, contractorId: assignedTo } }
       }),
       ...(dateFrom && dateTo && {
         createdAt: {
@@ -78,7 +98,9 @@ router.get("/reports", authenticate(["ADMIN", "MODERATOR"]), async (req, res) =>
           reporter: {
             select: { id: true, name: true, verified: true }
           },
-          assignment: {
+          assignments: {
+            where: CURRENT_ASSIGNMENT,
+            take: 1,
             include: {
               contractor: {
                 select: { id: true, businessName: true, avgRating: true }
@@ -104,13 +126,13 @@ router.get("/reports", authenticate(["ADMIN", "MODERATOR"]), async (req, res) =>
       prisma.report.groupBy({
         by: ['status'],
         _count: true,
-        where: wardId ? { wardId } : {}
+        where: wardFilter
       })
     ]);
 
     // Calculate priority scores for display
     const reportsWithPriority = reports.map(report => ({
-      ...report,
+      ...withCurrentAssignment(report),
       priorityScore: (report.severity * 20) + (report.upvotes * 2) + 
                      (report._count.subscriptions * 5)
     }));
@@ -130,7 +152,7 @@ router.get("/reports", authenticate(["ADMIN", "MODERATOR"]), async (req, res) =>
           return acc;
         }, {}),
         filters: {
-          availableStatuses: Object.values(await prisma.$queryRaw`SELECT DISTINCT status FROM Report`),
+          availableStatuses: statusCounts.map(item => item.status),
           totalFiltered: total
         }
       }
@@ -149,7 +171,7 @@ router.get("/reports", authenticate(["ADMIN", "MODERATOR"]), async (req, res) =>
  * GET /api/admin/reports/:id
  * Full detail of a single report with comprehensive data
  */
-router.get("/reports/:id", authenticate(["ADMIN", "MODERATOR"]), async (req, res) => {
+router.get("/reports/:id", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireReportWardAccess(), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -162,7 +184,9 @@ router.get("/reports/:id", authenticate(["ADMIN", "MODERATOR"]), async (req, res
         reporter: {
           select: { id: true, name: true, verified: true, phone: true, email: true }
         },
-        assignment: {
+        // Every assignment, cancelled ones included, newest first
+        assignments: {
+          orderBy: { assignedAt: 'desc' },
           include: {
             contractor: {
               include: {
@@ -260,6 +284,7 @@ router.get("/reports/:id", authenticate(["ADMIN", "MODERATOR"]), async (req, res
       success: true,
       data: {
         ...report,
+        assignment: report.assignments.find(assignment => assignment.status !== "CANCELLED") || null,
         metrics
       }
     });
@@ -273,11 +298,71 @@ router.get("/reports/:id", authenticate(["ADMIN", "MODERATOR"]), async (req, res
   }
 });
 
+/**
+ * GET /api/admin/report-lifecycle
+ * The report status transition graph: every allowed move with the roles that
+ * may make it, whether a justification is needed, its preconditions and, for
+ * workflow-only moves, the endpoint that makes them
+ */
+router.get("/report-lifecycle", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getLifecycleGraph()
+    });
+
+  } catch (error) {
+    console.error("Error fetching report lifecycle:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch report lifecycle"
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reports/:id/transitions
+ * Moves the current user may make on a report from its current status
+ */
+router.get("/reports/:id/transitions", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireReportWardAccess(), async (req, res) => {
+  try {
+    const report = await prisma.report.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, status: true }
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reportId: report.id,
+        currentStatus: report.status,
+        transitions: getAllowedTransitions(report.status, { role: req.user.role })
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching report transitions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch report transitions"
+    });
+  }
+});
+
 /**
  * PATCH /api/admin/reports/:id/status
- * Update report status with mandatory justification
+ * Update report status with mandatory justification. Only moves allowed by the
+ * report lifecycle are accepted; others get a 403 (role) or 409 (report state)
+ * listing the allowed next statuses.
  */
-router.patch("/reports/:id/status", authenticate(["ADMIN", "MODERATOR"]), async (req, res) => {
+router.patch("/reports/:id/status", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireReportWardAccess(), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, justification } = req.body;
@@ -290,17 +375,11 @@ router.patch("/reports/:id/status", authenticate(["ADMIN", "MODERATOR"]), async
       });
     }
 
-    const validStatuses = [
-      "OPEN", "DUPLICATE", "MERGED", "VALIDATED", "IN_BIDDING", 
-      "ASSIGNED", "IN_PROGRESS", "PENDING_CITIZEN_REVIEW", 
-      "COMPLETED", "VERIFIED", "CLOSED", "REJECTED", "AUTO_CLOSED"
-    ];
-
-    if (!validStatuses.includes(status)) {
+    if (!REPORT_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         message: "Invalid status value",
-        validStatuses
+        validStatuses: REPORT_STATUSES
       });
     }
 
@@ -315,13 +394,33 @@ router.patch("/reports/:id/status", authenticate(["ADMIN", "MODERATOR"]), async
       });
     }
 
-    const updatedReport = await prisma.report.update({
-      where: { id },
+    const transition = await checkTransition(existingReport, status, {
+      role: req.user.role,
+      justification,
+      manual: true
+    });
+    if (!transition.ok) {
+      return sendTransitionError(res, existingReport, transition);
+    }
+
+    // Guard against a concurrent change between the check and the write
+    const { count } = await prisma.report.updateMany({
+      where: { id, status: existingReport.status },
       data: {
         status,
         updatedAt: new Date(),
         ...(status === "CLOSED" && { closedAt: new Date() })
-      },
+      }
+    });
+    if (count === 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Report status changed while updating; reload and try again"
+      });
+    }
+
+    const updatedReport = await prisma.report.findUnique({
+      where: { id },
       include: {
         issueType: true,
         ward: true,
@@ -382,12 +481,21 @@ router.patch("/reports/:id/status", authenticate(["ADMIN", "MODERATOR"]), async
 
 /**
  * PATCH /api/admin/reports/:id/assign
- * Assign report to contractor or department with mandatory justification
+ * Assign a report to a contractor directly, without bidding, with mandatory
+ * justification. Goes through the same award transaction as a bid.
+ *
+ * Body: {
+ *   contractorId: string,
+ *   amount: number,          // agreed amount
+ *   departmentId?: string,
+ *   deadline?: string,       // defaults to ASSIGNMENT_DEFAULT_DAYS from now
+ *   justification: string
+ * }
  */
-router.patch("/reports/:id/assign", authenticate(["ADMIN", "MODERATOR"]), async (req, res) => {
+router.patch("/reports/:id/assign", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireReportWardAccess(), async (req, res) => {
   try {
     const { id } = req.params;
-    const { contractorId, departmentId, deadline, justification } = req.body;
+    const { contractorId, amount, departmentId, deadline, justification } = req.body;
 
     // Justification is mandatory
     if (!justification || justification.trim().length < 10) {
@@ -397,68 +505,45 @@ router.patch("/reports/:id/assign", authenticate(["ADMIN", "MODERATOR"]), async
       });
     }
 
-    const report = await prisma.report.findUnique({
-      where: { id }
-    });
-
-    if (!report) {
-      return res.status(404).json({
+    const parsedDeadline = parseAssignmentDeadline(deadline);
+    if (!parsedDeadline.ok) {
+      return res.status(parsedDeadline.status).json({
         success: false,
-        message: "Report not found"
+        message: parsedDeadline.message
       });
     }
 
-    let updatedReport;
-    let assignmentData = {};
-    let assignmentDetails = {};
+    const result = await assignContractorDirectly(id, {
+      contractorId,
+      amount,
+      actor: req.user,
+      justification,
+      deadlineAt: parsedDeadline.deadlineAt
+    });
 
-    if (contractorId) {
-      // Assign to contractor
-      const contractor = await prisma.contractor.findUnique({
-        where: { id: contractorId },
-        include: { user: { select: { name: true } } }
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.allowedTransitions && { allowedTransitions: result.allowedTransitions })
       });
-
-      if (!contractor) {
-        return res.status(404).json({
-          success: false,
-          message: "Contractor not found"
-        });
-      }
-
-      // Create assignment
-      assignmentData = {
-        assignment: {
-          create: {
-            contractorId,
-            assignedById: req.user.id,
-            deadlineAt: deadline ? new Date(deadline) : null,
-            status: "ASSIGNED"
-          }
-        }
-      };
-
-      assignmentDetails = {
-        type: "contractor",
-        assignedTo: contractor.businessName,
-        contractorId,
-        deadline
-      };
     }
 
-    updatedReport = await prisma.report.update({
+    const { assignment } = result;
+
+    const updatedReport = await prisma.report.update({
       where: { id },
       data: {
-        status: "ASSIGNED",
-        departmentId: departmentId || report.departmentId,
-        updatedAt: new Date(),
-        ...assignmentData
+        ...(departmentId && { departmentId }),
+        updatedAt: new Date()
       },
       include: {
         issueType: true,
         ward: true,
         department: true,
-        assignment: {
+        assignments: {
+          where: CURRENT_ASSIGNMENT,
+          take: 1,
           include: {
             contractor: {
               select: { id: true, businessName: true, avgRating: true }
@@ -468,29 +553,6 @@ router.patch("/reports/:id/assign", authenticate(["ADMIN", "MODERATOR"]), async
       }
     });
 
-    // Add to history with justification
-    await prisma.reportHistory.create({
-      data: {
-        reportId: id,
-        actorId: req.user.id,
-        actorName: `${req.user.role} (${req.user.id})`,
-        action: "REPORT_ASSIGNED",
-        oldStatus: report.status,
-        newStatus: "ASSIGNED",
-        description: contractorId 
-          ? `Assigned to contractor ${assignmentDetails.assignedTo}`
-          : `Assigned to department`,
-        justification,
-        metadata: {
-          ...assignmentDetails,
-          departmentId,
-          assignedBy: req.user.role,
-          adminId: req.user.id
-        },
-        isSystemGenerated: false
-      }
-    });
-
     // Log admin action
     await prisma.adminLog.create({
       data: {
@@ -501,14 +563,22 @@ router.patch("/reports/:id/assign", authenticate(["ADMIN", "MODERATOR"]), async
         entityId: id,
         actionType: "ASSIGNED",
         justificationMessage: justification,
-        newValue: assignmentDetails
+        newValue: {
+          type: "contractor",
+          contractorId,
+          assignmentId: assignment.id,
+          bidId: assignment.bidId,
+          agreedAmount: assignment.agreedAmount,
+          deadlineAt: assignment.deadlineAt,
+          departmentId: departmentId || null
+        }
       }
     });
 
     res.json({
       success: true,
       message: "Report assigned successfully",
-      data: updatedReport
+      data: withCurrentAssignment(updatedReport)
     });
 
   } catch (error) {
@@ -524,7 +594,7 @@ router.patch("/reports/:id/assign", authenticate(["ADMIN", "MODERATOR"]), async
  * POST /api/admin/reports/:id/moderate
  * Comprehensive moderation with mandatory justification
  */
-router.post("/reports/:id/moderate", authenticate(["ADMIN", "MODERATOR"]), async (req, res) => {
+router.post("/reports/:id/moderate", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireReportWardAccess(), async (req, res) => {
   try {
     const { id } = req.params;
     const { 
@@ -576,6 +646,33 @@ router.post("/reports/:id/moderate", authenticate(["ADMIN", "MODERATOR"]), async
     if (isSpam !== undefined) updateData.isSpam = isSpam;
     if (isSensitive !== undefined) updateData.isSensitive = isSensitive;
     if (action === "MARK_DUPLICATE" && duplicateOfId) {
+      const duplicateOf = await prisma.report.findUnique({
+        where: { id: duplicateOfId },
+        select: { id: true, wardId: true }
+      });
+      if (!duplicateOf || duplicateOf.id === id) {
+        return res.status(400).json({
+          success: false,
+          message: "duplicateOfId must be another existing report"
+        });
+      }
+
+      const scope = await resolveWardScope(req);
+      if (!scopeIncludesWard(scope, duplicateOf.wardId)) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. The original report belongs to a ward you are not assigned to."
+        });
+      }
+
+      const transition = await checkTransition(report, "DUPLICATE", {
+        role: req.user.role,
+        justification
+      });
+      if (!transition.ok) {
+        return sendTransitionError(res, report, transition);
+      }
+
       updateData.status = "DUPLICATE";
       updateData.duplicateOfId = duplicateOfId;
       updateData.isDuplicate = true;
@@ -671,7 +768,7 @@ router.post("/reports/:id/moderate", authenticate(["ADMIN", "MODERATOR"]), async
  * PATCH /api/admin/reports/:id/moderate
  * Moderate report - mark as spam, sensitive, etc.
  */
-router.patch("/reports/:id/moderate", authenticate(["ADMIN", "MODERATOR"]), async (req, res) => {
+router.patch("/reports/:id/moderate", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireReportWardAccess(), async (req, res) => {
   try {
     const { id } = req.params;
     const { action, reason, isSpam, isSensitive } = req.body;
@@ -756,7 +853,7 @@ router.patch("/reports/:id/moderate", authenticate(["ADMIN", "MODERATOR"]), asyn
  * PATCH /api/admin/reports/:id/escalate
  * Escalate report to higher priority
  */
-router.patch("/reports/:id/escalate", authenticate(["ADMIN", "MODERATOR"]), async (req, res) => {
+router.patch("/reports/:id/escalate", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireReportWardAccess(), async (req, res) => {
   try {
     const { id } = req.params;
     const { reason, urgentFlag = true } = req.body;
@@ -815,249 +912,1021 @@ router.patch("/reports/:id/escalate", authenticate(["ADMIN", "MODERATOR"]), asyn
 });
 
 /**
- * GET /api/admin/dashboard/stats
- * Get dashboard statistics
+ * POST /api/admin/reports/:id/merge
+ * Merge other reports into this one. Reactions, subscriptions, comments, media
+ * and reporters move here; the merged reports become MERGED stubs that
+ * redirect to this report.
+ *
+ * Body: { sourceIds: string[], justification: string }
  */
-router.get("/dashboard/stats", authenticate(["ADMIN", "MODERATOR"]), async (req, res) => {
+router.post("/reports/:id/merge", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireReportWardAccess(), async (req, res) => {
   try {
-    const { wardId } = req.query;
+    const { id } = req.params;
+    const { sourceIds, justification } = req.body;
 
-    const whereClause = wardId ? { wardId } : {};
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0 || sourceIds.length > MAX_MERGE_SOURCES) {
+      return res.status(400).json({
+        success: false,
+        message: `sourceIds must list 1 to ${MAX_MERGE_SOURCES} report IDs`
+      });
+    }
 
-    const [
-      totalReports,
-      openReports,
-      inProgressReports,
-      completedReports,
-      recentReports,
-      topIssueTypes
-    ] = await Promise.all([
-      prisma.report.count({ where: whereClause }),
-      prisma.report.count({ where: { ...whereClause, status: "OPEN" } }),
-      prisma.report.count({ where: { ...whereClause, status: "IN_PROGRESS" } }),
-      prisma.report.count({ where: { ...whereClause, status: "COMPLETED" } }),
-      prisma.report.findMany({
-        where: whereClause,
-        take: 5,
-        orderBy: { createdAt: 'desc' },
-        include: {
-          reporter: { select: { name: true } },
-          issueType: { select: { title: true } }
-        }
-      }),
-      prisma.report.groupBy({
-        by: ['issueTypeId'],
-        _count: true,
-        where: whereClause,
-        orderBy: { _count: { issueTypeId: 'desc' } },
-        take: 5
-      })
-    ]);
+    if (new Set(sourceIds).size !== sourceIds.length || sourceIds.includes(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "sourceIds must be distinct and must not include the target report"
+      });
+    }
+
+    if (!justification || justification.trim().length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: "Justification is required for merging (min 10 characters)"
+      });
+    }
+
+    // Every merged report must be in the caller's wards too
+    const scope = await resolveWardScope(req);
+    const sources = await prisma.report.findMany({
+      where: { id: { in: sourceIds } },
+      select: { id: true, wardId: true }
+    });
+    const outOfScope = sources.filter(source => !scopeIncludesWard(scope, source.wardId));
+    if (outOfScope.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Reports ${outOfScope.map(source => source.id).join(", ")} belong to wards you are not assigned to.`
+      });
+    }
+
+    const result = await mergeReports(id, sourceIds, {
+      actor: req.user,
+      justification: justification.trim()
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.allowedTransitions && { allowedTransitions: result.allowedTransitions })
+      });
+    }
+
+    await prisma.adminLog.create({
+      data: {
+        adminId: req.user.id,
+        adminName: req.user.id,
+        adminRole: req.user.role,
+        entityType: "REPORT",
+        entityId: id,
+        actionType: "MERGED",
+        justificationMessage: justification.trim(),
+        newValue: { sourceIds }
+      }
+    });
 
     res.json({
       success: true,
+      message: `${result.merged.length} report(s) merged`,
       data: {
-        stats: {
-          totalReports,
-          openReports,
-          inProgressReports,
-          completedReports,
-          completionRate: totalReports > 0 ? (completedReports / totalReports * 100).toFixed(2) : 0
-        },
-        recentReports,
-        topIssueTypes
+        target: result.target,
+        merged: result.merged
       }
     });
 
   } catch (error) {
-    console.error("Error fetching dashboard stats:", error);
+    console.error("Error merging reports:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch dashboard statistics"
+      message: "Failed to merge reports"
     });
   }
 });
 
 /**
- * GET /api/admin/reports/:id/bids
- * View all bids for a report
+ * POST /api/admin/reports/:id/unmerge
+ * Undo the merge of this report: everything it brought to the target moves
+ * back and its previous status is restored
+ *
+ * Body: { justification: string }
  */
-router.get("/reports/:id/bids", authenticate(["ADMIN", "MODERATOR"]), async (req, res) => {
+router.post("/reports/:id/unmerge", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireReportWardAccess(), async (req, res) => {
   try {
     const { id } = req.params;
+    const { justification } = req.body;
 
-    const report = await prisma.report.findUnique({
-      where: { id },
-      select: { id: true, title: true, status: true }
+    if (!justification || justification.trim().length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: "Justification is required for unmerging (min 10 characters)"
+      });
+    }
+
+    const result = await unmergeReport(id, {
+      actor: req.user,
+      justification: justification.trim()
     });
 
-    if (!report) {
-      return res.status(404).json({
+    if (!result.ok) {
+      return res.status(result.status).json({
         success: false,
-        message: "Report not found"
+        message: result.message,
+        ...(result.allowedTransitions && { allowedTransitions: result.allowedTransitions })
       });
     }
 
-    const bids = await prisma.bid.findMany({
-      where: { reportId: id },
-      include: {
-        contractor: {
-          select: {
-            id: true,
-            businessName: true,
-            avgRating: true,
-            completedJobs: true,
-            isVerified: true,
-            specializations: true,
-            user: {
-              select: { phone: true, email: true }
-            }
-          }
-        }
-      },
-      orderBy: [
-        { isPreferred: 'desc' },
-        { proposedCost: 'asc' },
-        { createdAt: 'asc' }
-      ]
+    await prisma.adminLog.create({
+      data: {
+        adminId: req.user.id,
+        adminName: req.user.id,
+        adminRole: req.user.role,
+        entityType: "REPORT",
+        entityId: id,
+        actionType: "REOPENED",
+        justificationMessage: justification.trim(),
+        oldValue: { status: "MERGED" },
+        newValue: { status: result.report.status }
+      }
     });
 
-    // Calculate bid statistics
-    const bidStats = {
-      total: bids.length,
-      avgCost: bids.length > 0 ? bids.reduce((sum, bid) => sum + bid.proposedCost, 0) / bids.length : 0,
-      lowestCost: bids.length > 0 ? Math.min(...bids.map(b => b.proposedCost)) : 0,
-      highestCost: bids.length > 0 ? Math.max(...bids.map(b => b.proposedCost)) : 0,
-      preferredBids: bids.filter(b => b.isPreferred).length
-    };
-
     res.json({
       success: true,
-      data: {
-        report,
-        bids,
-        statistics: bidStats
-      }
+      message: "Report unmerged",
+      data: result.report
     });
 
   } catch (error) {
-    console.error("Error fetching bids:", error);
+    console.error("Error unmerging report:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch bids"
+      message: "Failed to unmerge report"
     });
   }
 });
 
 /**
- * POST /api/admin/reports/:id/bid/assign
- * Assign bid to contractor with mandatory justification
+ * GET /api/admin/duplicates
+ * Suspected duplicate reports for the caller's wards, most likely first.
+ * Suspicions whose report has since been closed, merged or marked duplicate are left out.
+ *
+ * Query: { wardId?, status? (PENDING, CONFIRMED, DISMISSED; default PENDING), page?, limit? }
  */
-router.post("/reports/:id/bid/assign", authenticate(["ADMIN", "MODERATOR"]), async (req, res) => {
+router.get("/duplicates", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), loadWardScope, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { bidId, justification, deadline } = req.body;
+    const { wardId, status = "PENDING", page = 1, limit = 20 } = req.query;
 
-    // Justification is mandatory
-    if (!justification || justification.trim().length < 10) {
+    if (!["PENDING", "CONFIRMED", "DISMISSED"].includes(status)) {
       return res.status(400).json({
         success: false,
-        message: "Justification is required for bid assignment (min 10 characters)"
+        message: "status must be PENDING, CONFIRMED or DISMISSED"
       });
     }
 
-    const bid = await prisma.bid.findUnique({
-      where: { id: bidId },
+    const wardFilter = buildWardFilter(req.wardScope, wardId);
+    if (!wardFilter) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You are not assigned to this ward."
+      });
+    }
+
+    const where = {
+      ...wardFilter,
+      status,
+      ...(status === "PENDING" && { report: { status: { notIn: INACTIVE_REPORT_STATUSES } } })
+    };
+
+    const reportSelect = {
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        address: true,
+        latitude: true,
+        longitude: true,
+        upvotes: true,
+        noOfDuplicates: true,
+        createdAt: true
+      }
+    };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [suspicions, total] = await Promise.all([
+      prisma.duplicateSuspicion.findMany({
+        where,
+        include: { report: reportSelect, candidate: reportSelect },
+        orderBy: [{ score: 'desc' }, { createdAt: 'asc' }],
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.duplicateSuspicion.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        suspicions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching suspected duplicates:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch suspected duplicates"
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/duplicates/:id
+ * Confirm or dismiss a suspected duplicate. Confirming marks the newer report
+ * DUPLICATE of the existing one and dismisses its other pending suspicions.
+ *
+ * Body: { decision: "CONFIRM" | "DISMISS", justification: string }
+ */
+router.patch("/duplicates/:id", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, justification } = req.body;
+
+    if (!["CONFIRM", "DISMISS"].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "decision must be CONFIRM or DISMISS"
+      });
+    }
+
+    if (!justification || justification.trim().length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: "Justification is required (min 10 characters)"
+      });
+    }
+
+    const suspicion = await prisma.duplicateSuspicion.findUnique({
+      where: { id },
+      include: {
+        report: { select: { id: true, title: true, status: true, isDuplicate: true, duplicateOfId: true } },
+        candidate: { select: { id: true, title: true } }
+      }
+    });
+
+    if (!suspicion) {
+      return res.status(404).json({
+        success: false,
+        message: "Suspected duplicate not found"
+      });
+    }
+
+    const scope = await resolveWardScope(req);
+    if (!scopeIncludesWard(scope, suspicion.wardId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. This report belongs to a ward you are not assigned to."
+      });
+    }
+
+    if (suspicion.status !== "PENDING") {
+      return res.status(409).json({
+        success: false,
+        message: `This suspicion has already been reviewed (status: ${suspicion.status})`
+      });
+    }
+
+    const { report, candidate } = suspicion;
+    const confirm = decision === "CONFIRM";
+
+    if (confirm) {
+      const transition = await checkTransition(report, "DUPLICATE", {
+        role: req.user.role,
+        justification
+      });
+      if (!transition.ok) {
+        return sendTransitionError(res, report, transition);
+      }
+    }
+
+    const now = new Date();
+    const reviewed = {
+      reviewedById: req.user.id,
+      reviewedAt: now,
+      justification: justification.trim()
+    };
+
+    await prisma.$transaction(async (tx) => {
+      // Conditional so two moderators cannot both review the same suspicion
+      const claimed = await tx.duplicateSuspicion.updateMany({
+        where: { id, status: "PENDING" },
+        data: { status: confirm ? "CONFIRMED" : "DISMISSED", ...reviewed }
+      });
+      if (claimed.count === 0) {
+        throw Object.assign(new Error("This suspicion has already been reviewed"), { status: 409 });
+      }
+
+      if (!confirm) return;
+
+      await tx.report.update({
+        where: { id: report.id },
+        data: { status: "DUPLICATE", duplicateOfId: candidate.id, isDuplicate: true }
+      });
+
+      await tx.report.update({
+        where: { id: candidate.id },
+        data: { noOfDuplicates: { increment: 1 } }
+      });
+
+      await tx.duplicateSuspicion.updateMany({
+        where: { reportId: report.id, status: "PENDING" },
+        data: { status: "DISMISSED", ...reviewed, justification: `Confirmed as duplicate of report ${candidate.id}` }
+      });
+
+      await tx.reportHistory.create({
+        data: {
+          reportId: report.id,
+          actorId: req.user.id,
+          actorName: `${req.user.role} (${req.user.id})`,
+          action: "MARKED_DUPLICATE",
+          oldStatus: report.status,
+          newStatus: "DUPLICATE",
+          description: `Marked as duplicate of "${candidate.title}"`,
+          justification: justification.trim(),
+          metadata: {
+            duplicateOfId: candidate.id,
+            suspicionId: id,
+            distanceMeters: suspicion.distanceMeters,
+            score: suspicion.score
+          },
+          isSystemGenerated: false
+        }
+      });
+
+      await tx.moderatorAction.create({
+        data: {
+          moderatorId: req.user.id,
+          reportId: report.id,
+          action: "MARK_DUPLICATE",
+          justification: justification.trim(),
+          oldValue: { status: report.status, isDuplicate: report.isDuplicate, duplicateOfId: report.duplicateOfId },
+          newValue: { status: "DUPLICATE", isDuplicate: true, duplicateOfId: candidate.id }
+        }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: confirm ? "Report marked as duplicate" : "Suspected duplicate dismissed"
+    });
+
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error("Error reviewing suspected duplicate:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to review suspected duplicate"
+    });
+  }
+});
+
+/**
+ * GET /api/admin/appeals
+ * Citizen appeals against rejected or closed reports, soonest SLA deadline first.
+ * Ward admins see appeals assigned to them; SUPERADMINs see every appeal.
+ *
+ * Query: { status? (PENDING, ESCALATED, UPHELD, DENIED; default PENDING and ESCALATED), wardId?, page?, limit? }
+ */
+router.get("/appeals", authenticate(["ADMIN", "SUPERADMIN"]), async (req, res) => {
+  try {
+    const { status, wardId, page = 1, limit = 20 } = req.query;
+
+    if (status && ![...OPEN_APPEAL_STATUSES, "UPHELD", "DENIED"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "status must be PENDING, ESCALATED, UPHELD or DENIED"
+      });
+    }
+
+    const where = {
+      status: status || { in: OPEN_APPEAL_STATUSES },
+      ...(wardId && { wardId }),
+      ...(req.user.role !== "SUPERADMIN" && { reviewerId: req.user.id })
+    };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [appeals, total] = await Promise.all([
+      prisma.appeal.findMany({
+        where,
+        include: {
+          report: { select: { id: true, title: true, status: true, wardId: true, address: true, closedAt: true } }
+        },
+        orderBy: [{ dueAt: 'asc' }, { createdAt: 'asc' }],
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.appeal.count({ where })
+    ]);
+
+    const now = new Date();
+
+    res.json({
+      success: true,
+      data: {
+        appeals: appeals.map(appeal => ({
+          ...appeal,
+          overdue: appeal.status === "PENDING" && appeal.dueAt < now
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching appeals:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch appeals"
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/appeals/:id
+ * Uphold or deny an appeal. Upholding reopens the report. Only the assigned
+ * reviewer or a SUPERADMIN may decide, and never the officer who closed the report;
+ * escalated appeals are for SUPERADMINs only.
+ *
+ * Body: { decision: "UPHOLD" | "DENY", justification: string }
+ */
+router.patch("/appeals/:id", authenticate(["ADMIN", "SUPERADMIN"]), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, justification } = req.body;
+
+    if (!["UPHOLD", "DENY"].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "decision must be UPHOLD or DENY"
+      });
+    }
+
+    if (!justification || justification.trim().length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: "Justification is required (min 10 characters)"
+      });
+    }
+
+    const result = await decideAppeal(id, {
+      actor: req.user,
+      decision,
+      justification: justification.trim()
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.allowedTransitions && { allowedTransitions: result.allowedTransitions })
+      });
+    }
+
+    if (decision === "UPHOLD") {
+      await prisma.adminLog.create({
+        data: {
+          adminId: req.user.id,
+          adminName: req.user.id,
+          adminRole: req.user.role,
+          entityType: "REPORT",
+          entityId: result.report.id,
+          actionType: "REOPENED",
+          justificationMessage: justification.trim(),
+          oldValue: { status: result.appeal.appealedStatus },
+          newValue: { status: result.report.status },
+          metadata: { appealId: id }
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: decision === "UPHOLD" ? "Appeal upheld and report reopened" : "Appeal denied",
+      data: {
+        appeal: result.appeal,
+        report: result.report
+      }
+    });
+
+  } catch (error) {
+    console.error("Error deciding appeal:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to decide appeal"
+    });
+  }
+});
+
+/**
+ * GET /api/admin/dashboard/stats
+ * Get dashboard statistics
+ */
+router.get("/dashboard/stats", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), loadWardScope, async (req, res) => {
+  try {
+    const { wardId } = req.query;
+
+    const wardFilter = buildWardFilter(req.wardScope, wardId);
+    if (!wardFilter) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You are not assigned to this ward."
+      });
+    }
+
+    const whereClause = wardFilter;
+
+    const [
+      totalReports,
+      openReports,
+      inProgressReports,
+      completedReports,
+      recentReports,
+      topIssueTypes
+    ] = await Promise.all([
+      prisma.report.count({ where: whereClause }),
+      prisma.report.count({ where: { ...whereClause, status: "OPEN" } }),
+      prisma.report.count({ where: { ...whereClause, status: "IN_PROGRESS" } }),
+      prisma.report.count({ where: { ...whereClause, status: "COMPLETED" } }),
+      prisma.report.findMany({
+        where: whereClause,
+        take: 5,
+        orderBy: { createdAt: 'desc' },
+        include: {
+          reporter: { select: { name: true } },
+          issueType: { select: { title: true } }
+        }
+      }),
+      prisma.report.groupBy({
+        by: ['issueTypeId'],
+        _count: true,
+        where: whereClause,
+        orderBy: { _count: { issueTypeId: 'desc' } },
+        take: 5
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        stats: {
+          totalReports,
+          openReports,
+          inProgressReports,
+          completedReports,
+          completionRate: totalReports > 0 ? (completedReports / totalReports * 100).toFixed(2) : 0
+        },
+        recentReports,
+        topIssueTypes
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching dashboard stats:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch dashboard statistics"
+    });
+  }
+});
+
+/**
+ * POST /api/admin/reports/:id/bidding
+ * Open bidding on a validated report until a deadline
+ *
+ * Body: {
+ *   closesAt: string (ISO date),
+ *   minBids?: number,        // fewer bids at close escalates instead of auto-awarding
+ *   justification?: string
+ * }
+ */
+router.post("/reports/:id/bidding", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireReportWardAccess(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { closesAt, minBids = 1, justification } = req.body;
+
+    const closesAtDate = new Date(closesAt);
+    if (!closesAt || isNaN(closesAtDate.getTime()) || closesAtDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "closesAt must be a valid future date"
+      });
+    }
+
+    if (!Number.isInteger(minBids) || minBids < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "minBids must be a whole number of at least 1"
+      });
+    }
+
+    const report = await prisma.report.findUnique({
+      where: { id },
+      select: { id: true, status: true }
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    const transition = await checkTransition(report, "IN_BIDDING", {
+      role: req.user.role,
+      justification
+    });
+    if (!transition.ok) {
+      return sendTransitionError(res, report, transition);
+    }
+
+    const window = await prisma.biddingWindow.create({
+      data: {
+        reportId: id,
+        openedById: req.user.id,
+        closesAt: closesAtDate,
+        minBids
+      }
+    });
+
+    await prisma.report.update({
+      where: { id },
+      data: {
+        status: "IN_BIDDING",
+        biddingClosesAt: closesAtDate
+      }
+    });
+
+    await prisma.reportHistory.create({
+      data: {
+        reportId: id,
+        actorId: req.user.id,
+        actorName: `${req.user.role} (${req.user.id})`,
+        action: "BIDDING_OPENED",
+        oldStatus: report.status,
+        newStatus: "IN_BIDDING",
+        description: `Bidding opened until ${closesAtDate.toISOString()} (minimum ${minBids} bid(s))`,
+        justification,
+        metadata: {
+          windowId: window.id,
+          closesAt: closesAtDate.toISOString(),
+          minBids
+        },
+        isSystemGenerated: false
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Bidding opened successfully",
+      data: window
+    });
+
+  } catch (error) {
+    console.error("Error opening bidding:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to open bidding"
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reports/:id/bids
+ * View all bids for a report
+ */
+router.get("/reports/:id/bids", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireReportWardAccess(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const report = await prisma.report.findUnique({
+      where: { id },
+      select: { id: true, title: true, status: true }
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    const bids = await prisma.bid.findMany({
+      where: { reportId: id },
       include: {
         contractor: {
-          select: { id: true, businessName: true, avgRating: true },
-          include: { user: { select: { name: true } } }
-        },
-        report: true
+          select: {
+            id: true,
+            businessName: true,
+            avgRating: true,
+            onTimeRate: true,
+            strikes: true,
+            isVerified: true,
+            user: {
+              select: { phone: true, email: true }
+            }
+          }
+        }
+      },
+      orderBy: [
+        { score: 'desc' },
+        { amount: 'asc' },
+        { createdAt: 'asc' }
+      ]
+    });
+
+    // Calculate bid statistics over bids that are still in contention
+    const activeBids = bids.filter(b => b.status !== "WITHDRAWN");
+    const bidStats = {
+      total: bids.length,
+      active: activeBids.length,
+      withdrawn: bids.length - activeBids.length,
+      avgCost: activeBids.length > 0 ? activeBids.reduce((sum, bid) => sum + bid.amount, 0) / activeBids.length : 0,
+      lowestCost: activeBids.length > 0 ? Math.min(...activeBids.map(b => b.amount)) : 0,
+      highestCost: activeBids.length > 0 ? Math.max(...activeBids.map(b => b.amount)) : 0,
+      topScore: activeBids.length > 0 ? Math.max(...activeBids.map(b => b.score ?? 0)) : 0
+    };
+
+    res.json({
+      success: true,
+      data: {
+        report,
+        bids,
+        statistics: bidStats
       }
     });
 
+  } catch (error) {
+    console.error("Error fetching bids:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch bids"
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/reports/:id/bids/:bidId/adjustment
+ * Apply a small, capped officer adjustment to a bid's score with mandatory justification
+ */
+router.patch("/reports/:id/bids/:bidId/adjustment", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireReportWardAccess(), async (req, res) => {
+  try {
+    const { id, bidId } = req.params;
+    const { officerAdjPct, justification } = req.body;
+
+    if (!justification || justification.trim().length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: "Justification is required for score adjustments (min 10 characters)"
+      });
+    }
+
+    const maxAdjPct = getMaxOfficerAdjPct();
+    if (typeof officerAdjPct !== "number" || Math.abs(officerAdjPct) > maxAdjPct) {
+      return res.status(400).json({
+        success: false,
+        message: `officerAdjPct must be a number between -${maxAdjPct} and ${maxAdjPct}`
+      });
+    }
+
+    const bid = await prisma.bid.findFirst({
+      where: { id: bidId, reportId: id }
+    });
+
     if (!bid) {
       return res.status(404).json({
         success: false,
-        message: "Bid not found"
+        message: "Bid not found for this report"
       });
     }
 
-    if (bid.reportId !== id) {
-      return res.status(400).json({
+    if (bid.status !== "PENDING") {
+      return res.status(409).json({
         success: false,
-        message: "Bid does not belong to this report"
+        message: `Only pending bids can be adjusted (current status: ${bid.status})`
       });
     }
 
-    // Update bid status and create assignment
-    const updatedBid = await prisma.bid.update({
+    await prisma.bid.update({
       where: { id: bidId },
-      data: {
-        status: "ACCEPTED",
-        acceptedAt: new Date(),
-        acceptedBy: req.user.id
-      }
+      data: { officerAdjPct }
     });
 
-    // Create assignment
-    const assignment = await prisma.assignment.create({
+    const scoredBids = await rescoreReportBids(id);
+    const updatedBid = scoredBids.find(b => b.id === bidId);
+
+    await prisma.reportHistory.create({
       data: {
         reportId: id,
-        contractorId: bid.contractorId,
-        assignedById: req.user.id,
-        bidId: bidId,
-        agreedCost: bid.proposedCost,
-        deadlineAt: deadline ? new Date(deadline) : new Date(Date.now() + (bid.estimatedDays * 24 * 60 * 60 * 1000)),
-        status: "ASSIGNED"
+        actorId: req.user.id,
+        actorName: `${req.user.role} (${req.user.id})`,
+        action: "BID_SCORE_ADJUSTED",
+        description: `Officer adjustment on bid ${bidId} set to ${officerAdjPct}%`,
+        justification,
+        oldValue: { officerAdjPct: bid.officerAdjPct, score: bid.score },
+        newValue: { officerAdjPct, score: updatedBid?.score },
+        metadata: { bidId, contractorId: bid.contractorId },
+        isSystemGenerated: false
       }
     });
 
-    // Update report status
-    await prisma.report.update({
-      where: { id },
+    await prisma.adminLog.create({
       data: {
-        status: "ASSIGNED",
-        updatedAt: new Date()
+        adminId: req.user.id,
+        adminName: req.user.id,
+        adminRole: req.user.role,
+        entityType: "BID",
+        entityId: bidId,
+        actionType: "UPDATED",
+        justificationMessage: justification,
+        oldValue: { officerAdjPct: bid.officerAdjPct, score: bid.score },
+        newValue: { officerAdjPct, score: updatedBid?.score }
       }
     });
 
-    // Reject other bids
-    await prisma.bid.updateMany({
-      where: {
-        reportId: id,
-        id: { not: bidId }
-      },
+    res.json({
+      success: true,
+      message: "Bid score adjusted successfully",
+      data: updatedBid
+    });
+
+  } catch (error) {
+    console.error("Error adjusting bid score:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to adjust bid score"
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/issue-types/:id/scoring-weights
+ * Set bid scoring weights for an issue type (null resets to the defaults)
+ */
+router.put("/issue-types/:id/scoring-weights", authenticate(["ADMIN", "SUPERADMIN"]), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { weights, justification } = req.body;
+
+    if (!justification || justification.trim().length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: "Justification is required for changing scoring weights (min 10 characters)"
+      });
+    }
+
+    if (weights !== null) {
+      const check = validateWeights(weights);
+      if (!check.valid) {
+        return res.status(400).json({
+          success: false,
+          message: check.message
+        });
+      }
+    }
+
+    const issueType = await prisma.issueType.findUnique({
+      where: { id }
+    });
+
+    if (!issueType) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue type not found"
+      });
+    }
+
+    const updatedIssueType = await prisma.issueType.update({
+      where: { id },
+      data: { scoringWeights: weights }
+    });
+
+    // Re-rank bids still open on reports of this type
+    const openReports = await prisma.report.findMany({
+      where: { issueTypeId: id, status: "IN_BIDDING" },
+      select: { id: true }
+    });
+    for (const report of openReports) {
+      await rescoreReportBids(report.id);
+    }
+
+    await prisma.adminLog.create({
       data: {
-        status: "REJECTED",
-        rejectedAt: new Date()
+        adminId: req.user.id,
+        adminName: req.user.id,
+        adminRole: req.user.role,
+        entityType: "ISSUE_TYPE",
+        entityId: id,
+        actionType: "UPDATED",
+        justificationMessage: justification,
+        oldValue: { scoringWeights: issueType.scoringWeights },
+        newValue: { scoringWeights: weights }
       }
     });
 
-    // Log assignment in report history
-    await prisma.reportHistory.create({
+    res.json({
+      success: true,
+      message: "Scoring weights updated successfully",
       data: {
-        reportId: id,
-        actorId: req.user.id,
-        actorName: `${req.user.role} (${req.user.id})`,
-        action: "BID_ASSIGNED",
-        oldStatus: bid.report.status,
-        newStatus: "ASSIGNED",
-        description: `Bid assigned to contractor ${bid.contractor.businessName}`,
-        justification,
-        metadata: {
-          bidId,
-          contractorId: bid.contractorId,
-          agreedCost: bid.proposedCost,
-          estimatedDays: bid.estimatedDays,
-          assignedBy: req.user.role,
-          adminId: req.user.id
-        },
-        isSystemGenerated: false
+        issueTypeId: id,
+        scoringWeights: updatedIssueType.scoringWeights,
+        effectiveWeights: getScoringWeights(updatedIssueType),
+        rescoredReports: openReports.length
       }
     });
 
+  } catch (error) {
+    console.error("Error updating scoring weights:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update scoring weights"
+    });
+  }
+});
+
+/**
+ * POST /api/admin/reports/:id/bid/assign
+ * Assign bid to contractor with mandatory justification
+ */
+router.post("/reports/:id/bid/assign", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireReportWardAccess(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bidId, justification, deadline } = req.body;
+
+    // Justification is mandatory
+    if (!justification || justification.trim().length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: "Justification is required for bid assignment (min 10 characters)"
+      });
+    }
+
+    if (!bidId) {
+      return res.status(400).json({
+        success: false,
+        message: "bidId is required"
+      });
+    }
+
+    const parsedDeadline = parseAssignmentDeadline(deadline);
+    if (!parsedDeadline.ok) {
+      return res.status(parsedDeadline.status).json({
+        success: false,
+        message: parsedDeadline.message
+      });
+    }
+
+    const bid = await prisma.bid.findUnique({
+      where: { id: bidId },
+      select: { reportId: true }
+    });
+
+    if (!bid || bid.reportId !== id) {
+      return res.status(404).json({
+        success: false,
+        message: "Bid not found for this report"
+      });
+    }
+
+    // Selects the bid, rejects the others, creates the assignment and moves the report in one transaction
+    const result = await awardBid(bidId, {
+      actor: req.user,
+      justification,
+      deadlineAt: parsedDeadline.deadlineAt
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.allowedTransitions && { allowedTransitions: result.allowedTransitions })
+      });
+    }
+
+    const { assignment, bid: awardedBid } = result;
+
     // Log admin action
     await prisma.adminLog.create({
       data: {
@@ -1070,9 +1939,9 @@ router.post("/reports/:id/bid/assign", authenticate(["ADMIN", "MODERATOR"]), asy
         justificationMessage: justification,
         oldValue: { status: "PENDING" },
         newValue: {
-          status: "ACCEPTED",
-          contractorId: bid.contractorId,
-          agreedCost: bid.proposedCost,
+          status: "SELECTED",
+          contractorId: awardedBid.contractorId,
+          agreedAmount: assignment.agreedAmount,
           assignmentId: assignment.id
         }
       }
@@ -1083,8 +1952,13 @@ router.post("/reports/:id/bid/assign", authenticate(["ADMIN", "MODERATOR"]), asy
       message: "Bid assigned successfully",
       data: {
         assignment,
-        acceptedBid: updatedBid,
-        contractor: bid.contractor
+        acceptedBid: {
+          id: awardedBid.id,
+          amount: awardedBid.amount,
+          score: awardedBid.score,
+          status: awardedBid.status
+        },
+        contractor: awardedBid.contractor
       }
     });
 
@@ -1140,20 +2014,10 @@ router.patch("/contractors/:id/block", authenticate(["ADMIN", "SUPERADMIN"]), as
       }
     });
 
-    // If blocking, cancel active assignments
-    if (isBlocked) {
-      await prisma.assignment.updateMany({
-        where: {
-          contractorId: id,
-          status: { in: ["ASSIGNED", "IN_PROGRESS"] }
-        },
-        data: {
-          status: "CANCELLED",
-          cancelledAt: new Date(),
-          cancelReason: "Contractor blocked by admin"
-        }
-      });
-    }
+    // If blocking, cancel unfinished assignments and send their reports back to VALIDATED
+    const reopenedReportIds = isBlocked
+      ? await cancelContractorAssignments(id, { actor: req.user, reason: `Contractor blocked by admin: ${justification}` })
+      : [];
 
     // Log action in admin logs
     await prisma.adminLog.create({
@@ -1172,7 +2036,8 @@ router.patch("/contractors/:id/block", authenticate(["ADMIN", "SUPERADMIN"]), as
         newValue: {
           isBlocked: isBlocked,
           blockReason: isBlocked ? justification : null,
-          blockedBy: isBlocked ? req.user.id : null
+          blockedBy: isBlocked ? req.user.id : null,
+          reopenedReportIds
         }
       }
     });
@@ -1181,6 +2046,7 @@ router.patch("/contractors/:id/block", authenticate(["ADMIN", "SUPERADMIN"]), as
       success: true,
       message: `Contractor ${isBlocked ? 'blocked' : 'unblocked'} successfully`,
       data: updatedContractor,
+      reopenedReportIds,
       action: {
         type: isBlocked ? "BLOCKED" : "UNBLOCKED",
         performedBy: req.user.role,
@@ -1199,14 +2065,21 @@ router.patch("/contractors/:id/block", authenticate(["ADMIN", "SUPERADMIN"]), as
 });
 
 /**
- * GET /api/admin/proofs/:id/approve
+ * PATCH /api/admin/proofs/:id/approve
  * Approve/reject completion proof with mandatory justification
  */
-router.patch("/proofs/:id/approve", authenticate(["ADMIN", "MODERATOR"]), async (req, res) => {
+router.patch("/proofs/:id/approve", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), async (req, res) => {
   try {
     const { id } = req.params;
     const { isApproved, justification } = req.body;
 
+    if (typeof isApproved !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "isApproved must be true or false"
+      });
+    }
+
     // Justification is mandatory
     if (!justification || justification.trim().length < 10) {
       return res.status(400).json({
@@ -1218,10 +2091,10 @@ router.patch("/proofs/:id/approve", authenticate(["ADMIN", "MODERATOR"]), async
     const proof = await prisma.completionProof.findUnique({
       where: { id },
       include: {
+        report: { select: { id: true, title: true, status: true, wardId: true } },
         assignment: {
           include: {
-            report: { select: { id: true, title: true } },
-            contractor: { select: { businessName: true } }
+            contractor: { select: { businessName: true, userId: true } }
           }
         }
       }
@@ -1234,53 +2107,100 @@ router.patch("/proofs/:id/approve", authenticate(["ADMIN", "MODERATOR"]), async
       });
     }
 
-    const updatedProof = await prisma.completionProof.update({
-      where: { id },
-      data: {
-        status: isApproved ? "APPROVED" : "REJECTED",
-        reviewedAt: new Date(),
-        reviewedBy: req.user.id,
-        reviewNotes: justification
+    const scope = await resolveWardScope(req);
+    if (!scopeIncludesWard(scope, proof.report.wardId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. This proof belongs to a ward you are not assigned to."
+      });
+    }
+
+    if (!["PENDING", "CITIZEN_CONFIRMED"].includes(proof.approvalStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: `This proof has already been reviewed (status: ${proof.approvalStatus})`
+      });
+    }
+
+    // Approval after the citizen confirmed closes the report; before, it waits for the citizen
+    const citizenConfirmed = proof.approvalStatus === "CITIZEN_CONFIRMED";
+    const newProofStatus = isApproved
+      ? (citizenConfirmed ? "CITIZEN_CONFIRMED" : "OFFICER_APPROVED")
+      : "REJECTED";
+
+    let newReportStatus = proof.report.status;
+    if (isApproved && citizenConfirmed && proof.report.status === "VERIFIED") {
+      newReportStatus = "CLOSED";
+    } else if (!isApproved && ["PENDING_CITIZEN_REVIEW", "VERIFIED"].includes(proof.report.status)) {
+      newReportStatus = "IN_PROGRESS";
+    }
+
+    if (newReportStatus !== proof.report.status) {
+      const transition = await checkTransition(proof.report, newReportStatus, {
+        role: req.user.role,
+        justification
+      });
+      if (!transition.ok) {
+        return sendTransitionError(res, proof.report, transition);
       }
-    });
+    }
 
-    // If approved, update assignment and report status
-    if (isApproved) {
-      await prisma.assignment.update({
-        where: { id: proof.assignmentId },
+    const updatedProof = await prisma.$transaction(async (tx) => {
+      await tx.completionProofApproval.create({
         data: {
-          status: "COMPLETED",
-          completedAt: new Date()
+          proofId: id,
+          approverId: req.user.id,
+          approverRole: req.user.role,
+          isApproved,
+          comment: justification
         }
       });
 
-      await prisma.report.update({
-        where: { id: proof.assignment.report.id },
+      const updated = await tx.completionProof.update({
+        where: { id },
+        data: { approvalStatus: newProofStatus }
+      });
+
+      if (newReportStatus !== proof.report.status) {
+        await tx.report.update({
+          where: { id: proof.report.id },
+          data: {
+            status: newReportStatus,
+            ...(newReportStatus === "CLOSED" && { closedAt: new Date() })
+          }
+        });
+      }
+
+      // A rejected proof puts the work back in progress
+      if (!isApproved && proof.assignmentId) {
+        await tx.assignment.update({
+          where: { id: proof.assignmentId },
+          data: { status: "IN_PROGRESS", completedAt: null }
+        });
+      }
+
+      await tx.reportHistory.create({
         data: {
-          status: "COMPLETED",
-          completedAt: new Date(),
-          updatedAt: new Date()
+          reportId: proof.report.id,
+          actorId: req.user.id,
+          actorName: `${req.user.role} (${req.user.id})`,
+          action: isApproved ? "PROOF_APPROVED" : "PROOF_REJECTED",
+          oldStatus: proof.report.status,
+          newStatus: newReportStatus,
+          description: `Completion proof ${isApproved ? 'approved' : 'rejected'}`,
+          justification,
+          metadata: {
+            proofId: id,
+            progressPct: proof.progressPct,
+            contractorBusinessName: proof.assignment?.contractor.businessName,
+            reviewedBy: req.user.role,
+            adminId: req.user.id
+          },
+          isSystemGenerated: false
         }
       });
-    }
 
-    // Log proof review
-    await prisma.reportHistory.create({
-      data: {
-        reportId: proof.assignment.report.id,
-        actorId: req.user.id,
-        actorName: `${req.user.role} (${req.user.id})`,
-        action: isApproved ? "PROOF_APPROVED" : "PROOF_REJECTED",
-        description: `Completion proof ${isApproved ? 'approved' : 'rejected'}`,
-        justification,
-        metadata: {
-          proofId: id,
-          contractorBusinessName: proof.assignment.contractor.businessName,
-          reviewedBy: req.user.role,
-          adminId: req.user.id
-        },
-        isSystemGenerated: false
-      }
+      return updated;
     });
 
     // Log admin action
@@ -1289,23 +2209,32 @@ router.patch("/proofs/:id/approve", authenticate(["ADMIN", "MODERATOR"]), async
         adminId: req.user.id,
         adminName: req.user.id,
         adminRole: req.user.role,
-        entityType: "PROOF",
+        entityType: "COMPLETION_PROOF",
         entityId: id,
         actionType: isApproved ? "APPROVED" : "REJECTED",
         justificationMessage: justification,
-        oldValue: { status: proof.status },
-        newValue: { 
-          status: isApproved ? "APPROVED" : "REJECTED",
-          reviewedAt: new Date(),
-          reviewNotes: justification
-        }
+        oldValue: { approvalStatus: proof.approvalStatus, reportStatus: proof.report.status },
+        newValue: { approvalStatus: newProofStatus, reportStatus: newReportStatus }
       }
     });
 
+    if (!isApproved && proof.assignment?.contractor.userId) {
+      await notifyUsers([proof.assignment.contractor.userId], {
+        type: "PROOF_REJECTED",
+        title: "Proof rejected",
+        message: `Your proof for "${proof.report.title}" was rejected: ${justification}`,
+        reportId: proof.report.id,
+        data: { proofId: id }
+      });
+    }
+
     res.json({
       success: true,
       message: `Proof ${isApproved ? 'approved' : 'rejected'} successfully`,
-      data: updatedProof,
+      data: {
+        ...updatedProof,
+        reportStatus: newReportStatus
+      },
       action: {
         type: isApproved ? "APPROVED" : "REJECTED",
         reviewedBy: req.user.role,
@@ -1327,9 +2256,17 @@ router.patch("/proofs/:id/approve", authenticate(["ADMIN", "MODERATOR"]), async
  * GET /api/admin/analytics/dashboard
  * Comprehensive admin dashboard analytics
  */
-router.get("/analytics/dashboard", authenticate(["ADMIN", "MODERATOR"]), async (req, res) => {
+router.get("/analytics/dashboard", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), loadWardScope, async (req, res) => {
   try {
-    const { timeframe = '30d' } = req.query;
+    const { timeframe = '30d', wardId } = req.query;
+
+    const wardFilter = buildWardFilter(req.wardScope, wardId);
+    if (!wardFilter) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You are not assigned to this ward."
+      });
+    }
     
     // Calculate date range
     const now = new Date();
@@ -1346,12 +2283,13 @@ router.get("/analytics/dashboard", authenticate(["ADMIN", "MODERATOR"]), async (
       by: ['status'],
       _count: true,
       where: {
+        ...wardFilter,
         createdAt: { gte: startDate }
       }
     });
 
     const totalReports = await prisma.report.count({
-      where: { createdAt: { gte: startDate } }
+      where: { ...wardFilter, createdAt: { gte: startDate } }
     });
 
     // Severity breakdown
@@ -1359,6 +2297,7 @@ router.get("/analytics/dashboard", authenticate(["ADMIN", "MODERATOR"]), async (
       by: ['severity'],
       _count: true,
       where: {
+        ...wardFilter,
         createdAt: { gte: startDate }
       }
     });
@@ -1368,6 +2307,7 @@ router.get("/analytics/dashboard", authenticate(["ADMIN", "MODERATOR"]), async (
       by: ['wardId'],
       _count: true,
       where: {
+        ...wardFilter,
         createdAt: { gte: startDate }
       },
       orderBy: {
@@ -1393,6 +2333,7 @@ router.get("/analytics/dashboard", authenticate(["ADMIN", "MODERATOR"]), async (
     // Response time analytics
     const completedReports = await prisma.report.findMany({
       where: {
+        ...wardFilter,
         status: 'COMPLETED',
         createdAt: { gte: startDate },
         completedAt: { not: null }
@@ -1420,7 +2361,8 @@ router.get("/analytics/dashboard", authenticate(["ADMIN", "MODERATOR"]), async (
     const contractorPerformance = await prisma.assignment.findMany({
       where: {
         createdAt: { gte: startDate },
-        status: { in: ['COMPLETED', 'IN_PROGRESS'] }
+        status: { in: ['COMPLETED', 'IN_PROGRESS'] },
+        ...(wardFilter.wardId && { report: wardFilter })
       },
       include: {
         contractor: {
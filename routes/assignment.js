@@ -0,0 +1,796 @@
+// Assignment routes for JanMarg Backend (contractor work on awarded reports)
+import express from "express";
+import { PrismaClient } from "../generated/prisma/index.js";
+import { authenticate } from "../utils/auth.js";
+import { requireVerifiedContractor, requireAssignmentWardAccess } from "../utils/policy.js";
+import { notifyUsers, notifyWardOfficers } from "../utils/notifications.js";
+import { parseMediaUpload, storeUpload, discardUpload, buildMediaUrls } from "../utils/media.js";
+import { logAPIActivity } from "../utils/logger.js";
+import { checkTransition, sendTransitionError } from "../utils/report-lifecycle.js";
+import { getDeadlinePenalty, recomputeOnTimeRate } from "../utils/penalties.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply API logging middleware to all assignment routes
+router.use(logAPIActivity);
+
+const ACTIVE_ASSIGNMENT_STATUSES = ["ASSIGNED", "IN_PROGRESS"];
+
+const getMaxExtensionDays = () => parseInt(process.env.EXTENSION_MAX_DAYS || "30");
+
+const getMaxProofDistanceMeters = () => parseFloat(process.env.PROOF_MAX_DISTANCE_METERS || "200");
+
+/**
+ * Get the IDs of users subscribed to a report
+ */
+const getSubscriberIds = async (reportId) => {
+  const subscriptions = await prisma.reportSubscription.findMany({
+    where: { reportId },
+    select: { userId: true }
+  });
+  return subscriptions.map(sub => sub.userId);
+};
+
+// ========================================
+// CONTRACTOR ASSIGNMENTS
+// ========================================
+
+/**
+ * GET /api/assignments/mine
+ * The calling contractor's assignments, newest first
+ */
+router.get("/mine", authenticate(["CONTRACTOR"]), requireVerifiedContractor, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const assignments = await prisma.assignment.findMany({
+      where: {
+        contractorId: req.contractor.id,
+        ...(status && { status })
+      },
+      include: {
+        report: {
+          select: { id: true, title: true, status: true, address: true, latitude: true, longitude: true }
+        },
+        extensions: { orderBy: { createdAt: 'desc' } }
+      },
+      orderBy: { assignedAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: assignments
+    });
+
+  } catch (error) {
+    console.error("Error fetching contractor assignments:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch assignments"
+    });
+  }
+});
+
+// ========================================
+// DEADLINE EXTENSIONS
+// ========================================
+
+/**
+ * POST /api/assignments/:id/extensions
+ * Contractor asks for more time on an active assignment
+ *
+ * Body: {
+ *   requestedDays: number,
+ *   justification: string
+ * }
+ */
+router.post("/:id/extensions", authenticate(["CONTRACTOR"]), requireVerifiedContractor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { requestedDays, justification } = req.body;
+    const maxDays = getMaxExtensionDays();
+
+    if (!Number.isInteger(requestedDays) || requestedDays < 1 || requestedDays > maxDays) {
+      return res.status(400).json({
+        success: false,
+        message: `requestedDays must be a whole number between 1 and ${maxDays}`
+      });
+    }
+
+    if (!justification || justification.trim().length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: "Justification is required for an extension request (min 10 characters)"
+      });
+    }
+
+    const assignment = await prisma.assignment.findFirst({
+      where: { id, contractorId: req.contractor.id },
+      include: { report: { select: { id: true, title: true, wardId: true } } }
+    });
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found"
+      });
+    }
+
+    if (!ACTIVE_ASSIGNMENT_STATUSES.includes(assignment.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Extensions can only be requested on active assignments (current status: ${assignment.status})`
+      });
+    }
+
+    const pending = await prisma.extensionRequest.findFirst({
+      where: { assignmentId: id, officerApproved: null },
+      select: { id: true }
+    });
+
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: "An extension request for this assignment is already awaiting a decision",
+        extensionId: pending.id
+      });
+    }
+
+    const extension = await prisma.extensionRequest.create({
+      data: {
+        assignmentId: id,
+        contractorId: req.contractor.id,
+        requestedDays,
+        justification: justification.trim()
+      }
+    });
+
+    await prisma.reportHistory.create({
+      data: {
+        reportId: assignment.reportId,
+        actorId: req.user.id,
+        actorName: `${req.user.role} (${req.user.id})`,
+        action: "EXTENSION_REQUESTED",
+        description: `${req.contractor.businessName} requested a ${requestedDays}-day extension`,
+        justification: extension.justification,
+        metadata: {
+          extensionId: extension.id,
+          assignmentId: id,
+          requestedDays,
+          currentDeadline: assignment.deadlineAt
+        },
+        isSystemGenerated: false
+      }
+    });
+
+    const notification = {
+      type: "EXTENSION_REQUESTED",
+      title: "Deadline extension requested",
+      message: `The contractor on "${assignment.report.title}" asked for ${requestedDays} more day(s).`,
+      reportId: assignment.reportId,
+      data: { assignmentId: id, extensionId: extension.id }
+    };
+    await notifyUsers(await getSubscriberIds(assignment.reportId), notification);
+    await notifyWardOfficers(assignment.report.wardId, notification);
+
+    res.status(201).json({
+      success: true,
+      message: "Extension request submitted",
+      data: extension
+    });
+
+  } catch (error) {
+    console.error("Error requesting extension:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to request extension"
+    });
+  }
+});
+
+/**
+ * GET /api/assignments/:id/extensions
+ * Extension requests on an assignment with vote counts and the caller's own vote
+ */
+router.get("/:id/extensions", authenticate(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const assignment = await prisma.assignment.findUnique({
+      where: { id },
+      select: { id: true, reportId: true, deadlineAt: true, status: true }
+    });
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found"
+      });
+    }
+
+    const extensions = await prisma.extensionRequest.findMany({
+      where: { assignmentId: id },
+      include: {
+        votes: {
+          where: { userId: req.user.id },
+          select: { inFavor: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        assignment,
+        extensions: extensions.map(({ votes, ...extension }) => ({
+          ...extension,
+          status: extension.officerApproved === null ? "PENDING" : extension.officerApproved ? "APPROVED" : "DENIED",
+          myVote: votes[0] ? (votes[0].inFavor ? "FOR" : "AGAINST") : null
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching extension requests:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch extension requests"
+    });
+  }
+});
+
+/**
+ * POST /api/assignments/:id/extensions/:extensionId/vote
+ * Subscribed citizens vote once on a pending extension request
+ *
+ * Body: { inFavor: boolean }
+ */
+router.post("/:id/extensions/:extensionId/vote", authenticate(["CITIZEN"]), async (req, res) => {
+  try {
+    const { id, extensionId } = req.params;
+    const { inFavor } = req.body;
+
+    if (typeof inFavor !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "inFavor must be true or false"
+      });
+    }
+
+    const extension = await prisma.extensionRequest.findFirst({
+      where: { id: extensionId, assignmentId: id },
+      include: { assignment: { select: { reportId: true } } }
+    });
+
+    if (!extension) {
+      return res.status(404).json({
+        success: false,
+        message: "Extension request not found"
+      });
+    }
+
+    if (extension.officerApproved !== null) {
+      return res.status(409).json({
+        success: false,
+        message: "Voting has closed on this extension request"
+      });
+    }
+
+    const subscription = await prisma.reportSubscription.findUnique({
+      where: {
+        reportId_userId: { reportId: extension.assignment.reportId, userId: req.user.id }
+      }
+    });
+
+    if (!subscription) {
+      return res.status(403).json({
+        success: false,
+        message: "Only citizens subscribed to this report can vote"
+      });
+    }
+
+    const existingVote = await prisma.extensionVote.findUnique({
+      where: { extensionId_userId: { extensionId, userId: req.user.id } }
+    });
+
+    if (existingVote) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already voted on this extension request"
+      });
+    }
+
+    // The unique (extensionId, userId) index stops a parallel second vote from committing
+    const updatedExtension = await prisma.$transaction(async (tx) => {
+      await tx.extensionVote.create({
+        data: { extensionId, userId: req.user.id, inFavor }
+      });
+
+      return tx.extensionRequest.update({
+        where: { id: extensionId },
+        data: inFavor ? { votesFor: { increment: 1 } } : { votesAgainst: { increment: 1 } }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: "Vote recorded",
+      data: {
+        extensionId,
+        votesFor: updatedExtension.votesFor,
+        votesAgainst: updatedExtension.votesAgainst,
+        myVote: inFavor ? "FOR" : "AGAINST"
+      }
+    });
+
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({
+        success: false,
+        message: "You have already voted on this extension request"
+      });
+    }
+    console.error("Error voting on extension:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to record vote"
+    });
+  }
+});
+
+/**
+ * PATCH /api/assignments/:id/extensions/:extensionId/decision
+ * Officer approves or denies an extension request with mandatory justification
+ *
+ * Body: {
+ *   approve: boolean,
+ *   justification: string
+ * }
+ */
+router.patch("/:id/extensions/:extensionId/decision", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireAssignmentWardAccess(), async (req, res) => {
+  try {
+    const { id, extensionId } = req.params;
+    const { approve, justification } = req.body;
+
+    if (typeof approve !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "approve must be true or false"
+      });
+    }
+
+    if (!justification || justification.trim().length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: "Justification is required for an extension decision (min 10 characters)"
+      });
+    }
+
+    const extension = await prisma.extensionRequest.findFirst({
+      where: { id: extensionId, assignmentId: id },
+      include: {
+        assignment: {
+          include: { contractor: { select: { userId: true, businessName: true } } }
+        }
+      }
+    });
+
+    if (!extension) {
+      return res.status(404).json({
+        success: false,
+        message: "Extension request not found"
+      });
+    }
+
+    if (extension.officerApproved !== null) {
+      return res.status(409).json({
+        success: false,
+        message: `This extension request was already ${extension.officerApproved ? 'approved' : 'denied'}`
+      });
+    }
+
+    const { assignment } = extension;
+    const oldDeadline = assignment.deadlineAt;
+
+    // Extend from the current deadline, or from now if it has already passed
+    const base = oldDeadline && oldDeadline > new Date() ? oldDeadline : new Date();
+    const newDeadline = approve
+      ? new Date(base.getTime() + extension.requestedDays * 24 * 60 * 60 * 1000)
+      : oldDeadline;
+
+    // The penalty follows the deadline, so an approved extension lifts one accrued under the old deadline
+    const oldPenalty = { penaltyDays: assignment.penaltyDays, penaltyAmount: assignment.penaltyAmount };
+    const newPenalty = approve ? getDeadlinePenalty({ ...assignment, deadlineAt: newDeadline }) : oldPenalty;
+
+    const decided = await prisma.extensionRequest.updateMany({
+      where: { id: extensionId, officerApproved: null },
+      data: {
+        officerApproved: approve,
+        decidedById: req.user.id,
+        decidedAt: new Date(),
+        decisionNote: justification
+      }
+    });
+
+    if (decided.count === 0) {
+      return res.status(409).json({
+        success: false,
+        message: "This extension request was decided by someone else"
+      });
+    }
+
+    if (approve) {
+      await prisma.assignment.update({
+        where: { id },
+        data: { deadlineAt: newDeadline, ...newPenalty }
+      });
+      await recomputeOnTimeRate(assignment.contractorId);
+    }
+
+    await prisma.reportHistory.create({
+      data: {
+        reportId: assignment.reportId,
+        actorId: req.user.id,
+        actorName: `${req.user.role} (${req.user.id})`,
+        action: approve ? "EXTENSION_APPROVED" : "EXTENSION_DENIED",
+        description: approve
+          ? `Deadline extended by ${extension.requestedDays} day(s)`
+          : `Extension request of ${extension.requestedDays} day(s) denied`,
+        justification,
+        oldValue: { deadlineAt: oldDeadline, ...oldPenalty },
+        newValue: { deadlineAt: newDeadline, ...newPenalty },
+        metadata: {
+          extensionId,
+          assignmentId: id,
+          requestedDays: extension.requestedDays,
+          votesFor: extension.votesFor,
+          votesAgainst: extension.votesAgainst
+        },
+        isSystemGenerated: false
+      }
+    });
+
+    await prisma.adminLog.create({
+      data: {
+        adminId: req.user.id,
+        adminName: req.user.name || "Admin",
+        adminRole: req.user.role,
+        entityType: "ASSIGNMENT",
+        entityId: id,
+        actionType: approve ? "APPROVED" : "REJECTED",
+        justificationMessage: justification,
+        oldValue: { deadlineAt: oldDeadline, ...oldPenalty, extensionId },
+        newValue: { deadlineAt: newDeadline, ...newPenalty, officerApproved: approve }
+      }
+    });
+
+    if (assignment.contractor.userId) {
+      await notifyUsers([assignment.contractor.userId], {
+        type: approve ? "EXTENSION_APPROVED" : "EXTENSION_DENIED",
+        title: approve ? "Extension approved" : "Extension denied",
+        message: approve
+          ? `Your deadline was extended to ${newDeadline.toISOString()}.`
+          : `Your request for ${extension.requestedDays} more day(s) was denied: ${justification}`,
+        reportId: assignment.reportId,
+        data: { assignmentId: id, extensionId }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Extension ${approve ? 'approved' : 'denied'} successfully`,
+      data: {
+        extensionId,
+        officerApproved: approve,
+        deadlineAt: newDeadline,
+        previousDeadline: oldDeadline,
+        penaltyDays: newPenalty.penaltyDays,
+        penaltyAmount: newPenalty.penaltyAmount
+      }
+    });
+
+  } catch (error) {
+    console.error("Error deciding extension request:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to decide extension request"
+    });
+  }
+});
+
+// ========================================
+// COMPLETION PROOFS
+// ========================================
+
+/**
+ * POST /api/assignments/:id/proofs
+ * Contractor uploads a progress or completion proof with geotagged photos
+ * (multipart/form-data). The location check uses the GPS in each photo's EXIF.
+ *
+ * Body: {
+ *   files: photo files (JPEG, PNG or WebP with GPS), up to MEDIA_MAX_FILES
+ *   progressPct: number,   // 0-100, 100 marks the work as complete
+ *   notes?: string,
+ *   caption?: string       // applied to every photo
+ * }
+ */
+router.post("/:id/proofs", authenticate(["CONTRACTOR"]), requireVerifiedContractor, parseMediaUpload("files"), async (req, res) => {
+  const stored = [];
+  try {
+    const { id } = req.params;
+    const progressPct = Number(req.body.progressPct);
+    const notes = req.body.notes?.trim() || null;
+    const caption = req.body.caption?.trim() || null;
+
+    if (!Number.isInteger(progressPct) || progressPct < 0 || progressPct > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "progressPct must be a whole number between 0 and 100"
+      });
+    }
+
+    if (!req.files?.length) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one photo is required in the \"files\" field"
+      });
+    }
+
+    const assignment = await prisma.assignment.findFirst({
+      where: { id, contractorId: req.contractor.id },
+      include: {
+        report: {
+          select: { id: true, title: true, status: true, latitude: true, longitude: true, reporterId: true, wardId: true }
+        }
+      }
+    });
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found"
+      });
+    }
+
+    if (!ACTIVE_ASSIGNMENT_STATUSES.includes(assignment.status) || !["ASSIGNED", "IN_PROGRESS"].includes(assignment.report.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Proofs can only be submitted while work is in progress (report status: ${assignment.report.status})`
+      });
+    }
+
+    const lastProof = await prisma.completionProof.findFirst({
+      where: { assignmentId: id, approvalStatus: { notIn: ["REJECTED", "DISPUTED"] } },
+      orderBy: { createdAt: 'desc' },
+      select: { progressPct: true }
+    });
+
+    if (lastProof && progressPct < (lastProof.progressPct ?? 0)) {
+      return res.status(400).json({
+        success: false,
+        message: `progressPct cannot go below the last reported ${lastProof.progressPct}%`
+      });
+    }
+
+    const { report } = assignment;
+    for (const file of req.files) {
+      const result = await storeUpload(file, {
+        prefix: `assignments/${id}/proofs`,
+        location: { latitude: report.latitude, longitude: report.longitude }
+      });
+
+      if (!result.ok) {
+        await Promise.all(stored.splice(0).map(discardUpload));
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+      stored.push(result.media);
+    }
+
+    // Every photo must carry its own GPS, taken near the reported location
+    const ungeotagged = req.files.filter((file, index) => stored[index].lat === null);
+    if (ungeotagged.length) {
+      await Promise.all(stored.splice(0).map(discardUpload));
+      return res.status(422).json({
+        success: false,
+        message: `Proof photos must have GPS location data; missing in ${ungeotagged.map(file => file.originalname).join(", ")}`
+      });
+    }
+
+    const maxDistance = getMaxProofDistanceMeters();
+    const farthest = Math.max(...stored.map(item => item.distanceFromReportMeters));
+
+    if (farthest > maxDistance) {
+      await Promise.all(stored.splice(0).map(discardUpload));
+      return res.status(422).json({
+        success: false,
+        message: `Proof photos were taken ${farthest} m from the report; they must be within ${maxDistance} m`,
+        distanceMeters: farthest,
+        maxDistanceMeters: maxDistance
+      });
+    }
+
+    const proof = await prisma.$transaction(async (tx) => {
+      const created = await tx.completionProof.create({
+        data: {
+          reportId: report.id,
+          assignmentId: id,
+          uploadedById: req.user.id,
+          progressPct,
+          notes,
+          // Where the proof was captured: the first photo's GPS
+          lat: stored[0].lat,
+          lon: stored[0].lon
+        }
+      });
+
+      for (const item of stored) {
+        const media = await tx.media.create({
+          data: {
+            ...item,
+            url: "",
+            caption,
+            source: "PROOF",
+            reportId: report.id,
+            completionProofId: created.id,
+            uploadedById: req.user.id
+          }
+        });
+
+        const urls = buildMediaUrls(media.id);
+        await tx.media.update({
+          where: { id: media.id },
+          data: {
+            url: urls.url,
+            thumbnailUrl: item.thumbnailKey ? urls.thumbnailUrl : null
+          }
+        });
+      }
+
+      return tx.completionProof.findUnique({
+        where: { id: created.id },
+        include: { media: true }
+      });
+    });
+
+    const isComplete = progressPct === 100;
+    const newReportStatus = isComplete ? "PENDING_CITIZEN_REVIEW" : "IN_PROGRESS";
+
+    // Checked after the proof exists, since a completion move needs it; undone if refused
+    if (report.status !== newReportStatus) {
+      const transition = await checkTransition(report, newReportStatus, { role: req.user.role });
+      if (!transition.ok) {
+        await prisma.$transaction([
+          prisma.media.deleteMany({ where: { completionProofId: proof.id } }),
+          prisma.completionProof.delete({ where: { id: proof.id } })
+        ]);
+        await Promise.all(stored.splice(0).map(discardUpload));
+        return sendTransitionError(res, report, transition);
+      }
+    }
+
+    if (assignment.status !== "IN_PROGRESS") {
+      await prisma.assignment.update({
+        where: { id },
+        data: { status: "IN_PROGRESS" }
+      });
+    }
+
+    if (report.status !== newReportStatus) {
+      await prisma.report.update({
+        where: { id: report.id },
+        data: { status: newReportStatus }
+      });
+    }
+
+    await prisma.reportHistory.create({
+      data: {
+        reportId: report.id,
+        actorId: req.user.id,
+        actorName: `${req.user.role} (${req.user.id})`,
+        action: isComplete ? "COMPLETION_SUBMITTED" : "PROGRESS_UPDATED",
+        oldStatus: report.status,
+        newStatus: newReportStatus,
+        description: isComplete
+          ? `${req.contractor.businessName} marked the work complete`
+          : `${req.contractor.businessName} reported ${progressPct}% progress`,
+        metadata: {
+          proofId: proof.id,
+          assignmentId: id,
+          progressPct,
+          photos: proof.media.length,
+          maxDistanceMeters: farthest
+        },
+        isSystemGenerated: false
+      }
+    });
+
+    if (isComplete) {
+      await notifyUsers([report.reporterId, ...await getSubscriberIds(report.id)], {
+        type: "COMPLETION_SUBMITTED",
+        title: "Work reported complete",
+        message: `The contractor says "${report.title}" is fixed. Please check and confirm or dispute.`,
+        reportId: report.id,
+        data: { proofId: proof.id }
+      });
+      await notifyWardOfficers(report.wardId, {
+        type: "COMPLETION_SUBMITTED",
+        title: "Completion proof submitted",
+        message: `A completion proof was submitted for "${report.title}".`,
+        reportId: report.id,
+        data: { proofId: proof.id, assignmentId: id }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: isComplete ? "Completion proof submitted for citizen review" : "Progress proof submitted",
+      data: proof
+    });
+
+  } catch (error) {
+    await Promise.all(stored.map(discardUpload)).catch(() => {});
+    console.error("Error submitting proof:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit proof"
+    });
+  }
+});
+
+/**
+ * GET /api/assignments/:id/proofs
+ * Progress and completion proofs on an assignment, newest first
+ */
+router.get("/:id/proofs", authenticate(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const assignment = await prisma.assignment.findUnique({
+      where: { id },
+      select: { id: true, reportId: true, status: true, deadlineAt: true }
+    });
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found"
+      });
+    }
+
+    const proofs = await prisma.completionProof.findMany({
+      where: { assignmentId: id },
+      include: {
+        media: {
+          select: {
+            id: true, url: true, thumbnailUrl: true, mimeType: true, caption: true,
+            lat: true, lon: true, capturedAt: true, distanceFromReportMeters: true, uploadedAt: true
+          }
+        },
+        approvals: { select: { approverRole: true, isApproved: true, comment: true, createdAt: true } }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        assignment,
+        proofs
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching proofs:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch proofs"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,458 @@
+import express from 'express';
+import { PrismaClient } from '../generated/prisma/index.js';
+import {
+  authenticate,
+  validateCredentials,
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  signAccessToken,
+  createApiKey,
+  getAccessTokenTtlSeconds,
+  getRefreshTokenTtlDays
+} from '../utils/auth.js';
+import { requestOtp, verifyOtp } from '../utils/otp.js';
+import { validatePhone } from '../utils/validation.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * Set the access and refresh token cookies on a response
+ */
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie('token', accessToken, {
+    httpOnly: false,  // Set to false for Postman testing
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',  // More permissive for local development
+    path: '/',
+    maxAge: getAccessTokenTtlSeconds() * 1000,
+  });
+
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/auth',
+    maxAge: getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000,
+  });
+};
+
+/**
+ * POST /api/auth/login
+ * Authenticate user and set token in cookie
+ *
+ * Body: {
+ *   id: string,        // login ID or email
+ *   password: string
+ * }
+ */
+router.post("/login", async (req, res) => {
+  try {
+    const { id, password } = req.body;
+
+    // Validate required fields
+    if (!id || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Both id and password are required"
+      });
+    }
+
+    // Validate credentials against the stored bcrypt hash
+    const user = await validateCredentials(id, password);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials"
+      });
+    }
+
+    const { accessToken, refreshToken, expiresIn } = await createSession(user);
+
+    // Set cookie for browser and also return token for Postman testing
+    setAuthCookies(res, accessToken, refreshToken);
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: {
+        user: {
+          id: user.id,
+          name: user.name,
+          role: user.role,
+          email: user.email,
+          loginId: user.loginId
+        },
+        token: accessToken, // Include token for Postman testing
+        refreshToken,
+        expiresIn,
+        cookieSet: true
+      },
+      instructions: {
+        postman: "Use the token in Authorization header as 'Bearer <token>'. When it expires, POST the refreshToken to /api/auth/refresh",
+        browser: "Tokens are automatically set in cookies and will be sent with subsequent requests"
+      }
+    });
+
+  } catch (error) {
+    console.error("Error during login:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to login"
+    });
+  }
+});
+
+// ========================================
+// CITIZEN OTP LOGIN
+// ========================================
+
+/**
+ * POST /api/auth/otp/request
+ * Send a one-time login code to a citizen's phone
+ *
+ * Body: { phone: string }
+ */
+router.post("/otp/request", async (req, res) => {
+  try {
+    const { phone } = req.body;
+
+    if (!phone || !validatePhone(phone)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid phone number format (must be 10 digits starting with 6-9)"
+      });
+    }
+
+    const result = await requestOtp(phone, req.ip);
+
+    if (!result.ok) {
+      logger.security('OTP_RATE_LIMITED', { phone, ip: req.ip });
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    logger.authEvent('OTP_REQUESTED', null, { phone, ip: req.ip });
+
+    // Same response whether or not the number is registered
+    res.json({
+      success: true,
+      message: "If this number is registered, a login code has been sent",
+      data: {
+        expiresIn: result.expiresIn
+      }
+    });
+
+  } catch (error) {
+    console.error("Error requesting OTP:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send login code"
+    });
+  }
+});
+
+/**
+ * POST /api/auth/otp/verify
+ * Exchange a valid login code for a session
+ *
+ * Body: { phone: string, code: string }
+ */
+router.post("/otp/verify", async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+
+    if (!phone || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "Both phone and code are required"
+      });
+    }
+
+    const result = await verifyOtp(phone, code);
+
+    if (!result.ok) {
+      logger.authEvent('OTP_VERIFY_FAILED', null, { phone, ip: req.ip, reason: result.message });
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.attemptsLeft !== undefined && { attemptsLeft: result.attemptsLeft })
+      });
+    }
+
+    const user = result.user;
+    const { accessToken, refreshToken, expiresIn } = await createSession(user);
+    setAuthCookies(res, accessToken, refreshToken);
+
+    logger.authEvent('OTP_LOGIN', user.id, { phone, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: {
+        user: {
+          id: user.id,
+          name: user.name,
+          role: user.role,
+          phone: user.phone,
+          verified: user.verified
+        },
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+        cookieSet: true
+      }
+    });
+
+  } catch (error) {
+    console.error("Error verifying OTP:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to verify login code"
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Rotate the refresh token and issue a new access token
+ *
+ * Body: { refreshToken?: string } (falls back to the refreshToken cookie)
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const presentedToken = req.body?.refreshToken || req.cookies?.refreshToken;
+
+    if (!presentedToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required"
+      });
+    }
+
+    const rotated = await rotateRefreshToken(presentedToken);
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token. Please login again."
+      });
+    }
+
+    const accessToken = signAccessToken(rotated.user);
+    setAuthCookies(res, accessToken, rotated.refreshToken);
+
+    res.json({
+      success: true,
+      message: "Token refreshed",
+      data: {
+        token: accessToken,
+        refreshToken: rotated.refreshToken,
+        expiresIn: getAccessTokenTtlSeconds()
+      }
+    });
+
+  } catch (error) {
+    console.error("Error refreshing token:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to refresh token"
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the refresh token and clear authentication cookies
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body?.refreshToken || req.cookies?.refreshToken);
+
+    res.clearCookie('token', {
+      path: '/',
+      sameSite: 'lax'
+    });
+    res.clearCookie('refreshToken', {
+      path: '/api/auth',
+      sameSite: 'lax'
+    });
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+      instructions: "Authentication tokens have been cleared from cookies and the refresh token revoked"
+    });
+
+  } catch (error) {
+    console.error("Error during logout:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to logout"
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get current user information
+ */
+router.get("/me", authenticate(), (req, res) => {
+  res.json({
+    success: true,
+    message: "Current user information",
+    data: {
+      user: req.user,
+      authenticated: true,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// ========================================
+// API KEYS
+// ========================================
+
+/**
+ * POST /api/auth/api-keys
+ * Create an API key for the current user. The key is only shown once.
+ *
+ * Body: {
+ *   name: string,
+ *   expiresAt?: string (ISO date)
+ * }
+ */
+router.post("/api-keys", authenticate([], { strategies: ["session", "bearer"] }), async (req, res) => {
+  try {
+    const { name, expiresAt } = req.body;
+
+    if (!name || name.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "A name for the API key is required"
+      });
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (isNaN(expiry.getTime()) || expiry < new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: "expiresAt must be a valid date in the future"
+      });
+    }
+
+    const { key, record } = await createApiKey(req.user.id, name.trim(), expiry);
+
+    res.status(201).json({
+      success: true,
+      message: "API key created. Store it now, it will not be shown again.",
+      data: {
+        id: record.id,
+        name: record.name,
+        key,
+        keyPrefix: record.keyPrefix,
+        expiresAt: record.expiresAt,
+        createdAt: record.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create API key"
+    });
+  }
+});
+
+/**
+ * GET /api/auth/api-keys
+ * List the current user's API keys
+ */
+router.get("/api-keys", authenticate(), async (req, res) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { userId: req.user.id },
+      select: {
+        id: true,
+        name: true,
+        keyPrefix: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        revokedAt: true,
+        createdAt: true
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: apiKeys
+    });
+
+  } catch (error) {
+    console.error("Error fetching API keys:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch API keys"
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/api-keys/:id
+ * Revoke one of the current user's API keys
+ */
+router.delete("/api-keys/:id", authenticate(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { count } = await prisma.apiKey.updateMany({
+      where: { id, userId: req.user.id, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found or already revoked"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "API key revoked"
+    });
+
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke API key"
+    });
+  }
+});
+
+/**
+ * GET /api/auth/admin-data
+ * Example protected route for admins only
+ */
+router.get("/admin-data", authenticate(['ADMIN', 'SUPERADMIN']), (req, res) => {
+  res.json({ 
+    success: true, 
+    message: "This is protected admin data",
+    data: {
+      secret: "Admin secret information",
+      user: req.user.name,
+      role: req.user.role,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+export default router;
\ No newline at end of file
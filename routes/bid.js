@@ -0,0 +1,545 @@
+// Contractor bidding routes for JanMarg Backend
+import express from "express";
+import { PrismaClient } from "../generated/prisma/index.js";
+import { authenticate } from "../utils/auth.js";
+import { requireVerifiedContractor } from "../utils/policy.js";
+import { getScoringWeights, rescoreReportBids } from "../utils/scoring.js";
+import { logAPIActivity } from "../utils/logger.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply API logging middleware to all bid routes
+router.use(logAPIActivity);
+
+/**
+ * Check if a report is currently accepting bids
+ */
+const isBiddingOpen = (report) => {
+  if (report.status !== "IN_BIDDING") return false;
+  return !report.biddingClosesAt || report.biddingClosesAt > new Date();
+};
+
+/**
+ * Validate an itemized bid breakdown against the bid amount
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateBreakdown = (breakdown, amount) => {
+  if (!Array.isArray(breakdown) || breakdown.length === 0) {
+    return "breakdown must be a non-empty list of { item, amount } lines";
+  }
+
+  for (const line of breakdown) {
+    if (!line?.item || typeof line.amount !== "number" || line.amount < 0) {
+      return "Each breakdown line needs an item name and a non-negative amount";
+    }
+  }
+
+  const total = breakdown.reduce((sum, line) => sum + line.amount, 0);
+  if (Math.abs(total - amount) > 0.01) {
+    return `Breakdown lines add up to ${total}, which does not match the bid amount ${amount}`;
+  }
+
+  return null;
+};
+
+/**
+ * Load a bid owned by the calling contractor together with its report
+ */
+const findOwnBid = (bidId, contractorId) => {
+  return prisma.bid.findFirst({
+    where: { id: bidId, contractorId },
+    include: {
+      report: { select: { id: true, title: true, status: true, biddingClosesAt: true } }
+    }
+  });
+};
+
+// ========================================
+// BROWSING
+// ========================================
+
+/**
+ * GET /api/bids/open-reports
+ * Reports currently accepting bids
+ */
+router.get("/open-reports", authenticate(["CONTRACTOR"]), requireVerifiedContractor, async (req, res) => {
+  try {
+    const { wardId, issueTypeId, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = {
+      status: "IN_BIDDING",
+      OR: [
+        { biddingClosesAt: null },
+        { biddingClosesAt: { gt: new Date() } }
+      ],
+      ...(wardId && { wardId }),
+      ...(issueTypeId && { issueTypeId })
+    };
+
+    const [reports, total] = await Promise.all([
+      prisma.report.findMany({
+        where,
+        select: {
+          id: true,
+          title: true,
+          description: true,
+          latitude: true,
+          longitude: true,
+          address: true,
+          severity: true,
+          biddingClosesAt: true,
+          createdAt: true,
+          ward: { select: { id: true, name: true } },
+          issueType: { select: { id: true, title: true } },
+          media: { select: { id: true, url: true, mimeType: true } },
+          bids: {
+            where: { status: { not: "WITHDRAWN" } },
+            select: { contractorId: true, id: true, amount: true, status: true }
+          }
+        },
+        orderBy: [
+          { biddingClosesAt: 'asc' },
+          { createdAt: 'desc' }
+        ],
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.report.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reports: reports.map(({ bids, ...report }) => ({
+          ...report,
+          bidCount: bids.length,
+          myBid: bids.find(bid => bid.contractorId === req.contractor.id) || null
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching open reports:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch reports open for bidding"
+    });
+  }
+});
+
+/**
+ * GET /api/bids/mine
+ * The calling contractor's bids, newest first
+ */
+router.get("/mine", authenticate(["CONTRACTOR"]), requireVerifiedContractor, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const bids = await prisma.bid.findMany({
+      where: {
+        contractorId: req.contractor.id,
+        ...(status && { status })
+      },
+      include: {
+        report: { select: { id: true, title: true, status: true, biddingClosesAt: true } }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: bids
+    });
+
+  } catch (error) {
+    console.error("Error fetching contractor bids:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch bids"
+    });
+  }
+});
+
+/**
+ * GET /api/bids/reports/:reportId/scores
+ * Public: how every bid on a report was scored. While bidding is open only the
+ * scoring weights are shown, so contractors cannot see their rivals' amounts.
+ */
+router.get("/reports/:reportId/scores", async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
+    const report = await prisma.report.findUnique({
+      where: { id: reportId },
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        biddingClosesAt: true,
+        issueType: { select: { title: true, scoringWeights: true } }
+      }
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    const summary = {
+      id: report.id,
+      title: report.title,
+      status: report.status,
+      biddingClosesAt: report.biddingClosesAt
+    };
+    const weights = getScoringWeights(report.issueType);
+
+    // Amounts and breakdowns only once the deadline has passed or a bid was awarded
+    if (isBiddingOpen(report)) {
+      return res.json({
+        success: true,
+        data: { report: summary, weights, revealed: false }
+      });
+    }
+
+    const bids = await prisma.bid.findMany({
+      where: { reportId, status: { not: "WITHDRAWN" } },
+      select: {
+        id: true,
+        amount: true,
+        status: true,
+        score: true,
+        officerAdjPct: true,
+        scoreBreakdown: true,
+        createdAt: true,
+        contractor: { select: { id: true, businessName: true } }
+      },
+      orderBy: [
+        { score: 'desc' },
+        { amount: 'asc' }
+      ]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        report: summary,
+        weights,
+        revealed: true,
+        bids: bids.map((bid, index) => ({ rank: index + 1, ...bid }))
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching bid scores:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch bid scores"
+    });
+  }
+});
+
+// ========================================
+// PLACING, REVISING & WITHDRAWING BIDS
+// ========================================
+
+/**
+ * POST /api/bids
+ * Place a bid on a report that is in bidding
+ *
+ * Body: {
+ *   reportId: string,
+ *   amount: number,
+ *   breakdown: [{ item: string, quantity?: number, unitCost?: number, amount: number }],
+ *   notes?: string
+ * }
+ */
+router.post("/", authenticate(["CONTRACTOR"]), requireVerifiedContractor, async (req, res) => {
+  try {
+    const { reportId, amount, breakdown, notes } = req.body;
+
+    if (!reportId || typeof amount !== "number" || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "reportId and a positive numeric amount are required"
+      });
+    }
+
+    const breakdownError = validateBreakdown(breakdown, amount);
+    if (breakdownError) {
+      return res.status(400).json({
+        success: false,
+        message: breakdownError
+      });
+    }
+
+    const report = await prisma.report.findUnique({
+      where: { id: reportId },
+      select: { id: true, status: true, biddingClosesAt: true }
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    if (!isBiddingOpen(report)) {
+      return res.status(409).json({
+        success: false,
+        message: "This report is not accepting bids"
+      });
+    }
+
+    const existingBid = await prisma.bid.findFirst({
+      where: {
+        reportId,
+        contractorId: req.contractor.id,
+        status: { not: "WITHDRAWN" }
+      },
+      select: { id: true }
+    });
+
+    if (existingBid) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have a bid on this report. Revise it instead.",
+        bidId: existingBid.id
+      });
+    }
+
+    const bid = await prisma.bid.create({
+      data: {
+        reportId,
+        contractorId: req.contractor.id,
+        amount,
+        breakdown,
+        notes
+      }
+    });
+
+    const scoredBids = await rescoreReportBids(reportId);
+
+    await prisma.reportHistory.create({
+      data: {
+        reportId,
+        actorId: req.user.id,
+        actorName: `${req.user.role} (${req.user.id})`,
+        action: "BID_PLACED",
+        description: `${req.contractor.businessName} placed a bid of ${amount}`,
+        newValue: { bidId: bid.id, amount },
+        metadata: {
+          bidId: bid.id,
+          contractorId: req.contractor.id,
+          amount,
+          lineItems: breakdown.length
+        },
+        isSystemGenerated: false
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Bid placed successfully",
+      data: scoredBids.find(b => b.id === bid.id) || bid
+    });
+
+  } catch (error) {
+    console.error("Error placing bid:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to place bid"
+    });
+  }
+});
+
+/**
+ * PATCH /api/bids/:id
+ * Revise a pending bid while bidding is still open
+ *
+ * Body: {
+ *   amount?: number,
+ *   breakdown?: array,
+ *   notes?: string
+ * }
+ */
+router.patch("/:id", authenticate(["CONTRACTOR"]), requireVerifiedContractor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, breakdown, notes } = req.body;
+
+    const bid = await findOwnBid(id, req.contractor.id);
+
+    if (!bid) {
+      return res.status(404).json({
+        success: false,
+        message: "Bid not found"
+      });
+    }
+
+    if (bid.status !== "PENDING") {
+      return res.status(409).json({
+        success: false,
+        message: `Only pending bids can be revised (current status: ${bid.status})`
+      });
+    }
+
+    if (!isBiddingOpen(bid.report)) {
+      return res.status(409).json({
+        success: false,
+        message: "Bidding on this report has closed"
+      });
+    }
+
+    if (amount !== undefined && (typeof amount !== "number" || amount <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "amount must be a positive number"
+      });
+    }
+
+    const newAmount = amount ?? bid.amount;
+    const newBreakdown = breakdown ?? bid.breakdown;
+
+    // Amount and breakdown have to stay consistent whichever one changed
+    if (amount !== undefined || breakdown !== undefined) {
+      const breakdownError = validateBreakdown(newBreakdown, newAmount);
+      if (breakdownError) {
+        return res.status(400).json({
+          success: false,
+          message: breakdownError
+        });
+      }
+    }
+
+    const updatedBid = await prisma.bid.update({
+      where: { id },
+      data: {
+        amount: newAmount,
+        breakdown: newBreakdown,
+        ...(notes !== undefined && { notes })
+      }
+    });
+
+    const scoredBids = await rescoreReportBids(bid.reportId);
+
+    await prisma.reportHistory.create({
+      data: {
+        reportId: bid.reportId,
+        actorId: req.user.id,
+        actorName: `${req.user.role} (${req.user.id})`,
+        action: "BID_REVISED",
+        description: `${req.contractor.businessName} revised their bid from ${bid.amount} to ${newAmount}`,
+        oldValue: { bidId: id, amount: bid.amount },
+        newValue: { bidId: id, amount: newAmount },
+        metadata: {
+          bidId: id,
+          contractorId: req.contractor.id,
+          breakdownChanged: breakdown !== undefined
+        },
+        isSystemGenerated: false
+      }
+    });
+
+    res.json({
+      success: true,
+      message: "Bid revised successfully",
+      data: scoredBids.find(b => b.id === id) || updatedBid
+    });
+
+  } catch (error) {
+    console.error("Error revising bid:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revise bid"
+    });
+  }
+});
+
+/**
+ * POST /api/bids/:id/withdraw
+ * Withdraw a pending bid while bidding is still open
+ *
+ * Body: { reason?: string }
+ */
+router.post("/:id/withdraw", authenticate(["CONTRACTOR"]), requireVerifiedContractor, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const bid = await findOwnBid(id, req.contractor.id);
+
+    if (!bid) {
+      return res.status(404).json({
+        success: false,
+        message: "Bid not found"
+      });
+    }
+
+    if (bid.status !== "PENDING") {
+      return res.status(409).json({
+        success: false,
+        message: `Only pending bids can be withdrawn (current status: ${bid.status})`
+      });
+    }
+
+    if (!isBiddingOpen(bid.report)) {
+      return res.status(409).json({
+        success: false,
+        message: "Bidding on this report has closed"
+      });
+    }
+
+    const updatedBid = await prisma.bid.update({
+      where: { id },
+      data: { status: "WITHDRAWN" }
+    });
+
+    // The lowest price may have changed for the remaining bids
+    await rescoreReportBids(bid.reportId);
+
+    await prisma.reportHistory.create({
+      data: {
+        reportId: bid.reportId,
+        actorId: req.user.id,
+        actorName: `${req.user.role} (${req.user.id})`,
+        action: "BID_WITHDRAWN",
+        description: `${req.contractor.businessName} withdrew their bid of ${bid.amount}`,
+        justification: reason,
+        oldValue: { bidId: id, status: bid.status },
+        newValue: { bidId: id, status: "WITHDRAWN" },
+        metadata: {
+          bidId: id,
+          contractorId: req.contractor.id,
+          amount: bid.amount
+        },
+        isSystemGenerated: false
+      }
+    });
+
+    res.json({
+      success: true,
+      message: "Bid withdrawn successfully",
+      data: updatedBid
+    });
+
+  } catch (error) {
+    console.error("Error withdrawing bid:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to withdraw bid"
+    });
+  }
+});
+
+export default router;
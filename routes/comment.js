@@ -0,0 +1,520 @@
+// Report comment routes for JanMarg Backend
+//
+// Mounted by the report router at /api/reports/:reportId/comments.
+// Private comments are notes for the report's moderators, admins and reporter;
+// everyone else only sees public comments.
+import express from "express";
+import { PrismaClient } from "../generated/prisma/index.js";
+import { authenticate, optionalAuthenticate } from "../utils/auth.js";
+import { canModerateReport, canViewPrivateNotes } from "../utils/policy.js";
+import { notifyUsers } from "../utils/notifications.js";
+import { logAPIActivity } from "../utils/logger.js";
+import { sendMergedConflict } from "../utils/merge.js";
+import { CURRENT_ASSIGNMENT, withCurrentAssignment } from "../utils/bidding.js";
+
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+// Apply API logging middleware to all comment routes
+router.use(logAPIActivity);
+
+const MAX_COMMENT_LENGTH = 2000;
+
+const authorSelect = {
+  select: { id: true, name: true, role: true }
+};
+
+/**
+ * Load the report a comment route is nested under
+ */
+const findReport = async (reportId) => {
+  const report = await prisma.report.findUnique({
+    where: { id: reportId },
+    select: {
+      id: true,
+      title: true,
+      wardId: true,
+      reporterId: true,
+      isAnonymous: true,
+      status: true,
+      mergedIntoId: true,
+      mergedReporterIds: true,
+      hiddenReporterIds: true,
+      assignments: { where: CURRENT_ASSIGNMENT, take: 1, select: { contractor: { select: { userId: true } } } }
+    }
+  });
+  return report && withCurrentAssignment(report);
+};
+
+/**
+ * Users shown without their identity to a viewer: anonymous reporters,
+ * including those of anonymous reports merged into this one. Only the report's
+ * moderators see them all; a reporter sees themselves but not co-reporters.
+ */
+const getHiddenAuthorIds = async (req, report) => {
+  if (await canModerateReport(req, report)) return [];
+  return [
+    ...(report.isAnonymous ? [report.reporterId] : []),
+    ...report.hiddenReporterIds
+  ].filter(id => id !== req.user?.id);
+};
+
+/**
+ * Validate comment text
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateContent = (content) => {
+  if (typeof content !== "string" || !content.trim()) {
+    return "content is required";
+  }
+  if (content.trim().length > MAX_COMMENT_LENGTH) {
+    return `content must be at most ${MAX_COMMENT_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Shape a comment for API responses; deleted comments keep their place in
+ * the thread without their content
+ */
+const toCommentResponse = (comment) => ({
+  id: comment.id,
+  parentId: comment.parentId,
+  author: comment.deletedAt ? null : comment.author,
+  content: comment.deletedAt ? null : comment.content,
+  isPrivate: comment.isPrivate,
+  mentionedUserIds: comment.mentionedUserIds,
+  isEdited: Boolean(comment.editedAt),
+  editedAt: comment.editedAt,
+  isDeleted: Boolean(comment.deletedAt),
+  createdAt: comment.createdAt,
+  replies: []
+});
+
+// ========================================
+// COMMENTS
+// ========================================
+
+/**
+ * GET /api/reports/:reportId/comments
+ * Comment threads on a report, oldest first. Private notes are included
+ * only for the report's moderators, admins and reporter.
+ */
+router.get("/", optionalAuthenticate(), async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
+    const report = await findReport(reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    const includePrivate = await canViewPrivateNotes(req, report);
+
+    const comments = await prisma.comment.findMany({
+      where: {
+        reportId,
+        ...(!includePrivate && { isPrivate: false })
+      },
+      include: { author: authorSelect },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    // Anonymous reporters stay anonymous in their own threads
+    const hiddenAuthorIds = await getHiddenAuthorIds(req, report);
+
+    // Build the threads; replies whose parent is hidden are dropped with it
+    const byId = new Map(comments.map(comment => {
+      const response = toCommentResponse(comment);
+      if (hiddenAuthorIds.includes(comment.authorId)) response.author = null;
+      return [comment.id, response];
+    }));
+    const threads = [];
+    for (const comment of byId.values()) {
+      if (!comment.parentId) {
+        threads.push(comment);
+      } else if (byId.has(comment.parentId)) {
+        byId.get(comment.parentId).replies.push(comment);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        comments: threads,
+        total: comments.length,
+        includesPrivate: includePrivate
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching comments:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch comments"
+    });
+  }
+});
+
+/**
+ * POST /api/reports/:reportId/comments
+ * Add a comment or reply
+ *
+ * Body: {
+ *   content: string,
+ *   parentId?: string,
+ *   isPrivate?: boolean (moderators, admins and the reporter only),
+ *   mentionContractor?: boolean (notify the assigned contractor)
+ * }
+ */
+router.post("/", authenticate(), async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { content, parentId, isPrivate = false, mentionContractor = false } = req.body;
+
+    const contentError = validateContent(content);
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        message: contentError
+      });
+    }
+
+    const report = await findReport(reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    if (report.status === "MERGED") {
+      return sendMergedConflict(res, report);
+    }
+
+    const canSeePrivate = await canViewPrivateNotes(req, report);
+
+    let parent = null;
+    if (parentId) {
+      parent = await prisma.comment.findFirst({
+        where: { id: parentId, reportId }
+      });
+
+      if (!parent || (parent.isPrivate && !canSeePrivate)) {
+        return res.status(404).json({
+          success: false,
+          message: "Parent comment not found on this report"
+        });
+      }
+
+      if (parent.deletedAt) {
+        return res.status(409).json({
+          success: false,
+          message: "Cannot reply to a deleted comment"
+        });
+      }
+    }
+
+    // Replies inherit privacy so a private thread cannot leak through a public reply
+    const makePrivate = Boolean(isPrivate) || Boolean(parent?.isPrivate);
+
+    if (makePrivate && !canSeePrivate) {
+      return res.status(403).json({
+        success: false,
+        message: "Only moderators, admins and the reporter can add private notes"
+      });
+    }
+
+    let mentionedUserIds = [];
+    if (mentionContractor) {
+      const contractorUserId = report.assignment?.contractor.userId;
+      if (!contractorUserId) {
+        return res.status(409).json({
+          success: false,
+          message: "This report has no assigned contractor to mention"
+        });
+      }
+      if (makePrivate) {
+        return res.status(400).json({
+          success: false,
+          message: "The contractor cannot see private notes; mention them in a public comment"
+        });
+      }
+      mentionedUserIds = [contractorUserId];
+    }
+
+    const comment = await prisma.comment.create({
+      data: {
+        reportId,
+        authorId: req.user.id,
+        parentId: parent?.id || null,
+        content: content.trim(),
+        isPrivate: makePrivate,
+        mentionedUserIds
+      },
+      include: { author: authorSelect }
+    });
+
+    await prisma.reportHistory.create({
+      data: {
+        reportId,
+        actorId: req.user.id,
+        actorName: `${req.user.role} (${req.user.id})`,
+        action: "COMMENT_ADDED",
+        description: makePrivate
+          ? "Private note added"
+          : parent ? "Reply added" : "Comment added",
+        metadata: {
+          commentId: comment.id,
+          parentId: comment.parentId,
+          isPrivate: makePrivate,
+          mentionedUserIds
+        },
+        isSystemGenerated: false
+      }
+    });
+
+    if (mentionedUserIds.length > 0) {
+      await notifyUsers(mentionedUserIds, {
+        type: "COMMENT_MENTION",
+        title: "You were mentioned",
+        message: `You were mentioned in a comment on "${report.title}".`,
+        reportId,
+        data: { commentId: comment.id }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Comment added",
+      data: toCommentResponse(comment)
+    });
+
+  } catch (error) {
+    console.error("Error adding comment:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add comment"
+    });
+  }
+});
+
+/**
+ * PATCH /api/reports/:reportId/comments/:commentId
+ * Edit your own comment; the previous text is kept in the edit history
+ *
+ * Body: { content: string }
+ */
+router.patch("/:commentId", authenticate(), async (req, res) => {
+  try {
+    const { reportId, commentId } = req.params;
+    const { content } = req.body;
+
+    const contentError = validateContent(content);
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        message: contentError
+      });
+    }
+
+    const comment = await prisma.comment.findFirst({
+      where: { id: commentId, reportId }
+    });
+
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found"
+      });
+    }
+
+    if (comment.authorId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only edit your own comments"
+      });
+    }
+
+    if (comment.content === content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "No changes to save"
+      });
+    }
+
+    const updatedComment = await prisma.$transaction(async (tx) => {
+      await tx.commentEdit.create({
+        data: {
+          commentId,
+          editorId: req.user.id,
+          previousContent: comment.content
+        }
+      });
+
+      return tx.comment.update({
+        where: { id: commentId },
+        data: { content: content.trim(), editedAt: new Date() },
+        include: { author: authorSelect }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: "Comment updated",
+      data: toCommentResponse(updatedComment)
+    });
+
+  } catch (error) {
+    console.error("Error editing comment:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to edit comment"
+    });
+  }
+});
+
+/**
+ * GET /api/reports/:reportId/comments/:commentId/edits
+ * Edit history of a comment, oldest first
+ */
+router.get("/:commentId/edits", optionalAuthenticate(), async (req, res) => {
+  try {
+    const { reportId, commentId } = req.params;
+
+    const report = await findReport(reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    const comment = await prisma.comment.findFirst({
+      where: { id: commentId, reportId },
+      include: { edits: { orderBy: { createdAt: 'asc' } } }
+    });
+
+    const includePrivate = await canViewPrivateNotes(req, report);
+
+    if (!comment || (comment.isPrivate && !includePrivate)) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found"
+      });
+    }
+
+    // Deleted text stays visible to moderators only
+    if (comment.deletedAt && !(await canModerateReport(req, report))) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found"
+      });
+    }
+
+    const hiddenAuthorIds = await getHiddenAuthorIds(req, report);
+
+    res.json({
+      success: true,
+      data: {
+        commentId,
+        currentContent: comment.content,
+        // Same masking as the thread: an anonymous reporter's edits do not name them
+        edits: comment.edits.map(edit => ({
+          ...edit,
+          editorId: hiddenAuthorIds.includes(edit.editorId) ? null : edit.editorId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching comment edits:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch comment edits"
+    });
+  }
+});
+
+/**
+ * DELETE /api/reports/:reportId/comments/:commentId
+ * Delete a comment. Authors may delete their own; moderators and admins of
+ * the report's ward may delete any, with a justification.
+ *
+ * Body: { justification?: string } (required when deleting someone else's comment)
+ */
+router.delete("/:commentId", authenticate(), async (req, res) => {
+  try {
+    const { reportId, commentId } = req.params;
+    const { justification } = req.body || {};
+
+    const report = await findReport(reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    const comment = await prisma.comment.findFirst({
+      where: { id: commentId, reportId }
+    });
+
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found"
+      });
+    }
+
+    const isAuthor = comment.authorId === req.user.id;
+    if (!isAuthor && !(await canModerateReport(req, report))) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the author or a moderator of this ward can delete this comment"
+      });
+    }
+
+    if (!isAuthor && (!justification || justification.trim().length < 10)) {
+      return res.status(400).json({
+        success: false,
+        message: "Justification is required to delete another user's comment (min 10 characters)"
+      });
+    }
+
+    await prisma.comment.update({
+      where: { id: commentId },
+      data: { deletedAt: new Date(), deletedById: req.user.id }
+    });
+
+    if (!isAuthor) {
+      await prisma.moderatorAction.create({
+        data: {
+          moderatorId: req.user.id,
+          reportId,
+          action: "DELETE",
+          justification: justification.trim(),
+          oldValue: { commentId, authorId: comment.authorId, content: comment.content },
+          newValue: { commentId, deleted: true }
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Comment deleted"
+    });
+
+  } catch (error) {
+    console.error("Error deleting comment:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete comment"
+    });
+  }
+});
+
+export default router;
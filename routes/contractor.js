@@ -0,0 +1,878 @@
+// Contractor self-service routes for JanMarg Backend
+import express from "express";
+import { PrismaClient } from "../generated/prisma/index.js";
+import { authenticate, hashPassword, createSession } from "../utils/auth.js";
+import { validateEmail, validatePhone, validatePan, validateGst } from "../utils/validation.js";
+import { logAPIActivity } from "../utils/logger.js";
+import { buildContractorScorecard } from "../utils/scorecard.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply API logging middleware to all contractor routes
+router.use(logAPIActivity);
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const KYC_DOCUMENT_TYPES = ["PAN_CARD", "GST_CERTIFICATE", "REGISTRATION_CERTIFICATE", "ADDRESS_PROOF", "BANK_PROOF", "OTHER"];
+
+/**
+ * Shape a contractor record for API responses
+ */
+const toContractorProfile = (contractor) => ({
+  id: contractor.id,
+  businessName: contractor.businessName,
+  registrationNo: contractor.registrationNo,
+  specializationIds: contractor.specializationIds,
+  serviceWardIds: contractor.serviceWardIds,
+  panNumber: contractor.panNumber,
+  gstNumber: contractor.gstNumber,
+  kycStatus: contractor.kycStatus,
+  kycDocuments: contractor.kycDocuments,
+  kycSubmittedAt: contractor.kycSubmittedAt,
+  kycReviewedAt: contractor.kycReviewedAt,
+  kycRemarks: contractor.kycRemarks,
+  isVerified: contractor.isVerified,
+  strikes: contractor.strikes,
+  onTimeRate: contractor.onTimeRate,
+  avgRating: contractor.avgRating,
+  ratingCount: contractor.ratingCount,
+  createdAt: contractor.createdAt,
+  user: contractor.user
+});
+
+const contractorUserSelect = {
+  select: { id: true, name: true, email: true, phone: true }
+};
+
+/**
+ * Check a list of IDs against a model
+ * @returns {Promise<object>} { values } with duplicates removed, or { error }
+ */
+const resolveIds = async (model, ids) => {
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== "string")) {
+    return { error: "must be an array of IDs" };
+  }
+
+  const values = [...new Set(ids)];
+  const found = await model.findMany({
+    where: { id: { in: values } },
+    select: { id: true }
+  });
+
+  if (found.length !== values.length) {
+    const known = new Set(found.map(row => row.id));
+    return { error: `contains unknown IDs: ${values.filter(id => !known.has(id)).join(", ")}` };
+  }
+
+  return { values };
+};
+
+// ========================================
+// REGISTRATION & PROFILE
+// ========================================
+
+/**
+ * POST /api/contractors/register
+ * Create a CONTRACTOR user together with its contractor profile
+ *
+ * Body: {
+ *   name: string,
+ *   email: string,
+ *   phone?: string,
+ *   password: string,
+ *   businessName: string,
+ *   registrationNo?: string
+ * }
+ */
+router.post("/register", async (req, res) => {
+  try {
+    const { name, email, phone, password, businessName, registrationNo } = req.body;
+
+    if (!name || !email || !password || !businessName) {
+      return res.status(400).json({
+        success: false,
+        message: "Name, email, password and businessName are required"
+      });
+    }
+
+    if (!validateEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid email format"
+      });
+    }
+
+    if (phone && !validatePhone(phone)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid phone number format (must be 10 digits starting with 6-9)"
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const existingUser = await prisma.user.findFirst({
+      where: {
+        OR: [
+          { email },
+          ...(phone ? [{ phone }] : [])
+        ]
+      }
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: "User with this email or phone already exists"
+      });
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    const newUser = await prisma.user.create({
+      data: {
+        name,
+        email,
+        phone,
+        passwordHash,
+        role: "CONTRACTOR",
+        verified: false,
+        contractor: {
+          create: {
+            businessName,
+            registrationNo
+          }
+        }
+      },
+      include: {
+        contractor: true
+      }
+    });
+
+    const { accessToken: token, refreshToken, expiresIn } = await createSession(newUser);
+
+    await prisma.auditLog.create({
+      data: {
+        actorId: newUser.id,
+        actorRole: "CONTRACTOR",
+        actorName: name,
+        action: "CONTRACTOR_REGISTERED",
+        entityType: "CONTRACTOR",
+        entityId: newUser.contractor.id,
+        description: `New contractor registered: ${businessName}`,
+        ipAddress: req.ip,
+        meta: { email, businessName }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Contractor registered successfully. Submit KYC documents to start bidding.",
+      data: {
+        user: {
+          id: newUser.id,
+          name: newUser.name,
+          email: newUser.email,
+          phone: newUser.phone,
+          role: newUser.role
+        },
+        contractor: {
+          id: newUser.contractor.id,
+          businessName: newUser.contractor.businessName,
+          registrationNo: newUser.contractor.registrationNo,
+          kycStatus: newUser.contractor.kycStatus,
+          isVerified: newUser.contractor.isVerified
+        },
+        token,
+        refreshToken,
+        expiresIn
+      }
+    });
+
+  } catch (error) {
+    console.error("Error registering contractor:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to register contractor"
+    });
+  }
+});
+
+/**
+ * GET /api/contractors/me
+ * Get the logged-in contractor's profile
+ */
+router.get("/me", authenticate(["CONTRACTOR"]), async (req, res) => {
+  try {
+    const contractor = await prisma.contractor.findUnique({
+      where: { userId: req.user.id },
+      include: { user: contractorUserSelect }
+    });
+
+    if (!contractor) {
+      return res.status(404).json({
+        success: false,
+        message: "Contractor profile not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toContractorProfile(contractor)
+    });
+
+  } catch (error) {
+    console.error("Error fetching contractor profile:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch contractor profile"
+    });
+  }
+});
+
+/**
+ * PATCH /api/contractors/me
+ * Update the logged-in contractor's business details
+ *
+ * Body: {
+ *   businessName?: string,
+ *   registrationNo?: string,
+ *   specializationIds?: string[] (issue type IDs),
+ *   serviceWardIds?: string[]
+ * }
+ */
+router.patch("/me", authenticate(["CONTRACTOR"]), async (req, res) => {
+  try {
+    const { businessName, registrationNo, specializationIds, serviceWardIds } = req.body;
+
+    const contractor = await prisma.contractor.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!contractor) {
+      return res.status(404).json({
+        success: false,
+        message: "Contractor profile not found"
+      });
+    }
+
+    const updateData = {};
+    if (businessName !== undefined) {
+      if (!businessName.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "businessName cannot be empty"
+        });
+      }
+      updateData.businessName = businessName.trim();
+    }
+    if (registrationNo !== undefined) updateData.registrationNo = registrationNo;
+
+    if (specializationIds !== undefined) {
+      const ids = await resolveIds(prisma.issueType, specializationIds);
+      if (ids.error) {
+        return res.status(400).json({
+          success: false,
+          message: `specializationIds ${ids.error}`
+        });
+      }
+      updateData.specializationIds = ids.values;
+    }
+
+    if (serviceWardIds !== undefined) {
+      const ids = await resolveIds(prisma.ward, serviceWardIds);
+      if (ids.error) {
+        return res.status(400).json({
+          success: false,
+          message: `serviceWardIds ${ids.error}`
+        });
+      }
+      updateData.serviceWardIds = ids.values;
+    }
+
+    const updatedContractor = await prisma.contractor.update({
+      where: { id: contractor.id },
+      data: updateData,
+      include: { user: contractorUserSelect }
+    });
+
+    res.json({
+      success: true,
+      message: "Profile updated successfully",
+      data: toContractorProfile(updatedContractor)
+    });
+
+  } catch (error) {
+    console.error("Error updating contractor profile:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update contractor profile"
+    });
+  }
+});
+
+// ========================================
+// KYC
+// ========================================
+
+/**
+ * PUT /api/contractors/me/kyc
+ * Submit (or resubmit after rejection) KYC details for verification
+ *
+ * Body: {
+ *   panNumber: string,
+ *   gstNumber?: string,
+ *   documents: [{ type: string, url: string, fileName?: string }]
+ * }
+ */
+router.put("/me/kyc", authenticate(["CONTRACTOR"]), async (req, res) => {
+  try {
+    const panNumber = req.body.panNumber?.trim().toUpperCase();
+    const gstNumber = req.body.gstNumber?.trim().toUpperCase() || null;
+    const { documents } = req.body;
+
+    if (!panNumber || !validatePan(panNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid PAN format (expected e.g. ABCDE1234F)"
+      });
+    }
+
+    if (gstNumber) {
+      if (!validateGst(gstNumber)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid GSTIN format (expected e.g. 22ABCDE1234F1Z5)"
+        });
+      }
+
+      // Characters 3-12 of a GSTIN are the holder's PAN
+      if (gstNumber.slice(2, 12) !== panNumber) {
+        return res.status(400).json({
+          success: false,
+          message: "GSTIN does not belong to the given PAN"
+        });
+      }
+    }
+
+    if (!Array.isArray(documents) || documents.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one KYC document is required"
+      });
+    }
+
+    const invalidDocument = documents.find(doc => !doc?.url || !KYC_DOCUMENT_TYPES.includes(doc.type));
+    if (invalidDocument) {
+      return res.status(400).json({
+        success: false,
+        message: `Each document needs a url and a type (${KYC_DOCUMENT_TYPES.join(", ")})`
+      });
+    }
+
+    const contractor = await prisma.contractor.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!contractor) {
+      return res.status(404).json({
+        success: false,
+        message: "Contractor profile not found"
+      });
+    }
+
+    if (contractor.kycStatus === "VERIFIED") {
+      return res.status(409).json({
+        success: false,
+        message: "KYC is already verified. Contact an administrator to change verified details."
+      });
+    }
+
+    const duplicate = await prisma.contractor.findFirst({
+      where: {
+        id: { not: contractor.id },
+        OR: [
+          { panNumber },
+          ...(gstNumber ? [{ gstNumber }] : [])
+        ]
+      },
+      select: { id: true }
+    });
+
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: "PAN or GSTIN is already registered to another contractor"
+      });
+    }
+
+    const submittedAt = new Date();
+    const updatedContractor = await prisma.contractor.update({
+      where: { id: contractor.id },
+      data: {
+        panNumber,
+        gstNumber,
+        kycDocuments: documents.map(doc => ({
+          type: doc.type,
+          url: doc.url,
+          fileName: doc.fileName || null,
+          uploadedAt: submittedAt.toISOString()
+        })),
+        kycStatus: "SUBMITTED",
+        kycSubmittedAt: submittedAt,
+        kycReviewedAt: null,
+        kycReviewedBy: null,
+        kycRemarks: null,
+        isVerified: false
+      },
+      include: { user: contractorUserSelect }
+    });
+
+    res.json({
+      success: true,
+      message: "KYC submitted for verification",
+      data: toContractorProfile(updatedContractor)
+    });
+
+  } catch (error) {
+    console.error("Error submitting contractor KYC:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit KYC"
+    });
+  }
+});
+
+// ========================================
+// PUBLIC PROFILE
+// ========================================
+
+const DIRECTORY_SORTS = {
+  rating: [{ avgRating: 'desc' }, { ratingCount: 'desc' }],
+  onTime: [{ onTimeRate: 'desc' }],
+  name: [{ businessName: 'asc' }]
+};
+
+/**
+ * GET /api/contractors
+ * Public directory of verified contractors
+ *
+ * Query: {
+ *   search?: string (business name),
+ *   specialization?: string (issue type ID),
+ *   wardId?: string (serves the ward or has worked in it),
+ *   sort?: "rating" | "onTime" | "name",
+ *   page?: number,
+ *   limit?: number
+ * }
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { search, specialization, wardId, sort = "rating", page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    if (!DIRECTORY_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `sort must be one of: ${Object.keys(DIRECTORY_SORTS).join(", ")}`
+      });
+    }
+
+    const where = {
+      isVerified: true,
+      ...(search && { businessName: { contains: search, mode: 'insensitive' } }),
+      ...(specialization && { specializationIds: { has: specialization } }),
+      ...(wardId && {
+        OR: [
+          { serviceWardIds: { has: wardId } },
+          { assignments: { some: { report: { wardId } } } }
+        ]
+      })
+    };
+
+    const [contractors, total] = await Promise.all([
+      prisma.contractor.findMany({
+        where,
+        select: {
+          id: true,
+          businessName: true,
+          specializationIds: true,
+          serviceWardIds: true,
+          isBlocked: true,
+          strikes: true,
+          onTimeRate: true,
+          avgRating: true,
+          ratingCount: true,
+          createdAt: true,
+          _count: { select: { assignments: true } }
+        },
+        orderBy: DIRECTORY_SORTS[sort],
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.contractor.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        contractors: contractors.map(({ _count, ...contractor }) => ({
+          ...contractor,
+          jobsWon: _count.assignments
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching contractor directory:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch contractor directory"
+    });
+  }
+});
+
+/**
+ * GET /api/contractors/:id/scorecard
+ * Public performance scorecard: jobs won, completion rate, days over
+ * deadline, strikes, penalties, disputes and ratings
+ */
+router.get("/:id/scorecard", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const contractor = await prisma.contractor.findUnique({
+      where: { id }
+    });
+
+    // Contractors who never passed KYC have no public record unless they have already done work
+    const hasPublicRecord = contractor && (contractor.isVerified ||
+      await prisma.assignment.count({ where: { contractorId: id } }) > 0);
+
+    if (!hasPublicRecord) {
+      return res.status(404).json({
+        success: false,
+        message: "Contractor not found"
+      });
+    }
+
+    const scorecard = await buildContractorScorecard(contractor);
+
+    res.json({
+      success: true,
+      data: scorecard
+    });
+
+  } catch (error) {
+    console.error("Error fetching contractor scorecard:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch contractor scorecard"
+    });
+  }
+});
+
+/**
+ * GET /api/contractors/:id/ratings
+ * Public rating history for a contractor, newest first
+ *
+ * Query: { page?: number, limit?: number }
+ */
+router.get("/:id/ratings", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const contractor = await prisma.contractor.findUnique({
+      where: { id },
+      select: { id: true, businessName: true, avgRating: true, ratingCount: true }
+    });
+
+    if (!contractor) {
+      return res.status(404).json({
+        success: false,
+        message: "Contractor not found"
+      });
+    }
+
+    // Rater identities stay private; only the rated job is shown
+    const [ratings, averages] = await Promise.all([
+      prisma.contractorRating.findMany({
+        where: { contractorId: id },
+        select: {
+          id: true,
+          reportId: true,
+          quality: true,
+          timeliness: true,
+          score: true,
+          comment: true,
+          createdAt: true
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.contractorRating.aggregate({
+        where: { contractorId: id },
+        _avg: { quality: true, timeliness: true }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        contractor,
+        averages: {
+          quality: averages._avg.quality,
+          timeliness: averages._avg.timeliness
+        },
+        ratings,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: contractor.ratingCount,
+          pages: Math.ceil(contractor.ratingCount / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching contractor ratings:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch contractor ratings"
+    });
+  }
+});
+
+/**
+ * GET /api/contractors/:id/thanks
+ * Citizens who thanked the contractor for finished work, newest first. A
+ * thanker who is an anonymous reporter of the report is listed as null.
+ *
+ * Query: { page?: number, limit?: number }
+ */
+router.get("/:id/thanks", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const contractor = await prisma.contractor.findUnique({
+      where: { id },
+      select: { id: true, businessName: true }
+    });
+
+    if (!contractor) {
+      return res.status(404).json({
+        success: false,
+        message: "Contractor not found"
+      });
+    }
+
+    const where = { contractorId: id, type: "THANKS" };
+
+    const [thanks, total] = await Promise.all([
+      prisma.reportReaction.findMany({
+        where,
+        select: {
+          createdAt: true,
+          user: { select: { id: true, name: true } },
+          report: { select: { id: true, title: true, wardId: true, reporterId: true, isAnonymous: true, hiddenReporterIds: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.reportReaction.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        contractor,
+        thanks: thanks.map(({ user, createdAt, report: { reporterId, isAnonymous, hiddenReporterIds, ...report } }) => {
+          const anonymous = (isAnonymous && user.id === reporterId) || hiddenReporterIds.includes(user.id);
+          return { createdAt, user: anonymous ? null : user, report };
+        }),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching contractor thanks:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch contractor thanks"
+    });
+  }
+});
+
+// ========================================
+// ADMIN VERIFICATION
+// ========================================
+
+/**
+ * GET /api/contractors/verification-queue
+ * List contractors waiting for KYC review, oldest submission first
+ */
+router.get("/verification-queue", authenticate(["ADMIN", "SUPERADMIN"]), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = { kycStatus: "SUBMITTED" };
+
+    const [contractors, total] = await Promise.all([
+      prisma.contractor.findMany({
+        where,
+        include: { user: contractorUserSelect },
+        orderBy: { kycSubmittedAt: 'asc' },
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.contractor.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        contractors: contractors.map(toContractorProfile),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching verification queue:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch verification queue"
+    });
+  }
+});
+
+/**
+ * PATCH /api/contractors/:id/verify
+ * Approve or reject a contractor's KYC with mandatory justification
+ *
+ * Body: {
+ *   approve: boolean,
+ *   justification: string
+ * }
+ */
+router.patch("/:id/verify", authenticate(["ADMIN", "SUPERADMIN"]), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { approve, justification } = req.body;
+
+    if (typeof approve !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "approve must be true or false"
+      });
+    }
+
+    if (!justification || justification.trim().length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: "Justification is required for KYC review (min 10 characters)"
+      });
+    }
+
+    const contractor = await prisma.contractor.findUnique({
+      where: { id }
+    });
+
+    if (!contractor) {
+      return res.status(404).json({
+        success: false,
+        message: "Contractor not found"
+      });
+    }
+
+    if (contractor.kycStatus !== "SUBMITTED") {
+      return res.status(409).json({
+        success: false,
+        message: `KYC is not awaiting review (current status: ${contractor.kycStatus})`
+      });
+    }
+
+    const newStatus = approve ? "VERIFIED" : "REJECTED";
+
+    const updatedContractor = await prisma.contractor.update({
+      where: { id },
+      data: {
+        isVerified: approve,
+        kycStatus: newStatus,
+        kycReviewedAt: new Date(),
+        kycReviewedBy: req.user.id,
+        kycRemarks: approve ? null : justification
+      },
+      include: { user: contractorUserSelect }
+    });
+
+    await prisma.adminLog.create({
+      data: {
+        adminId: req.user.id,
+        adminName: req.user.name || "Admin",
+        adminRole: req.user.role,
+        entityType: "CONTRACTOR",
+        entityId: id,
+        actionType: approve ? "VERIFIED" : "REJECTED",
+        justificationMessage: justification,
+        oldValue: {
+          isVerified: contractor.isVerified,
+          kycStatus: contractor.kycStatus
+        },
+        newValue: {
+          isVerified: approve,
+          kycStatus: newStatus
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Contractor KYC ${approve ? 'verified' : 'rejected'} successfully`,
+      data: toContractorProfile(updatedContractor),
+      action: {
+        type: newStatus,
+        performedBy: req.user.role,
+        justification,
+        timestamp: new Date()
+      }
+    });
+
+  } catch (error) {
+    console.error("Error reviewing contractor KYC:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to review contractor KYC"
+    });
+  }
+});
+
+export default router;
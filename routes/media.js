@@ -0,0 +1,166 @@
+// Uploaded media file routes for JanMarg Backend
+//
+// The public copy and thumbnail have EXIF and GPS stripped. On sensitive
+// reports they are limited to the reporter and the ward's moderators and
+// admins. Originals are evidence: only ward moderators and admins can fetch
+// them, and every fetch is written to the audit log.
+import express from "express";
+import { PrismaClient } from "../generated/prisma/index.js";
+import { authenticate, optionalAuthenticate } from "../utils/auth.js";
+import { canModerateReport, canViewPrivateNotes } from "../utils/policy.js";
+import { getStorage } from "../utils/storage.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const mediaSelect = {
+  id: true,
+  mimeType: true,
+  storageKey: true,
+  publicKey: true,
+  thumbnailKey: true,
+  report: { select: { id: true, wardId: true, reporterId: true, mergedReporterIds: true, isSensitive: true } }
+};
+
+/**
+ * Stream a stored object to the response
+ */
+const sendStoredObject = async (res, key, contentType, cacheControl) => {
+  const stream = await getStorage().getStream(key);
+  if (!stream) {
+    return res.status(404).json({
+      success: false,
+      message: "File not found in storage"
+    });
+  }
+
+  res.set("Content-Type", contentType);
+  res.set("Cache-Control", cacheControl);
+  res.set("X-Content-Type-Options", "nosniff");
+  stream.on("error", (error) => {
+    console.error("Error streaming media:", error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+/**
+ * Serve the public copy or thumbnail of an uploaded file, honouring Report.isSensitive
+ */
+const sendPublicVariant = async (req, res, keyField, contentType) => {
+  const media = await prisma.media.findUnique({
+    where: { id: req.params.id },
+    select: mediaSelect
+  });
+
+  if (!media?.report || !media[keyField]) {
+    return res.status(404).json({
+      success: false,
+      message: keyField === "thumbnailKey" ? "Thumbnail not found" : "Media not found or has no public copy"
+    });
+  }
+
+  // Sensitive reports: same audience as private notes (reporter and ward moderators)
+  if (media.report.isSensitive && !(await canViewPrivateNotes(req, media.report))) {
+    return res.status(403).json({
+      success: false,
+      message: "Media on sensitive reports is restricted"
+    });
+  }
+
+  const cacheControl = media.report.isSensitive ? "private, no-store" : "public, max-age=86400";
+  await sendStoredObject(res, media[keyField], contentType || media.mimeType, cacheControl);
+};
+
+/**
+ * GET /api/media/:id/file
+ * Redacted public copy of an uploaded photo (EXIF and GPS removed)
+ */
+router.get("/:id/file", optionalAuthenticate(), async (req, res) => {
+  try {
+    await sendPublicVariant(req, res, "publicKey");
+  } catch (error) {
+    console.error("Error fetching media:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch media"
+    });
+  }
+});
+
+/**
+ * GET /api/media/:id/thumbnail
+ * JPEG thumbnail of an uploaded photo
+ */
+router.get("/:id/thumbnail", optionalAuthenticate(), async (req, res) => {
+  try {
+    await sendPublicVariant(req, res, "thumbnailKey", "image/jpeg");
+  } catch (error) {
+    console.error("Error fetching thumbnail:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch thumbnail"
+    });
+  }
+});
+
+/**
+ * GET /api/media/:id/original
+ * Original upload with its metadata intact, for moderators and admins of the report's ward.
+ * Every view is audit logged.
+ *
+ * Query: { reason?: string }
+ */
+router.get("/:id/original", authenticate(["MODERATOR", "ADMIN", "SUPERADMIN"]), async (req, res) => {
+  try {
+    const { reason } = req.query;
+
+    const media = await prisma.media.findUnique({
+      where: { id: req.params.id },
+      select: mediaSelect
+    });
+
+    if (!media?.report || !media.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: "Media not found"
+      });
+    }
+
+    if (!(await canModerateReport(req, media.report))) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. This media belongs to a ward you are not assigned to."
+      });
+    }
+
+    await prisma.auditLog.create({
+      data: {
+        actorId: req.user.id,
+        actorRole: req.user.role,
+        actorName: req.user.name,
+        action: "MEDIA_ORIGINAL_VIEWED",
+        entityType: "MEDIA",
+        entityId: media.id,
+        description: `Original media viewed for report ${media.report.id}`,
+        ipAddress: req.ip,
+        meta: {
+          reportId: media.report.id,
+          isSensitive: media.report.isSensitive,
+          reason: reason || null
+        }
+      }
+    });
+
+    await sendStoredObject(res, media.storageKey, media.mimeType, "private, no-store");
+
+  } catch (error) {
+    console.error("Error fetching original media:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch original media"
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,125 @@
+// Notification inbox routes for JanMarg Backend
+import express from "express";
+import { PrismaClient } from "../generated/prisma/index.js";
+import { authenticate } from "../utils/auth.js";
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * GET /api/notifications
+ * The caller's notifications, newest first
+ *
+ * Query: { unreadOnly?: "true", page?: number, limit?: number }
+ */
+router.get("/", authenticate(), async (req, res) => {
+  try {
+    const { unreadOnly, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = {
+      userId: req.user.id,
+      ...(unreadOnly === "true" && { readAt: null })
+    };
+
+    const [notifications, total, unread] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.notification.count({ where }),
+      prisma.notification.count({ where: { userId: req.user.id, readAt: null } })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unread,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch notifications"
+    });
+  }
+});
+
+/**
+ * PATCH /api/notifications/read-all
+ * Mark all of the caller's notifications as read
+ */
+router.patch("/read-all", authenticate(), async (req, res) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: req.user.id, readAt: null },
+      data: { readAt: new Date() }
+    });
+
+    res.json({
+      success: true,
+      message: `${count} notification(s) marked as read`
+    });
+
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notifications as read"
+    });
+  }
+});
+
+/**
+ * PATCH /api/notifications/:id/read
+ * Mark one notification as read
+ */
+router.patch("/:id/read", authenticate(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { count } = await prisma.notification.updateMany({
+      where: { id, userId: req.user.id, readAt: null },
+      data: { readAt: new Date() }
+    });
+
+    if (count === 0) {
+      const exists = await prisma.notification.findFirst({
+        where: { id, userId: req.user.id },
+        select: { id: true }
+      });
+
+      if (!exists) {
+        return res.status(404).json({
+          success: false,
+          message: "Notification not found"
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: "Notification marked as read"
+    });
+
+  } catch (error) {
+    console.error("Error marking notification as read:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notification as read"
+    });
+  }
+});
+
+export default router;
@@ -1,12 +1,16 @@
 // Report tracking routes - MVP placeholder
 import express from "express";
 import { PrismaClient } from "../generated/prisma/index.js";
-import { authenticate } from "./admin-auth.js";
+import { authenticate } from "../utils/auth.js";
+import { sendMergedRedirect } from "../utils/merge.js";
+import { toPublicAppeal } from "../utils/appeals.js";
+import { redactAnonymousReporter } from "../utils/policy.js";
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Track report status by ID
+// Track report status by ID; merged reports redirect to the report they were merged into.
+// Appeal progress and outcomes are public; anonymous reporters are masked in the timeline.
 router.get("/:id", async (req, res) => {
   try {
     const { id } = req.params;
@@ -18,6 +22,7 @@ router.get("/:id", async (req, res) => {
           orderBy: { createdAt: 'desc' },
           take: 10
         },
+        appeals: { orderBy: { createdAt: 'desc' } },
         issueType: { select: { title: true } },
         ward: { select: { name: true } }
       }
@@ -30,6 +35,8 @@ router.get("/:id", async (req, res) => {
       });
     }
 
+    if (sendMergedRedirect(req, res, report)) return;
+
     res.json({
       success: true,
       data: {
@@ -38,7 +45,8 @@ router.get("/:id", async (req, res) => {
         status: report.status,
         createdAt: report.createdAt,
         updatedAt: report.updatedAt,
-        timeline: report.history
+        timeline: redactAnonymousReporter(report, null).history,
+        appeals: report.appeals.map(toPublicAppeal)
       }
     });
   } catch (error) {
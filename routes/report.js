@@ -1,7 +1,21 @@
 import express from "express";
 import { PrismaClient } from "../generated/prisma/index.js";
-import { authenticate } from "./admin-auth.js";
+import { authenticate, optionalAuthenticate } from "../utils/auth.js";
+import { canModerateReport, canViewPrivateNotes, redactAnonymousReporter, requireReportWardAccess, resolveWardScope, scopeIncludesWard } from "../utils/policy.js";
 import { logReportActivity, logReportChange } from "../utils/logger.js";
+import { validateBoundary, isPointInBoundary, boundaryCentroid, haversineDistance } from "../utils/geo.js";
+import { notifyUsers, notifyWardOfficers } from "../utils/notifications.js";
+import { addStrike, recomputeOnTimeRate } from "../utils/penalties.js";
+import { isValidRating, recomputeAvgRating, MIN_RATING, MAX_RATING, RATEABLE_REPORT_STATUSES } from "../utils/ratings.js";
+import { REACTION_TYPES, THANKABLE_REPORT_STATUSES, setReaction, getViewerReactions } from "../utils/reactions.js";
+import { parseMediaUpload, storeUpload, discardUpload, buildMediaUrls, toPublicMedia } from "../utils/media.js";
+import { checkTransition, sendTransitionError } from "../utils/report-lifecycle.js";
+import { sendMergedRedirect, sendMergedConflict } from "../utils/merge.js";
+import { reopenAutoActionedReport } from "../utils/auto-close.js";
+import { CURRENT_ASSIGNMENT, withCurrentAssignment } from "../utils/bidding.js";
+import { fileAppeal, toPublicAppeal } from "../utils/appeals.js";
+import { reportGeohash, findDuplicateCandidates, recordDuplicateSuspicions, toDuplicateResponse } from "../utils/duplicates.js";
+import commentRoutes from "./comment.js";
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -10,13 +24,18 @@ router.get("/test-log", async (req, res) => {
     return res.json({ success: true, message: "Log test endpoint working" });
 });
 
+// Comment threads: /api/reports/:reportId/comments
+router.use("/:reportId/comments", commentRoutes);
+
 // ========================================
 // CITIZEN REPORT ROUTES
 // ========================================
 
 /**
  * POST /api/reports
- * Create a new report
+ * Create a new report. The response lists open reports of the same issue type
+ * nearby (possibleDuplicates) so the citizen can upvote one of those instead;
+ * matches are also queued for moderator review.
  */
 router.post("/", authenticate(["CITIZEN"]), async (req, res) => {
   try {
@@ -39,15 +58,22 @@ router.post("/", authenticate(["CITIZEN"]), async (req, res) => {
       });
     }
 
-    // For MVP, assume we have a default ward - in real app, calculate from lat/lng
-    const defaultWard = await prisma.ward.findFirst();
-    if (!defaultWard) {
+    // Find the ward whose boundary contains the report location
+    const { ward, outsideWardBoundary } = await resolveReportWard(parseFloat(latitude), parseFloat(longitude));
+    if (!ward) {
       return res.status(500).json({
         success: false,
         message: "No wards configured in system"
       });
     }
 
+    if (outsideWardBoundary && getOutsideWardPolicy() === "reject") {
+      return res.status(422).json({
+        success: false,
+        message: "This location is outside every ward served by JanMarg"
+      });
+    }
+
     // Create the report
     const newReport = await prisma.report.create({
       data: {
@@ -59,8 +85,10 @@ router.post("/", authenticate(["CITIZEN"]), async (req, res) => {
         issueTypeId,
         severity: parseInt(severity),
         isAnonymous,
-        reporterId: req.user.id, // From fake auth
-        wardId: defaultWard.id,
+        reporterId: req.user.id,
+        wardId: ward.id,
+        outsideWardBoundary,
+        geohash: reportGeohash(parseFloat(latitude), parseFloat(longitude)),
         status: "OPEN"
       },
       include: {
@@ -97,7 +125,8 @@ router.post("/", authenticate(["CITIZEN"]), async (req, res) => {
         reportData: {
           title,
           description,
-          wardId,
+          wardId: ward.id,
+          outsideWardBoundary,
           severity,
           location: { latitude, longitude, address }
         }
@@ -106,10 +135,14 @@ router.post("/", authenticate(["CITIZEN"]), async (req, res) => {
       newReport
     );
 
+    const duplicateMatches = await findDuplicateCandidates(newReport);
+    await recordDuplicateSuspicions(newReport, duplicateMatches);
+
     res.status(201).json({
       success: true,
       message: "Report created successfully",
-      data: newReport
+      data: newReport,
+      possibleDuplicates: duplicateMatches.map(toDuplicateResponse)
     });
 
   } catch (error) {
@@ -121,11 +154,50 @@ router.post("/", authenticate(["CITIZEN"]), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/reports/nearby-duplicates
+ * Open reports of the same issue type near a location, checked before filing
+ * so the citizen can upvote an existing report instead
+ *
+ * Query: { latitude, longitude, issueTypeId, title? }
+ */
+router.get("/nearby-duplicates", authenticate(), async (req, res) => {
+  try {
+    const { issueTypeId, title } = req.query;
+    const latitude = parseFloat(req.query.latitude);
+    const longitude = parseFloat(req.query.longitude);
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || !issueTypeId) {
+      return res.status(400).json({
+        success: false,
+        message: "latitude, longitude and issueTypeId are required"
+      });
+    }
+
+    const matches = await findDuplicateCandidates({ latitude, longitude, issueTypeId, title });
+
+    res.json({
+      success: true,
+      data: {
+        possibleDuplicates: matches.map(toDuplicateResponse)
+      }
+    });
+
+  } catch (error) {
+    console.error("Error searching nearby reports:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to search nearby reports"
+    });
+  }
+});
+
 /**
  * GET /api/reports
- * List reports with filters
+ * List reports with filters. Anonymous reports never show their reporter,
+ * and only the reporter can find them by userId.
  */
-router.get("/", async (req, res) => {
+router.get("/", optionalAuthenticate(), async (req, res) => {
   try {
     const {
       status,
@@ -140,11 +212,13 @@ router.get("/", async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const where = {
-      ...(status && { status }),
+      // Merged reports are forwarding stubs; list them only when asked for
+      status: status || { not: "MERGED" },
       ...(wardId && { wardId }),
       ...(issueTypeId && { issueTypeId }),
       ...(severity && { severity: parseInt(severity) }),
-      ...(userId && { reporterId: userId })
+      ...(userId && { reporterId: userId }),
+      ...(userId && userId !== req.user?.id && { isAnonymous: false })
     };
 
     const [reports, total] = await Promise.all([
@@ -170,10 +244,15 @@ router.get("/", async (req, res) => {
       prisma.report.count({ where })
     ]);
 
+    const viewerReactions = await getViewerReactions(req.user?.id, reports.map(report => report.id));
+
     res.json({
       success: true,
       data: {
-        reports,
+        reports: reports.map(report => ({
+          ...redactAnonymousReporter(report, req.user),
+          viewerReactions: viewerReactions.get(report.id)
+        })),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -194,12 +273,30 @@ router.get("/", async (req, res) => {
 
 /**
  * GET /api/reports/:id
- * Get single report with details
+ * Get single report with details. Private notes are included only for the
+ * report's moderators, admins and reporters. A merged report answers with a
+ * 307 redirect to the report it was merged into.
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", optionalAuthenticate(), async (req, res) => {
   try {
     const { id } = req.params;
 
+    const target = await prisma.report.findUnique({
+      where: { id },
+      select: { id: true, status: true, mergedIntoId: true, wardId: true, reporterId: true, mergedReporterIds: true, isSensitive: true }
+    });
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    if (sendMergedRedirect(req, res, target)) return;
+
+    const includePrivate = await canViewPrivateNotes(req, target);
+
     const report = await prisma.report.findUnique({
       where: { id },
       include: {
@@ -210,6 +307,10 @@ router.get("/:id", async (req, res) => {
           select: { id: true, name: true, verified: true }
         },
         comments: {
+          where: {
+            deletedAt: null,
+            ...(!includePrivate && { isPrivate: false })
+          },
           include: {
             author: {
               select: { id: true, name: true, role: true }
@@ -221,13 +322,12 @@ router.get("/:id", async (req, res) => {
           orderBy: { createdAt: 'desc' },
           take: 10
         },
-        reactions: {
-          include: {
-            user: {
-              select: { id: true, name: true }
-            }
-          }
+        media: {
+          where: { source: "REPORT" },
+          orderBy: { uploadedAt: 'asc' }
         },
+        // Who reacted is not listed: the upvotes/downvotes/thanks counters and
+        // viewerReactions cover it without naming anyone
         _count: {
           select: {
             comments: true,
@@ -245,9 +345,23 @@ router.get("/:id", async (req, res) => {
       });
     }
 
+    // Raw media rows (EXIF, GPS, storage keys) go to ward moderators and to
+    // each item's uploader only. Co-reporters of merged reports get the
+    // redacted copies like everyone else; sensitive reports show nothing to
+    // viewers outside the private-notes audience.
+    const isModerator = await canModerateReport(req, target);
+    const media = !includePrivate && target.isSensitive
+      ? []
+      : report.media.map(item => isModerator || (req.user && item.uploadedById === req.user.id) ? item : toPublicMedia(item));
+
+    const viewerReactions = (await getViewerReactions(req.user?.id, [id])).get(id);
+
     res.json({
       success: true,
-      data: report
+      data: {
+        ...redactAnonymousReporter({ ...report, media }, req.user, isModerator),
+        viewerReactions
+      }
     });
 
   } catch (error) {
@@ -352,7 +466,7 @@ router.patch("/:id", authenticate(["CITIZEN"]), async (req, res) => {
 
 /**
  * DELETE /api/reports/:id
- * Delete report (by owner or moderator)
+ * Delete report (by owner, or a moderator or admin of its ward)
  */
 router.delete("/:id", authenticate(["CITIZEN", "MODERATOR", "ADMIN"]), async (req, res) => {
   try {
@@ -371,7 +485,7 @@ router.delete("/:id", authenticate(["CITIZEN", "MODERATOR", "ADMIN"]), async (re
 
     // Check permissions
     const isOwner = existingReport.reporterId === req.user.id;
-    const isModerator = ["MODERATOR", "ADMIN"].includes(req.user.role);
+    const isModerator = await canModerateReport(req, existingReport);
 
     if (!isOwner && !isModerator) {
       return res.status(403).json({
@@ -403,11 +517,26 @@ router.delete("/:id", authenticate(["CITIZEN", "MODERATOR", "ADMIN"]), async (re
 // REPORT ACTIONS (Engagement)
 // ========================================
 
+/**
+ * POST /api/reports/:id/reactions
+ * Toggle a reaction: sending the same type again removes it. Upvote and
+ * downvote replace each other; THANKS is for the contractor once the work is done.
+ *
+ * Body: { type: "UPVOTE" | "DOWNVOTE" | "THANKS" }
+ */
+router.post("/:id/reactions", authenticate(["CITIZEN"]), (req, res) => reactToReport(req, res, req.body.type));
+
 /**
  * POST /api/reports/:id/upvote
- * Upvote a report
+ * Upvote a report (kept for older clients; use /reactions to toggle)
+ */
+router.post("/:id/upvote", authenticate(["CITIZEN"]), (req, res) => reactToReport(req, res, "UPVOTE", true));
+
+/**
+ * POST /api/reports/:id/subscribe
+ * Subscribe to report updates
  */
-router.post("/:id/upvote", authenticate(["CITIZEN"]), async (req, res) => {
+router.post("/:id/subscribe", authenticate(["CITIZEN"]), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -420,67 +549,101 @@ router.post("/:id/upvote", authenticate(["CITIZEN"]), async (req, res) => {
       });
     }
 
-    // Check if user already reacted
-    const existingReaction = await prisma.reportReaction.findUnique({
+    if (report.status === "MERGED") {
+      return sendMergedConflict(res, report);
+    }
+
+    // Check if already subscribed
+    const existingSubscription = await prisma.reportSubscription.findUnique({
       where: {
-        reportId_userId_type: {
+        reportId_userId: {
           reportId: id,
-          userId: req.user.id,
-          type: "UPVOTE"
+          userId: req.user.id
         }
       }
     });
 
-    if (existingReaction) {
+    if (existingSubscription) {
       return res.status(400).json({
         success: false,
-        message: "You have already upvoted this report"
+        message: "Already subscribed to this report"
       });
     }
 
-    // Create reaction
-    await prisma.reportReaction.create({
+    await prisma.reportSubscription.create({
       data: {
         reportId: id,
-        userId: req.user.id,
-        type: "UPVOTE"
+        userId: req.user.id
       }
     });
 
-    // Update report upvotes count
-    await prisma.report.update({
-      where: { id },
-      data: {
-        upvotes: {
-          increment: 1
-        }
+    res.json({
+      success: true,
+      message: "Subscribed to report updates"
+    });
+
+  } catch (error) {
+    console.error("Error subscribing to report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to subscribe to report"
+    });
+  }
+});
+
+/**
+ * DELETE /api/reports/:id/subscribe
+ * Unsubscribe from report updates
+ */
+router.delete("/:id/subscribe", authenticate(["CITIZEN"]), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await prisma.reportSubscription.deleteMany({
+      where: {
+        reportId: id,
+        userId: req.user.id
       }
     });
 
     res.json({
       success: true,
-      message: "Report upvoted successfully"
+      message: "Unsubscribed from report updates"
     });
 
   } catch (error) {
-    console.error("Error upvoting report:", error);
+    console.error("Error unsubscribing from report:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to upvote report"
+      message: "Failed to unsubscribe from report"
     });
   }
 });
 
 /**
- * POST /api/reports/:id/subscribe
- * Subscribe to report updates
+ * POST /api/reports/:id/reopen
+ * Reporter reopens a report that was closed or verified automatically, within
+ * the AUTO_CLOSE_REOPEN_GRACE_DAYS grace period
+ *
+ * Body: { reason: string }
  */
-router.post("/:id/subscribe", authenticate(["CITIZEN"]), async (req, res) => {
+router.post("/:id/reopen", authenticate(["CITIZEN"]), async (req, res) => {
   try {
     const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || reason.trim().length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to reopen (min 10 characters)"
+      });
+    }
+
+    const report = await prisma.report.findUnique({
+      where: { id },
+      select: { id: true, status: true, reporterId: true, mergedReporterIds: true, autoActionRule: true, autoActionedAt: true }
+    });
 
-    // Check if report exists
-    const report = await prisma.report.findUnique({ where: { id } });
     if (!report) {
       return res.status(404).json({
         success: false,
@@ -488,78 +651,202 @@ router.post("/:id/subscribe", authenticate(["CITIZEN"]), async (req, res) => {
       });
     }
 
-    // Check if already subscribed
-    const existingSubscription = await prisma.reportSubscription.findUnique({
-      where: {
-        reportId_userId: {
-          reportId: id,
-          userId: req.user.id
-        }
-      }
+    if (report.reporterId !== req.user.id && !report.mergedReporterIds.includes(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the reporter can reopen this report"
+      });
+    }
+
+    const result = await reopenAutoActionedReport(report, {
+      actor: req.user,
+      reason: reason.trim()
     });
 
-    if (existingSubscription) {
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.allowedTransitions && { currentStatus: report.status, allowedTransitions: result.allowedTransitions })
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Report reopened",
+      data: result.report
+    });
+
+  } catch (error) {
+    console.error("Error reopening report:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reopen report"
+    });
+  }
+});
+
+/**
+ * POST /api/reports/:id/appeals
+ * Reporter appeals a REJECTED or CLOSED report with a reason and new evidence
+ * (multipart/form-data). A ward admin other than the officer who closed it
+ * reviews the appeal.
+ *
+ * Body: {
+ *   reason: string,
+ *   files: evidence photos or videos, up to MEDIA_MAX_FILES
+ *   caption?: string      // applied to every file
+ * }
+ */
+router.post("/:id/appeals", authenticate(["CITIZEN"]), parseMediaUpload("files"), async (req, res) => {
+  const stored = [];
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const caption = req.body.caption?.trim() || null;
+
+    if (!reason || reason.trim().length < 10) {
       return res.status(400).json({
         success: false,
-        message: "Already subscribed to this report"
+        message: "A reason is required to appeal (min 10 characters)"
       });
     }
 
-    await prisma.reportSubscription.create({
-      data: {
-        reportId: id,
-        userId: req.user.id
+    if (!req.files?.length) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one evidence file is required in the \"files\" field"
+      });
+    }
+
+    const report = await prisma.report.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        wardId: true,
+        reporterId: true,
+        mergedReporterIds: true,
+        latitude: true,
+        longitude: true,
+        closedAt: true,
+        updatedAt: true
       }
     });
 
-    res.json({
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    if (report.reporterId !== req.user.id && !report.mergedReporterIds.includes(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the reporter can appeal this report"
+      });
+    }
+
+    for (const file of req.files) {
+      const upload = await storeUpload(file, {
+        prefix: `reports/${id}/appeals`,
+        location: { latitude: report.latitude, longitude: report.longitude }
+      });
+
+      if (!upload.ok) {
+        await Promise.all(stored.splice(0).map(discardUpload));
+        return res.status(upload.status).json({
+          success: false,
+          message: upload.message
+        });
+      }
+      stored.push(upload.media);
+    }
+
+    const result = await fileAppeal(report, {
+      actor: req.user,
+      reason: reason.trim(),
+      evidence: stored,
+      caption
+    });
+
+    if (!result.ok) {
+      await Promise.all(stored.splice(0).map(discardUpload));
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
       success: true,
-      message: "Subscribed to report updates"
+      message: result.appeal.status === "ESCALATED"
+        ? "Appeal filed and referred to a senior administrator"
+        : "Appeal filed and assigned to an officer for review",
+      data: result.appeal
     });
 
   } catch (error) {
-    console.error("Error subscribing to report:", error);
+    await Promise.all(stored.map(discardUpload)).catch(() => {});
+    console.error("Error filing appeal:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to subscribe to report"
+      message: "Failed to file appeal"
     });
   }
 });
 
 /**
- * DELETE /api/reports/:id/subscribe
- * Unsubscribe from report updates
+ * GET /api/reports/:id/appeals
+ * Appeals on a report. The reporters and the ward's officers see them in full;
+ * everyone else sees their progress and outcome only.
  */
-router.delete("/:id/subscribe", authenticate(["CITIZEN"]), async (req, res) => {
+router.get("/:id/appeals", optionalAuthenticate(), async (req, res) => {
   try {
     const { id } = req.params;
 
-    await prisma.reportSubscription.deleteMany({
-      where: {
-        reportId: id,
-        userId: req.user.id
-      }
+    const report = await prisma.report.findUnique({
+      where: { id },
+      select: { id: true, wardId: true, reporterId: true, mergedReporterIds: true }
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    const appeals = await prisma.appeal.findMany({
+      where: { reportId: id },
+      orderBy: { createdAt: 'desc' }
     });
 
+    const fullAccess = await canViewPrivateNotes(req, report);
+
     res.json({
       success: true,
-      message: "Unsubscribed from report updates"
+      data: fullAccess ? appeals : appeals.map(toPublicAppeal)
     });
 
   } catch (error) {
-    console.error("Error unsubscribing from report:", error);
+    console.error("Error fetching appeals:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to unsubscribe from report"
+      message: "Failed to fetch appeals"
     });
   }
 });
 
 /**
  * POST /api/reports/:id/duplicate
- * Mark report as duplicate of another
+ * Mark report as duplicate of another. Both reports must be in the caller's wards.
+ *
+ * Body: { duplicateOfId: string }
  */
-router.post("/:id/duplicate", authenticate(["MODERATOR", "ADMIN"]), async (req, res) => {
+router.post("/:id/duplicate", authenticate(["MODERATOR", "ADMIN", "SUPERADMIN"]), requireReportWardAccess(), async (req, res) => {
   try {
     const { id } = req.params;
     const { duplicateOfId } = req.body;
@@ -584,6 +871,34 @@ router.post("/:id/duplicate", authenticate(["MODERATOR", "ADMIN"]), async (req,
       });
     }
 
+    if (duplicateOf.id === report.id) {
+      return res.status(400).json({
+        success: false,
+        message: "A report cannot be a duplicate of itself"
+      });
+    }
+
+    const scope = await resolveWardScope(req);
+    if (!scopeIncludesWard(scope, duplicateOf.wardId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. The original report belongs to a ward you are not assigned to."
+      });
+    }
+
+    if (["DUPLICATE", "MERGED"].includes(duplicateOf.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Report ${duplicateOf.id} is itself ${duplicateOf.status}; mark this report as a duplicate of the original instead`,
+        originalId: duplicateOf.duplicateOfId || duplicateOf.mergedIntoId
+      });
+    }
+
+    const transition = await checkTransition(report, "DUPLICATE", { role: req.user.role });
+    if (!transition.ok) {
+      return sendTransitionError(res, report, transition);
+    }
+
     // Update report status
     await prisma.report.update({
       where: { id },
@@ -642,4 +957,700 @@ router.post("/:id/duplicate", authenticate(["MODERATOR", "ADMIN"]), async (req,
   }
 });
 
+// ========================================
+// REPORT MEDIA
+// ========================================
+
+// Reports in these statuses no longer accept new media
+const MEDIA_LOCKED_STATUSES = ["CLOSED", "REJECTED", "AUTO_CLOSED", "MERGED", "DUPLICATE"];
+
+/**
+ * POST /api/reports/:id/media
+ * Upload photos or videos to your report (multipart/form-data)
+ *
+ * Form fields: files (1 or more; JPEG, PNG, WebP, MP4, MOV or WebM), caption?: string
+ */
+router.post("/:id/media", authenticate(["CITIZEN"]), parseMediaUpload("files"), async (req, res) => {
+  const stored = [];
+  try {
+    const { id } = req.params;
+    const caption = req.body.caption?.trim() || null;
+
+    if (!req.files?.length) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one file is required in the \"files\" field"
+      });
+    }
+
+    const report = await prisma.report.findUnique({
+      where: { id },
+      select: { id: true, status: true, reporterId: true, latitude: true, longitude: true }
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    if (report.reporterId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only add media to your own reports"
+      });
+    }
+
+    if (MEDIA_LOCKED_STATUSES.includes(report.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Media cannot be added to a report in status ${report.status}`
+      });
+    }
+
+    for (const file of req.files) {
+      const result = await storeUpload(file, {
+        prefix: `reports/${id}`,
+        location: { latitude: report.latitude, longitude: report.longitude }
+      });
+
+      if (!result.ok) {
+        await Promise.all(stored.splice(0).map(discardUpload));
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+      stored.push(result.media);
+    }
+
+    const media = await prisma.$transaction(async (tx) => {
+      const rows = [];
+      for (const item of stored) {
+        const created = await tx.media.create({
+          data: {
+            ...item,
+            url: "",
+            caption,
+            source: "REPORT",
+            reportId: id,
+            uploadedById: req.user.id
+          }
+        });
+
+        const urls = buildMediaUrls(created.id);
+        rows.push(await tx.media.update({
+          where: { id: created.id },
+          data: {
+            url: urls.url,
+            thumbnailUrl: item.thumbnailKey ? urls.thumbnailUrl : null
+          }
+        }));
+      }
+      return rows;
+    });
+
+    const mismatched = media.filter(item => item.locationMismatch);
+
+    await prisma.reportHistory.create({
+      data: {
+        reportId: id,
+        actorId: req.user.id,
+        actorName: `${req.user.role} (${req.user.id})`,
+        action: "MEDIA_UPLOADED",
+        description: `${media.length} file(s) uploaded` +
+          (mismatched.length ? `; ${mismatched.length} with GPS far from the report location` : ""),
+        metadata: {
+          mediaIds: media.map(item => item.id),
+          locationMismatchIds: mismatched.map(item => item.id)
+        },
+        isSystemGenerated: false
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: mismatched.length
+        ? "Media uploaded; some files were taken far from the report location and have been flagged"
+        : "Media uploaded successfully",
+      data: media
+    });
+
+  } catch (error) {
+    await Promise.all(stored.map(discardUpload)).catch(() => {});
+    console.error("Error uploading report media:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to upload media"
+    });
+  }
+});
+
+// ========================================
+// COMPLETED WORK REVIEW
+// ========================================
+
+/**
+ * POST /api/reports/:id/proofs/:proofId/confirm
+ * Reporter confirms the contractor's completion proof (multipart/form-data)
+ *
+ * Body: {
+ *   comment?: string,
+ *   photo?: one photo file
+ * }
+ */
+router.post("/:id/proofs/:proofId/confirm", authenticate(["CITIZEN"]), parseMediaUpload("photo"), (req, res) => reviewCompletionProof(req, res, true));
+
+/**
+ * POST /api/reports/:id/proofs/:proofId/dispute
+ * Reporter disputes the contractor's completion proof; comment and photo are
+ * required (multipart/form-data)
+ *
+ * Body: {
+ *   comment: string,
+ *   photo: one photo file of the unfinished work
+ * }
+ */
+router.post("/:id/proofs/:proofId/dispute", authenticate(["CITIZEN"]), parseMediaUpload("photo"), (req, res) => reviewCompletionProof(req, res, false));
+
+// ========================================
+// CONTRACTOR RATING
+// ========================================
+
+/**
+ * POST /api/reports/:id/rating
+ * Reporter rates the contractor once the work is verified
+ *
+ * Body: {
+ *   quality: number (1-5),
+ *   timeliness: number (1-5),
+ *   comment?: string
+ * }
+ */
+router.post("/:id/rating", authenticate(["CITIZEN"]), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { quality, timeliness, comment } = req.body;
+
+    if (!isValidRating(quality) || !isValidRating(timeliness)) {
+      return res.status(400).json({
+        success: false,
+        message: `quality and timeliness must be whole numbers from ${MIN_RATING} to ${MAX_RATING}`
+      });
+    }
+
+    const found = await prisma.report.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        reporterId: true,
+        assignments: {
+          where: CURRENT_ASSIGNMENT,
+          take: 1,
+          select: { id: true, contractorId: true, contractor: { select: { userId: true } } }
+        }
+      }
+    });
+    const report = found && withCurrentAssignment(found);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    if (report.reporterId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the reporter can rate the contractor"
+      });
+    }
+
+    if (!report.assignment || !RATEABLE_REPORT_STATUSES.includes(report.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `The contractor can be rated once the work is verified (current status: ${report.status})`
+      });
+    }
+
+    const score = (quality + timeliness) / 2;
+
+    let rating;
+    try {
+      rating = await prisma.contractorRating.create({
+        data: {
+          contractorId: report.assignment.contractorId,
+          assignmentId: report.assignment.id,
+          reportId: id,
+          raterId: req.user.id,
+          quality,
+          timeliness,
+          score,
+          comment: comment?.trim() || null
+        }
+      });
+    } catch (error) {
+      if (error.code === "P2002") {
+        return res.status(409).json({
+          success: false,
+          message: "You have already rated the contractor for this report"
+        });
+      }
+      throw error;
+    }
+
+    const { avgRating, ratingCount } = await recomputeAvgRating(report.assignment.contractorId);
+
+    await prisma.reportHistory.create({
+      data: {
+        reportId: id,
+        actorId: req.user.id,
+        actorName: `${req.user.role} (${req.user.id})`,
+        action: "CONTRACTOR_RATED",
+        description: `Reporter rated the contractor ${score}/${MAX_RATING}`,
+        metadata: {
+          ratingId: rating.id,
+          assignmentId: report.assignment.id,
+          contractorId: report.assignment.contractorId,
+          quality,
+          timeliness
+        },
+        isSystemGenerated: false
+      }
+    });
+
+    if (report.assignment.contractor.userId) {
+      await notifyUsers([report.assignment.contractor.userId], {
+        type: "CONTRACTOR_RATED",
+        title: "New rating",
+        message: `You were rated ${score}/${MAX_RATING} for "${report.title}".`,
+        reportId: id,
+        data: { ratingId: rating.id }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Thank you for rating the contractor",
+      data: {
+        rating,
+        contractor: { id: report.assignment.contractorId, avgRating, ratingCount }
+      }
+    });
+
+  } catch (error) {
+    console.error("Error rating contractor:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to rate contractor"
+    });
+  }
+});
+
+/**
+ * Subscribers may review completion proofs too when PROOF_REVIEW_ALLOW_SUBSCRIBERS=true
+ */
+function allowSubscriberReview() {
+  return process.env.PROOF_REVIEW_ALLOW_SUBSCRIBERS === "true";
+}
+
+/**
+ * Shared handler for citizen confirmation or dispute of a completion proof
+ */
+async function reviewCompletionProof(req, res, confirm) {
+  let photo = null;
+  try {
+    const { id, proofId } = req.params;
+    const { comment } = req.body;
+    const [photoFile, ...extraFiles] = req.files || [];
+
+    if (!confirm && (!comment || comment.trim().length < 10)) {
+      return res.status(400).json({
+        success: false,
+        message: "A comment describing the problem is required (min 10 characters)"
+      });
+    }
+
+    if (extraFiles.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Send a single file in the \"photo\" field"
+      });
+    }
+
+    if (!confirm && !photoFile) {
+      return res.status(400).json({
+        success: false,
+        message: "A photo of the unfinished work is required to dispute"
+      });
+    }
+
+    const report = await prisma.report.findUnique({
+      where: { id },
+      select: { id: true, title: true, status: true, reporterId: true, mergedReporterIds: true, wardId: true, latitude: true, longitude: true }
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    let allowed = report.reporterId === req.user.id || report.mergedReporterIds.includes(req.user.id);
+    if (!allowed && allowSubscriberReview()) {
+      const subscription = await prisma.reportSubscription.findUnique({
+        where: { reportId_userId: { reportId: id, userId: req.user.id } }
+      });
+      allowed = Boolean(subscription);
+    }
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: allowSubscriberReview()
+          ? "Only the reporter or subscribers can review completed work"
+          : "Only the reporter can review completed work"
+      });
+    }
+
+    if (report.status !== "PENDING_CITIZEN_REVIEW") {
+      return res.status(409).json({
+        success: false,
+        message: `This report is not awaiting citizen review (current status: ${report.status})`
+      });
+    }
+
+    const proof = await prisma.completionProof.findFirst({
+      where: { id: proofId, reportId: id },
+      include: {
+        assignment: {
+          select: { id: true, contractorId: true, contractor: { select: { userId: true, businessName: true } } }
+        }
+      }
+    });
+
+    if (!proof || proof.progressPct !== 100) {
+      return res.status(404).json({
+        success: false,
+        message: "Completion proof not found for this report"
+      });
+    }
+
+    if (!["PENDING", "OFFICER_APPROVED"].includes(proof.approvalStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: `This proof has already been reviewed (status: ${proof.approvalStatus})`
+      });
+    }
+
+    const existingReview = await prisma.completionProofApproval.findFirst({
+      where: { proofId, approverId: req.user.id }
+    });
+
+    if (existingReview) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already reviewed this proof"
+      });
+    }
+
+    // A confirmed proof the officer already approved closes the report; otherwise it waits for the officer
+    const officerApproved = proof.approvalStatus === "OFFICER_APPROVED";
+    const newProofStatus = confirm ? "CITIZEN_CONFIRMED" : "DISPUTED";
+    const newReportStatus = confirm ? (officerApproved ? "CLOSED" : "VERIFIED") : "IN_PROGRESS";
+    const now = new Date();
+
+    const transition = await checkTransition(report, newReportStatus, {
+      role: req.user.role,
+      justification: comment
+    });
+    if (!transition.ok) {
+      return sendTransitionError(res, report, transition);
+    }
+
+    // Same pipeline as report media: type sniffing, EXIF read into the original, redacted public copy
+    if (photoFile) {
+      const upload = await storeUpload(photoFile, {
+        prefix: `reports/${id}/reviews`,
+        location: { latitude: report.latitude, longitude: report.longitude }
+      });
+      if (!upload.ok) {
+        return res.status(upload.status).json({
+          success: false,
+          message: upload.message
+        });
+      }
+      photo = upload.media;
+
+      if (!photo.publicKey) {
+        await discardUpload(photo);
+        photo = null;
+        return res.status(415).json({
+          success: false,
+          message: "photo must be an image (JPEG, PNG or WebP)"
+        });
+      }
+    }
+
+    const photoMediaId = await prisma.$transaction(async (tx) => {
+      await tx.completionProofApproval.create({
+        data: {
+          proofId,
+          approverId: req.user.id,
+          approverRole: req.user.role,
+          isApproved: confirm,
+          comment: comment?.trim()
+        }
+      });
+
+      await tx.completionProof.update({
+        where: { id: proofId },
+        data: { approvalStatus: newProofStatus }
+      });
+
+      let mediaId = null;
+      if (photo) {
+        const created = await tx.media.create({
+          data: {
+            ...photo,
+            url: "",
+            caption: comment?.trim() || null,
+            source: "CITIZEN_REVIEW",
+            reportId: id,
+            completionProofId: proofId,
+            uploadedById: req.user.id
+          }
+        });
+
+        const urls = buildMediaUrls(created.id);
+        await tx.media.update({
+          where: { id: created.id },
+          data: { url: urls.url, thumbnailUrl: urls.thumbnailUrl }
+        });
+        mediaId = created.id;
+      }
+
+      await tx.report.update({
+        where: { id },
+        data: {
+          status: newReportStatus,
+          ...(newReportStatus === "CLOSED" && { closedAt: now })
+        }
+      });
+
+      if (confirm) {
+        await tx.assignment.update({
+          where: { id: proof.assignment.id },
+          data: { status: "COMPLETED", completedAt: now }
+        });
+      }
+
+      await tx.reportHistory.create({
+        data: {
+          reportId: id,
+          actorId: req.user.id,
+          actorName: `${req.user.role} (${req.user.id})`,
+          action: confirm ? "COMPLETION_CONFIRMED" : "COMPLETION_DISPUTED",
+          oldStatus: report.status,
+          newStatus: newReportStatus,
+          description: confirm
+            ? "Citizen confirmed the work is complete"
+            : "Citizen disputed the completion proof; work reopened",
+          justification: comment?.trim(),
+          metadata: {
+            proofId,
+            assignmentId: proof.assignment.id,
+            contractorId: proof.assignment.contractorId,
+            photoMediaId: mediaId,
+            locationMismatch: photo?.locationMismatch || false,
+            strikeAdded: !confirm
+          },
+          isSystemGenerated: false
+        }
+      });
+
+      return mediaId;
+    });
+    photo = null; // saved; no longer ours to discard
+
+    if (confirm) {
+      await recomputeOnTimeRate(proof.assignment.contractorId);
+    } else {
+      // Disputed completions count against the contractor's record
+      await addStrike(proof.assignment.contractorId, `Completion disputed on "${report.title}"`);
+
+      await notifyWardOfficers(report.wardId, {
+        type: "COMPLETION_DISPUTED",
+        title: "Completed work disputed",
+        message: `A citizen disputed the completion of "${report.title}": ${comment.trim()}`,
+        reportId: id,
+        data: { proofId, assignmentId: proof.assignment.id }
+      });
+    }
+
+    if (proof.assignment.contractor.userId) {
+      await notifyUsers([proof.assignment.contractor.userId], {
+        type: confirm ? "COMPLETION_CONFIRMED" : "COMPLETION_DISPUTED",
+        title: confirm ? "Work confirmed" : "Work disputed",
+        message: confirm
+          ? `The citizen confirmed your work on "${report.title}".`
+          : `The citizen disputed your work on "${report.title}". A strike was added to your record.`,
+        reportId: id,
+        data: { proofId }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: confirm ? "Thank you for confirming the work" : "Dispute recorded and the officer has been notified",
+      data: {
+        proofId,
+        proofStatus: newProofStatus,
+        reportStatus: newReportStatus,
+        photoMediaId
+      }
+    });
+
+  } catch (error) {
+    if (photo) await discardUpload(photo).catch(() => {});
+    console.error("Error reviewing completion proof:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to review completion proof"
+    });
+  }
+}
+
+/**
+ * Shared handler for reaction changes
+ * @param {string} type - Reaction type
+ * @param {boolean} [active] - true to add only; omitted to toggle
+ */
+async function reactToReport(req, res, type, active) {
+  try {
+    const { id } = req.params;
+
+    if (!REACTION_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${REACTION_TYPES.join(", ")}`
+      });
+    }
+
+    const found = await prisma.report.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        status: true,
+        mergedIntoId: true,
+        assignments: { where: CURRENT_ASSIGNMENT, take: 1, select: { contractorId: true } }
+      }
+    });
+    const report = found && withCurrentAssignment(found);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found"
+      });
+    }
+
+    // A merged report's reactions live on the report it was merged into
+    if (report.status === "MERGED") {
+      return sendMergedConflict(res, report);
+    }
+
+    let contractorId = null;
+    if (type === "THANKS") {
+      const existing = await prisma.reportReaction.findUnique({
+        where: { reportId_userId_type: { reportId: id, userId: req.user.id, type } }
+      });
+
+      // Removing a thank-you is always allowed; giving one needs finished work
+      if (!existing && (!report.assignment || !THANKABLE_REPORT_STATUSES.includes(report.status))) {
+        return res.status(409).json({
+          success: false,
+          message: `The contractor can be thanked once the work is done (current status: ${report.status})`
+        });
+      }
+      contractorId = report.assignment?.contractorId || null;
+    }
+
+    const result = await setReaction({ reportId: id, userId: req.user.id, type, active, contractorId });
+
+    if (active && !result.changed) {
+      return res.status(400).json({
+        success: false,
+        message: "You have already upvoted this report"
+      });
+    }
+
+    const viewerReactions = (await getViewerReactions(req.user.id, [id])).get(id);
+
+    res.json({
+      success: true,
+      message: result.active ? `${type} added` : `${type} removed`,
+      data: {
+        type,
+        active: result.active,
+        counts: result.counts,
+        viewerReactions
+      }
+    });
+
+  } catch (error) {
+    console.error("Error updating reaction:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update reaction"
+    });
+  }
+}
+
+/**
+ * What to do with reports outside every ward boundary: "flag" or "reject"
+ */
+function getOutsideWardPolicy() {
+  return process.env.REPORT_OUTSIDE_WARD_POLICY === "reject" ? "reject" : "flag";
+}
+
+/**
+ * Helper function to find the ward for a report location.
+ * Falls back to the ward with the nearest boundary (or any ward when no
+ * boundaries are configured) and marks the result as outside.
+ */
+async function resolveReportWard(latitude, longitude) {
+  const wards = await prisma.ward.findMany({
+    select: { id: true, name: true, boundary: true }
+  });
+
+  let nearest = null;
+  for (const ward of wards) {
+    if (!ward.boundary) continue;
+
+    const { valid, geometry } = validateBoundary(ward.boundary);
+    if (!valid) continue;
+
+    if (isPointInBoundary(latitude, longitude, geometry)) {
+      return { ward, outsideWardBoundary: false };
+    }
+
+    const centre = boundaryCentroid(geometry);
+    const distance = haversineDistance(latitude, longitude, centre.latitude, centre.longitude);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { ward, distance };
+    }
+  }
+
+  return {
+    ward: nearest?.ward || wards[0] || null,
+    outsideWardBoundary: true
+  };
+}
+
 export default router;
@@ -1,16 +1,13 @@
 // routes/run.js - User Creation APIs for JanMarg System
 import express from "express";
+import crypto from "crypto";
 import { PrismaClient } from "../generated/prisma/index.js";
-import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
-import { authenticate } from "./admin-auth.js";
+import { authenticate, hashPassword, signAccessToken, createSession } from "../utils/auth.js";
+import { validateEmail, validatePhone } from "../utils/validation.js";
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// JWT Secret
-const JWT_SECRET = process.env.JWT_SECRET || "supersecretkey";
-
 // ========================================
 // UTILITY FUNCTIONS
 // ========================================
@@ -34,17 +31,6 @@ const generateUniqueId = (name, role) => {
   return `${rolePrefix}${namePrefix}${randomSuffix}`;
 };
 
-// Input validation
-const validateEmail = (email) => {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
-};
-
-const validatePhone = (phone) => {
-  const phoneRegex = /^[6-9]\d{9}$/; // Indian mobile number format
-  return phoneRegex.test(phone);
-};
-
 // ========================================
 // CITIZEN USER CREATION API
 // ========================================
@@ -145,16 +131,8 @@ router.post("/create-citizen", async (req, res) => {
       }
     });
 
-    // Generate auth token
-    const token = jwt.sign(
-      { 
-        id: newUser.id, 
-        role: newUser.role,
-        email: newUser.email 
-      },
-      JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    // Start a session so the citizen app can keep the user signed in
+    const { accessToken: token, refreshToken } = await createSession(newUser);
 
     // Log user creation
     await prisma.auditLog.create({
@@ -186,6 +164,7 @@ router.post("/create-citizen", async (req, res) => {
         verified: newUser.verified,
         ward: newUser.wards[0]?.ward || null,
         authToken: token,
+        refreshToken,
         createdAt: newUser.createdAt
       }
     });
@@ -215,7 +194,7 @@ router.post("/create-citizen", async (req, res) => {
  *   role: "MODERATOR" | "ADMIN" | "SUPERADMIN",
  *   wardIds?: string[],
  *   departmentIds?: string[],
- *   password?: string
+ *   password?: string       // a random one is generated and returned once if omitted
  * }
  */
 router.post("/create-admin", authenticate(["SUPERADMIN"]), async (req, res) => {
@@ -284,10 +263,9 @@ router.post("/create-admin", authenticate(["SUPERADMIN"]), async (req, res) => {
 
     // Generate login credentials
     const loginId = generateUniqueId(name, role);
-    const defaultPassword = password || `${role.toLowerCase()}123`;
-    
-    // Hash password if provided (for future use)
-    // const hashedPassword = await bcrypt.hash(defaultPassword, 10);
+    // Never a guessable default: without a password, generate one and show it only in this response
+    const generatedPassword = password ? null : crypto.randomBytes(12).toString("base64url");
+    const passwordHash = await hashPassword(password || generatedPassword);
 
     // Create admin user
     const newUser = await prisma.user.create({
@@ -296,6 +274,8 @@ router.post("/create-admin", authenticate(["SUPERADMIN"]), async (req, res) => {
         email,
         phone,
         role,
+        loginId,
+        passwordHash,
         verified: true, // Admin users are verified by default
         // Create ward admin relationships if wardIds provided
         ...(wardIds.length > 0 && {
@@ -330,22 +310,13 @@ router.post("/create-admin", authenticate(["SUPERADMIN"]), async (req, res) => {
     });
 
     // Generate auth token
-    const token = jwt.sign(
-      { 
-        id: newUser.id, 
-        role: newUser.role,
-        email: newUser.email,
-        loginId: loginId
-      },
-      JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+    const token = signAccessToken(newUser);
 
     // Log admin creation
     await prisma.adminLog.create({
       data: {
         adminId: req.user.id,
-        adminName: req.user.username || "Admin",
+        adminName: req.user.name || "Admin",
         adminRole: req.user.role,
         entityType: "USER",
         entityId: newUser.id,
@@ -373,14 +344,13 @@ router.post("/create-admin", authenticate(["SUPERADMIN"]), async (req, res) => {
         role: newUser.role,
         verified: newUser.verified,
         loginId: loginId,
-        defaultPassword: defaultPassword,
         wards: newUser.wardAdmins.map(wa => wa.ward),
         authToken: token,
         createdAt: newUser.createdAt
       },
       credentials: {
         loginId: loginId,
-        password: defaultPassword,
+        ...(generatedPassword && { password: generatedPassword }),
         note: "Store these credentials securely. Password should be changed on first login."
       }
     });
@@ -484,7 +454,7 @@ router.post("/create-bulk-citizens", authenticate(["ADMIN", "SUPERADMIN"]), asyn
     await prisma.adminLog.create({
       data: {
         adminId: req.user.id,
-        adminName: req.user.username || "Admin",
+        adminName: req.user.name || "Admin",
         adminRole: req.user.role,
         entityType: "USER",
         entityId: "bulk",
@@ -632,7 +602,7 @@ router.put("/users/:id/verify", authenticate(["ADMIN", "SUPERADMIN"]), async (re
     await prisma.adminLog.create({
       data: {
         adminId: req.user.id,
-        adminName: req.user.username || "Admin",
+        adminName: req.user.name || "Admin",
         adminRole: req.user.role,
         entityType: "USER",
         entityId: id,
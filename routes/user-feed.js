@@ -1,7 +1,7 @@
 // User feed routes - MVP placeholder
 import express from "express";
 import { PrismaClient } from "../generated/prisma/index.js";
-import { authenticate } from "./admin-auth.js";
+import { authenticate } from "../utils/auth.js";
 
 const router = express.Router();
 const prisma = new PrismaClient();
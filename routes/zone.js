@@ -1,8 +1,11 @@
 // Ward management routes (Zone equivalent in schema)
 import express from "express";
 import { PrismaClient } from "../generated/prisma/index.js";
-import { authenticate } from "./admin-auth.js";
+import { authenticate } from "../utils/auth.js";
+import { requireWardAccess } from "../utils/policy.js";
+import { validateBoundary } from "../utils/geo.js";
 import { logWardActivity, logAPIActivity } from "../utils/logger.js";
+import { CURRENT_ASSIGNMENT } from "../utils/bidding.js";
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -16,7 +19,7 @@ router.use(logAPIActivity);
  */
 router.post("/", authenticate(["ADMIN", "SUPERADMIN"]), async (req, res) => {
   try {
-    const { name, state, district } = req.body;
+    const { name, state, district, boundary } = req.body;
 
     if (!name || !state) {
       return res.status(400).json({
@@ -25,11 +28,24 @@ router.post("/", authenticate(["ADMIN", "SUPERADMIN"]), async (req, res) => {
       });
     }
 
+    let boundaryGeometry;
+    if (boundary) {
+      const check = validateBoundary(boundary);
+      if (!check.valid) {
+        return res.status(400).json({
+          success: false,
+          message: check.message
+        });
+      }
+      boundaryGeometry = check.geometry;
+    }
+
     const ward = await prisma.ward.create({
       data: {
         name,
         state,
-        district
+        district,
+        boundary: boundaryGeometry
       }
     });
 
@@ -42,7 +58,7 @@ router.post("/", authenticate(["ADMIN", "SUPERADMIN"]), async (req, res) => {
       {
         actorName: req.user.id,
         actorRole: req.user.role,
-        wardData: { name, state, district }
+        wardData: { name, state, district, hasBoundary: Boolean(boundaryGeometry) }
       }
     );
 
@@ -54,6 +70,7 @@ router.post("/", authenticate(["ADMIN", "SUPERADMIN"]), async (req, res) => {
         name: ward.name,
         state: ward.state,
         district: ward.district,
+        boundary: ward.boundary,
         createdAt: ward.createdAt
       }
     });
@@ -267,6 +284,7 @@ router.get("/:wardId", async (req, res) => {
         name: ward.name,
         state: ward.state,
         district: ward.district,
+        boundary: ward.boundary,
         createdAt: ward.createdAt,
         users: ward.userWards.map(uw => ({
           ...uw.user,
@@ -310,10 +328,10 @@ router.get("/:wardId", async (req, res) => {
  * PUT /api/zones/:wardId (Update Ward)
  * Update ward information with logging
  */
-router.put("/:wardId", authenticate(["ADMIN", "SUPERADMIN"]), async (req, res) => {
+router.put("/:wardId", authenticate(["ADMIN", "SUPERADMIN"]), requireWardAccess(), async (req, res) => {
   try {
     const { wardId } = req.params;
-    const { name, state, district } = req.body;
+    const { name, state, district, boundary } = req.body;
 
     const existingWard = await prisma.ward.findUnique({
       where: { id: wardId }
@@ -331,6 +349,22 @@ router.put("/:wardId", authenticate(["ADMIN", "SUPERADMIN"]), async (req, res) =
     if (state !== undefined) updateData.state = state;
     if (district !== undefined) updateData.district = district;
 
+    // boundary: null clears it, a GeoJSON Polygon/MultiPolygon replaces it
+    if (boundary !== undefined) {
+      if (boundary === null) {
+        updateData.boundary = null;
+      } else {
+        const check = validateBoundary(boundary);
+        if (!check.valid) {
+          return res.status(400).json({
+            success: false,
+            message: check.message
+          });
+        }
+        updateData.boundary = check.geometry;
+      }
+    }
+
     const updatedWard = await prisma.ward.update({
       where: { id: wardId },
       data: {
@@ -351,7 +385,8 @@ router.put("/:wardId", authenticate(["ADMIN", "SUPERADMIN"]), async (req, res) =
         oldData: {
           name: existingWard.name,
           state: existingWard.state,
-          district: existingWard.district
+          district: existingWard.district,
+          boundary: existingWard.boundary
         },
         newData: updateData
       }
@@ -451,7 +486,7 @@ router.delete("/:wardId", authenticate(["SUPERADMIN"]), async (req, res) => {
  * POST /api/zones/:wardId/users (Assign User to Ward)
  * Assign a user to a ward
  */
-router.post("/:wardId/users", authenticate(["ADMIN", "SUPERADMIN"]), async (req, res) => {
+router.post("/:wardId/users", authenticate(["ADMIN", "SUPERADMIN"]), requireWardAccess(), async (req, res) => {
   try {
     const { wardId } = req.params;
     const { userId, isPrimary = false } = req.body;
@@ -587,7 +622,9 @@ router.get("/:wardId/reports", async (req, res) => {
         department: {
           select: { name: true }
         },
-        assignment: {
+        assignments: {
+          where: CURRENT_ASSIGNMENT,
+          take: 1,
           select: {
             status: true,
             contractor: {
@@ -619,7 +656,7 @@ router.get("/:wardId/reports", async (req, res) => {
       reporter: report.reporter,
       issueType: report.issueType,
       department: report.department,
-      assignment: report.assignment,
+      assignment: report.assignments[0] || null,
       location: {
         latitude: report.latitude,
         longitude: report.longitude,
@@ -651,7 +688,7 @@ router.get("/:wardId/reports", async (req, res) => {
  * GET /api/zones/:wardId/analytics (Ward Analytics)
  * Get comprehensive analytics for a ward
  */
-router.get("/:wardId/analytics", authenticate(["ADMIN", "MODERATOR"]), async (req, res) => {
+router.get("/:wardId/analytics", authenticate(["ADMIN", "MODERATOR", "SUPERADMIN"]), requireWardAccess(), async (req, res) => {
   try {
     const { wardId } = req.params;
     const { timeframe = '30d' } = req.query;
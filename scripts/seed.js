@@ -1,5 +1,6 @@
 // scripts/seed.js - Database Seeding Script
 import { PrismaClient } from "../generated/prisma/index.js";
+import { hashPassword } from "../utils/auth.js";
 
 const prisma = new PrismaClient();
 
@@ -238,6 +239,8 @@ async function seedDatabase() {
         email: "superadmin@janmarg.gov.in",
         phone: "9999999999",
         role: "SUPERADMIN",
+        loginId: "superAdmin",
+        passwordHash: await hashPassword("superAdmin1"),
         verified: true
       }
     });
@@ -248,6 +251,8 @@ async function seedDatabase() {
         email: "admin@ranchi.gov.in", 
         phone: "9999999998",
         role: "ADMIN",
+        loginId: "admin",
+        passwordHash: await hashPassword("admin123"),
         verified: true,
         wardAdmins: {
           create: wards.slice(0, 3).map(ward => ({
@@ -264,6 +269,8 @@ async function seedDatabase() {
         email: "moderator@ranchi.gov.in",
         phone: "9999999997",
         role: "MODERATOR",
+        loginId: "moderator",
+        passwordHash: await hashPassword("mod123"),
         verified: true,
         moderatorRoles: {
           create: {
@@ -331,6 +338,7 @@ async function seedDatabase() {
         email: "rk.construction@example.com", 
         phone: "9876543213",
         role: "CONTRACTOR",
+        passwordHash: await hashPassword("contractor123"),
         verified: true,
         contractor: {
           create: {
@@ -359,11 +367,11 @@ async function seedDatabase() {
     `);
 
     console.log(`
-🔑 Login Credentials:
-  SuperAdmin: superadmin@janmarg.gov.in
-  Admin: admin@ranchi.gov.in
-  Moderator: moderator@ranchi.gov.in
-  Contractor: rk.construction@example.com
+🔑 Login Credentials (POST /api/auth/login):
+  SuperAdmin: superAdmin / superAdmin1
+  Admin: admin / admin123
+  Moderator: moderator / mod123
+  Contractor: rk.construction@example.com / contractor123
     `);
 
   } catch (error) {
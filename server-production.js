@@ -4,19 +4,28 @@ import cookieParser from "cookie-parser";
 import cors from "cors";
 
 // Import all route files
-import adminAuthRoutes from "./routes/admin-auth.js";
+import authRoutes from "./routes/auth.js";
 import runRoutes from "./routes/run.js";
 import reportRoutes from "./routes/report.js";
 import adminRoutes from "./routes/admin.js";
 import dashboardRoutes from "./routes/dashboard.js";
-import loginRoutes from "./routes/login.js";
 import zoneRoutes from "./routes/zone.js";
 import userFeedRoutes from "./routes/user-feed.js";
 import reportTrackingRoutes from "./routes/report-tracking.js";
+import contractorRoutes from "./routes/contractor.js";
+import bidRoutes from "./routes/bid.js";
+import assignmentRoutes from "./routes/assignment.js";
+import notificationRoutes from "./routes/notification.js";
+import mediaRoutes from "./routes/media.js";
+import { startScheduler } from "./utils/scheduler.js";
+import { assertAuthConfig } from "./utils/auth.js";
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start without a JWT secret
+assertAuthConfig();
+
 const app = express();
 const port = process.env.PORT || 3000;
 
@@ -30,7 +39,7 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:3000",
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'X-API-Key']
 }));
 
 // Simple logging middleware for production
@@ -46,15 +55,19 @@ app.use((req, res, next) => {
 });
 
 // Routes
-app.use("/api/auth", adminAuthRoutes);
+app.use("/api/auth", authRoutes);
 app.use("/api/run", runRoutes);
 app.use("/api/reports", reportRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/dashboard", dashboardRoutes);
-app.use("/api/login", loginRoutes);
 app.use("/api/zones", zoneRoutes);
 app.use("/api/feed", userFeedRoutes);
 app.use("/api/track", reportTrackingRoutes);
+app.use("/api/contractors", contractorRoutes);
+app.use("/api/bids", bidRoutes);
+app.use("/api/assignments", assignmentRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/media", mediaRoutes);
 
 // Health check endpoint
 app.get("/", (req, res) => {
@@ -98,6 +111,8 @@ app.use((err, req, res, next) => {
 });
 
 app.listen(port, () => {
+  startScheduler();
+
   const serverInfo = {
     port,
     environment: process.env.NODE_ENV || 'development',
@@ -5,10 +5,14 @@ import cookieParser from "cookie-parser";
 import cors from "cors";
 
 // Import route files
-import adminAuthRoutes from "./routes/admin-auth.js";
+import authRoutes from "./routes/auth.js";
+import { assertAuthConfig } from "./utils/auth.js";
 
 dotenv.config();
 
+// Refuse to start without a JWT secret
+assertAuthConfig();
+
 const app = express();
 const port = process.env.PORT || 3000;
 
@@ -30,7 +34,7 @@ app.use((req, res, next) => {
 });
 
 // Routes
-app.use("/api/auth", adminAuthRoutes);
+app.use("/api/auth", authRoutes);
 
 // Health check endpoint
 app.get("/", (req, res) => {
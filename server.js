@@ -8,19 +8,28 @@ import logger from "./config/logger.js";
 import { apiLogger, consoleLogger, errorLogger, timingLogger } from "./config/morgan.js";
 
 // Import all route files
-import adminAuthRoutes from "./routes/admin-auth.js";
+import authRoutes from "./routes/auth.js";
 import runRoutes from "./routes/run.js";
 import reportRoutes from "./routes/report.js";
 import adminRoutes from "./routes/admin.js";
 import dashboardRoutes from "./routes/dashboard.js";
-import loginRoutes from "./routes/login.js";
 import zoneRoutes from "./routes/zone.js";
 import userFeedRoutes from "./routes/user-feed.js";
 import reportTrackingRoutes from "./routes/report-tracking.js";
+import contractorRoutes from "./routes/contractor.js";
+import bidRoutes from "./routes/bid.js";
+import assignmentRoutes from "./routes/assignment.js";
+import notificationRoutes from "./routes/notification.js";
+import mediaRoutes from "./routes/media.js";
+import { startScheduler } from "./utils/scheduler.js";
+import { assertAuthConfig } from "./utils/auth.js";
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start without a JWT secret
+assertAuthConfig();
+
 const app = express();
 const port = process.env.PORT || 3000;
 
@@ -41,15 +50,19 @@ app.use(cors({
 }));
 
 // Routes
-app.use("/api/auth", adminAuthRoutes);
+app.use("/api/auth", authRoutes);
 app.use("/api/run", runRoutes);
 app.use("/api/reports", reportRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/dashboard", dashboardRoutes);
-app.use("/api/login", loginRoutes);
 app.use("/api/zones", zoneRoutes);
 app.use("/api/feed", userFeedRoutes);
 app.use("/api/track", reportTrackingRoutes);
+app.use("/api/contractors", contractorRoutes);
+app.use("/api/bids", bidRoutes);
+app.use("/api/assignments", assignmentRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/media", mediaRoutes);
 
 // Health check endpoint
 app.get("/", (req, res) => {
@@ -95,6 +108,8 @@ app.use((err, req, res, next) => {
 });
 
 app.listen(port, () => {
+  startScheduler();
+
   const serverInfo = {
     port,
     environment: process.env.NODE_ENV || 'development',
@@ -0,0 +1,212 @@
+// Bid award transaction tests (awardBid in utils/bidding.js)
+//
+// Prisma only runs transactions on a MongoDB replica set, so these tests need
+// a disposable one (a single node started with --replSet is enough):
+//
+//   TEST_DATABASE_URL="mongodb://localhost:27017/janmarg-test?replicaSet=rs0" npm run test:db
+//
+// Under `npm test` the suite is skipped when TEST_DATABASE_URL is not set, so it
+// never runs against the development database; `npm run test:db` fails instead.
+// Every row it creates is removed afterwards.
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+const databaseUrl = process.env.TEST_DATABASE_URL;
+
+if (!databaseUrl && process.env.npm_lifecycle_event === "test:db") {
+  throw new Error("TEST_DATABASE_URL must point at a MongoDB replica set to run the bid award tests");
+}
+
+describe("awardBid", { skip: !databaseUrl && "TEST_DATABASE_URL is not set" }, () => {
+  let prisma;
+  let awardBid;
+  let assignContractorDirectly;
+  let SYSTEM_ACTOR;
+  const created = { wards: [], users: [], contractors: [], reports: [] };
+
+  /**
+   * Create a report with one bid per amount, each from its own contractor
+   */
+  const createReportWithBids = async (amounts, status = "IN_BIDDING") => {
+    const suffix = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    const ward = await prisma.ward.create({ data: { name: `Test ward ${suffix}`, state: "Jharkhand" } });
+    created.wards.push(ward.id);
+
+    const reporter = await prisma.user.create({ data: { email: `reporter-${suffix}@test.local` } });
+    created.users.push(reporter.id);
+
+    const report = await prisma.report.create({
+      data: {
+        title: `Test report ${suffix}`,
+        reporterId: reporter.id,
+        wardId: ward.id,
+        latitude: 23.3441,
+        longitude: 85.3096,
+        status
+      }
+    });
+    created.reports.push(report.id);
+
+    const bids = [];
+    for (const amount of amounts) {
+      const contractor = await prisma.contractor.create({
+        data: { businessName: `Contractor ${amount} ${suffix}`, isVerified: true, kycStatus: "VERIFIED" }
+      });
+      created.contractors.push(contractor.id);
+      bids.push(await prisma.bid.create({
+        data: { reportId: report.id, contractorId: contractor.id, amount, score: 100000 / amount }
+      }));
+    }
+
+    return { report, bids };
+  };
+
+  before(async () => {
+    // Modules create their Prisma clients on import, so point them at the test database first
+    process.env.DATABASE_URL = databaseUrl;
+    ({ awardBid, assignContractorDirectly, SYSTEM_ACTOR } = await import("../utils/bidding.js"));
+    const { PrismaClient } = await import("../generated/prisma/index.js");
+    prisma = new PrismaClient();
+  });
+
+  after(async () => {
+    if (!prisma) return;
+    const reportId = { in: created.reports };
+    await prisma.reportHistory.deleteMany({ where: { reportId } });
+    await prisma.assignment.deleteMany({ where: { reportId } });
+    await prisma.biddingWindow.deleteMany({ where: { reportId } });
+    await prisma.bid.deleteMany({ where: { reportId } });
+    await prisma.report.deleteMany({ where: { id: reportId } });
+    await prisma.contractor.deleteMany({ where: { id: { in: created.contractors } } });
+    await prisma.user.deleteMany({ where: { id: { in: created.users } } });
+    await prisma.ward.deleteMany({ where: { id: { in: created.wards } } });
+    await prisma.$disconnect();
+  });
+
+  it("selects the bid, rejects the others, creates the assignment and moves the report together", async () => {
+    const { report, bids } = await createReportWithBids([50000, 62000, 75000]);
+    await prisma.biddingWindow.create({
+      data: { reportId: report.id, closesAt: new Date(Date.now() - 60 * 1000) }
+    });
+
+    const result = await awardBid(bids[0].id, { actor: SYSTEM_ACTOR });
+    assert.equal(result.ok, true, result.message);
+
+    const storedBids = await prisma.bid.findMany({ where: { reportId: report.id } });
+    assert.deepEqual(
+      Object.fromEntries(storedBids.map(bid => [bid.id, bid.status])),
+      { [bids[0].id]: "SELECTED", [bids[1].id]: "REJECTED", [bids[2].id]: "REJECTED" }
+    );
+
+    const assignment = await prisma.assignment.findFirst({ where: { reportId: report.id } });
+    assert.equal(assignment.bidId, bids[0].id);
+    assert.equal(assignment.contractorId, bids[0].contractorId);
+    assert.equal(assignment.agreedAmount, 50000);
+    assert.equal(assignment.status, "ASSIGNED");
+
+    const storedReport = await prisma.report.findUnique({ where: { id: report.id } });
+    assert.equal(storedReport.status, "ASSIGNED");
+    assert.equal(storedReport.biddingClosesAt, null);
+
+    const window = await prisma.biddingWindow.findFirst({ where: { reportId: report.id } });
+    assert.equal(window.status, "AWARDED");
+    assert.equal(window.awardedBidId, bids[0].id);
+
+    const history = await prisma.reportHistory.findMany({ where: { reportId: report.id, action: "BID_ASSIGNED" } });
+    assert.equal(history.length, 1);
+    assert.equal(history[0].newStatus, "ASSIGNED");
+    assert.equal(history[0].metadata.assignmentId, assignment.id);
+  });
+
+  it("lets only one of two concurrent awards on a report succeed", async () => {
+    const { report, bids } = await createReportWithBids([40000, 45000]);
+
+    const results = await Promise.all([
+      awardBid(bids[0].id, { actor: SYSTEM_ACTOR }),
+      awardBid(bids[1].id, { actor: SYSTEM_ACTOR })
+    ]);
+
+    assert.equal(results.filter(result => result.ok).length, 1);
+    assert.deepEqual(results.filter(result => !result.ok).map(result => result.status), [409]);
+
+    assert.equal(await prisma.assignment.count({ where: { reportId: report.id } }), 1);
+    assert.equal(await prisma.bid.count({ where: { reportId: report.id, status: "SELECTED" } }), 1);
+    assert.equal(await prisma.reportHistory.count({ where: { reportId: report.id, action: "BID_ASSIGNED" } }), 1);
+  });
+
+  it("rolls back every write when a later step of the award fails", async () => {
+    const { report, bids } = await createReportWithBids([30000, 35000, 38000], "VALIDATED");
+
+    // Inconsistent data: an active assignment on a VALIDATED report makes the award fail mid-transaction
+    await prisma.bid.update({ where: { id: bids[2].id }, data: { status: "SELECTED" } });
+    await prisma.assignment.create({
+      data: { reportId: report.id, bidId: bids[2].id, contractorId: bids[2].contractorId, status: "ASSIGNED" }
+    });
+
+    const result = await awardBid(bids[0].id, { actor: SYSTEM_ACTOR });
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 409);
+
+    const [first, second] = await Promise.all([
+      prisma.bid.findUnique({ where: { id: bids[0].id } }),
+      prisma.bid.findUnique({ where: { id: bids[1].id } })
+    ]);
+    assert.equal(first.status, "PENDING");
+    assert.equal(second.status, "PENDING");
+
+    const storedReport = await prisma.report.findUnique({ where: { id: report.id } });
+    assert.equal(storedReport.status, "VALIDATED");
+    assert.equal(await prisma.assignment.count({ where: { reportId: report.id } }), 1);
+    assert.equal(await prisma.reportHistory.count({ where: { reportId: report.id } }), 0);
+  });
+
+  it("awards a report again after its assignment was cancelled", async () => {
+    const { report, bids } = await createReportWithBids([20000, 26000]);
+
+    const first = await awardBid(bids[0].id, { actor: SYSTEM_ACTOR });
+    assert.equal(first.ok, true, first.message);
+
+    // What blocking the contractor leaves behind
+    await prisma.assignment.update({
+      where: { id: first.assignment.id },
+      data: { status: "CANCELLED", cancelledAt: new Date(), cancelReason: "Contractor blocked" }
+    });
+    await prisma.bid.update({ where: { id: bids[1].id }, data: { status: "PENDING" } });
+    await prisma.report.update({ where: { id: report.id }, data: { status: "VALIDATED" } });
+
+    const second = await awardBid(bids[1].id, { actor: SYSTEM_ACTOR });
+    assert.equal(second.ok, true, second.message);
+
+    const assignments = await prisma.assignment.findMany({
+      where: { reportId: report.id },
+      orderBy: { assignedAt: 'asc' }
+    });
+    assert.deepEqual(assignments.map(assignment => assignment.status), ["CANCELLED", "ASSIGNED"]);
+    assert.equal(assignments[1].bidId, bids[1].id);
+  });
+
+  it("assigns a contractor directly through a stand-in bid and leaves no bid when refused", async () => {
+    const { report } = await createReportWithBids([], "VALIDATED");
+    const [blocked, verified] = await Promise.all([
+      prisma.contractor.create({ data: { businessName: `Blocked ${report.id}`, isVerified: true, isBlocked: true } }),
+      prisma.contractor.create({ data: { businessName: `Verified ${report.id}`, isVerified: true, kycStatus: "VERIFIED" } })
+    ]);
+    created.contractors.push(blocked.id, verified.id);
+    const options = { amount: 48000, actor: SYSTEM_ACTOR, justification: "Urgent repair before monsoon" };
+
+    const refused = await assignContractorDirectly(report.id, { ...options, contractorId: blocked.id });
+    assert.equal(refused.status, 409);
+    assert.equal(await prisma.bid.count({ where: { reportId: report.id } }), 0);
+
+    const result = await assignContractorDirectly(report.id, { ...options, contractorId: verified.id });
+    assert.equal(result.ok, true, result.message);
+    assert.equal(result.assignment.contractorId, verified.id);
+    assert.equal(result.assignment.agreedAmount, 48000);
+
+    const again = await assignContractorDirectly(report.id, { ...options, contractorId: verified.id });
+    assert.equal(again.status, 409);
+    assert.equal(await prisma.assignment.count({ where: { reportId: report.id } }), 1);
+    assert.equal(await prisma.bid.count({ where: { reportId: report.id } }), 1);
+  });
+});
@@ -0,0 +1,71 @@
+// Unit tests for utils/bidding.js that need no database
+//
+// Only the checks that run before any query are exercised here; the award
+// transaction itself is covered by bid-award.test.js (see `npm run test:db`).
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { toAwardFailure, parseAssignmentDeadline, assignContractorDirectly, SYSTEM_ACTOR } from "../utils/bidding.js";
+
+describe("toAwardFailure", () => {
+  it("keeps the status of a conflict thrown inside the transaction", () => {
+    const error = Object.assign(new Error("Report already has an active assignment (a1)"), { status: 409 });
+    assert.deepEqual(toAwardFailure(error), {
+      ok: false,
+      status: 409,
+      message: "Report already has an active assignment (a1)"
+    });
+  });
+
+  it("maps an aborted concurrent transaction (P2034) to 409", () => {
+    const error = Object.assign(new Error("Transaction failed due to a write conflict"), { code: "P2034" });
+    const failure = toAwardFailure(error);
+    assert.equal(failure.ok, false);
+    assert.equal(failure.status, 409);
+    assert.match(failure.message, /at the same time/);
+  });
+
+  it("returns null for unexpected errors so they are rethrown", () => {
+    assert.equal(toAwardFailure(new Error("connection reset")), null);
+    assert.equal(toAwardFailure(Object.assign(new Error("Record not found"), { code: "P2025" })), null);
+  });
+});
+
+describe("parseAssignmentDeadline", () => {
+  const now = new Date("2025-09-01T00:00:00.000Z");
+
+  it("accepts a missing deadline", () => {
+    assert.deepEqual(parseAssignmentDeadline(undefined, now), { ok: true, deadlineAt: null });
+  });
+
+  it("parses a future date", () => {
+    const result = parseAssignmentDeadline("2025-09-30T00:00:00.000Z", now);
+    assert.equal(result.ok, true);
+    assert.equal(result.deadlineAt.toISOString(), "2025-09-30T00:00:00.000Z");
+  });
+
+  it("rejects past and invalid dates with 400", () => {
+    for (const deadline of ["2025-08-31T00:00:00.000Z", "2025-09-01T00:00:00.000Z", "next week"]) {
+      const result = parseAssignmentDeadline(deadline, now);
+      assert.equal(result.ok, false, deadline);
+      assert.equal(result.status, 400, deadline);
+    }
+  });
+});
+
+describe("assignContractorDirectly", () => {
+  const options = { contractorId: "contractor-1", amount: 48000, actor: SYSTEM_ACTOR, justification: "Urgent repair before monsoon" };
+
+  it("requires a contractor", async () => {
+    const result = await assignContractorDirectly("report-1", { ...options, contractorId: undefined });
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 400);
+  });
+
+  it("requires a positive numeric amount", async () => {
+    for (const amount of [undefined, 0, -500, "48000", NaN]) {
+      const result = await assignContractorDirectly("report-1", { ...options, amount });
+      assert.equal(result.ok, false, String(amount));
+      assert.equal(result.status, 400, String(amount));
+    }
+  });
+});
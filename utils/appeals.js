@@ -0,0 +1,453 @@
+// Appeals against rejected or closed reports for JanMarg Backend
+//
+// The reporter may appeal a REJECTED or CLOSED report once per decision,
+// within APPEAL_WINDOW_DAYS, giving a reason and new evidence. The appeal goes
+// to a ward admin other than the officer(s) who closed the report, and must be
+// decided within APPEAL_SLA_DAYS; after that the scheduler escalates it to
+// SUPERADMIN. Reopening a finished report is an admin move in the lifecycle,
+// so ward moderators do not review appeals. Filing, escalation and the outcome
+// are written to the report history, which is the public tracking timeline.
+import { PrismaClient } from "../generated/prisma/index.js";
+import { SYSTEM_ACTOR } from "./bidding.js";
+import { notifyUsers } from "./notifications.js";
+import { checkTransition } from "./report-lifecycle.js";
+import { buildMediaUrls } from "./media.js";
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const APPEALABLE_STATUSES = ["REJECTED", "CLOSED"];
+export const OPEN_APPEAL_STATUSES = ["PENDING", "ESCALATED"];
+
+// An upheld appeal sends the report back to the start of the lifecycle
+const REOPEN_STATUS = "OPEN";
+
+const OFFICER_ROLES = ["MODERATOR", "ADMIN", "SUPERADMIN"];
+
+export const getAppealConfig = () => ({
+  windowDays: parseFloat(process.env.APPEAL_WINDOW_DAYS || "30"),
+  slaDays: parseFloat(process.env.APPEAL_SLA_DAYS || "5")
+});
+
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+/**
+ * Find the decision being appealed: the history entry that moved the report
+ * into its current status, and the officers responsible for it
+ * @param {object} report - Report with id, status and updatedAt
+ * @returns {Promise<object>} { closedAt, closedById, officerIds }
+ */
+const getClosingDecision = async (report) => {
+  const entry = await prisma.reportHistory.findFirst({
+    where: { reportId: report.id, newStatus: report.status },
+    orderBy: { createdAt: 'desc' },
+    select: { actorId: true, createdAt: true }
+  });
+
+  const closedAt = entry?.createdAt || report.closedAt || report.updatedAt;
+  const actor = entry?.actorId && entry.actorId !== SYSTEM_ACTOR.id
+    ? await prisma.user.findUnique({ where: { id: entry.actorId }, select: { id: true, role: true } })
+    : null;
+  const closedById = actor && OFFICER_ROLES.includes(actor.role) ? actor.id : null;
+
+  // A CLOSED report is usually closed by the citizen confirming work an officer approved
+  const approvals = report.status === "CLOSED"
+    ? await prisma.completionProofApproval.findMany({
+      where: {
+        completionProof: { reportId: report.id },
+        isApproved: true,
+        approverRole: { in: OFFICER_ROLES }
+      },
+      select: { approverId: true }
+    })
+    : [];
+
+  const officerIds = [...new Set([closedById, ...approvals.map(approval => approval.approverId)].filter(Boolean))];
+  return { closedAt, closedById: closedById || officerIds[0] || null, officerIds };
+};
+
+/**
+ * Pick the ward admin with the fewest pending appeals, leaving out the given users
+ * @param {string} wardId - Ward of the report
+ * @param {array} excludedIds - Officers who closed the report, and the appellant
+ * @returns {Promise<string|null>} User ID, or null when nobody is available
+ */
+const findAppealReviewer = async (wardId, excludedIds) => {
+  const wardAdmins = await prisma.wardAdmin.findMany({
+    where: { wardId, userId: { notIn: excludedIds }, user: { role: "ADMIN" } },
+    select: { userId: true }
+  });
+  if (wardAdmins.length === 0) return null;
+
+  const loads = await Promise.all(wardAdmins.map(async ({ userId }) => ({
+    userId,
+    pending: await prisma.appeal.count({ where: { reviewerId: userId, status: "PENDING" } })
+  })));
+  loads.sort((a, b) => a.pending - b.pending);
+  return loads[0].userId;
+};
+
+/**
+ * IDs of SUPERADMINs who may decide an escalated appeal
+ * @param {object} appeal - Appeal with closedById
+ * @returns {Promise<array>} User IDs
+ */
+const getSuperadminIds = async (appeal) => {
+  const users = await prisma.user.findMany({
+    where: { role: "SUPERADMIN", ...(appeal.closedById && { id: { not: appeal.closedById } }) },
+    select: { id: true }
+  });
+  return users.map(user => user.id);
+};
+
+/**
+ * File an appeal against a REJECTED or CLOSED report
+ * @param {object} report - Report with id, title, status, wardId, closedAt and updatedAt
+ * @param {object} options - {
+ *   actor: req.user,
+ *   reason,
+ *   evidence: Media fields of the uploaded files (storeUpload in utils/media.js),
+ *   caption?: applied to every evidence file
+ * }
+ * @returns {Promise<object>} { ok, status?, message?, appeal? }
+ */
+export const fileAppeal = async (report, { actor, reason, evidence, caption = null }) => {
+  if (!APPEALABLE_STATUSES.includes(report.status)) {
+    return {
+      ok: false,
+      status: 409,
+      message: `Only ${APPEALABLE_STATUSES.join(" or ")} reports can be appealed (current status: ${report.status})`
+    };
+  }
+
+  const { windowDays, slaDays } = getAppealConfig();
+  const decision = await getClosingDecision(report);
+
+  const appealUntil = new Date(decision.closedAt.getTime() + windowDays * DAY_MS);
+  if (new Date() > appealUntil) {
+    return { ok: false, status: 409, message: `The ${windowDays}-day appeal period ended on ${appealUntil.toISOString()}` };
+  }
+
+  const previous = await prisma.appeal.findFirst({
+    where: { reportId: report.id, createdAt: { gte: decision.closedAt } },
+    select: { id: true, status: true }
+  });
+  if (previous) {
+    return {
+      ok: false,
+      status: 409,
+      message: `This decision has already been appealed (appeal ${previous.id}, status: ${previous.status})`
+    };
+  }
+
+  const reviewerId = await findAppealReviewer(report.wardId, [...decision.officerIds, actor.id]);
+  const now = new Date();
+
+  try {
+    const appeal = await prisma.$transaction(async (tx) => {
+      // Conditional write so the report cannot change, or be appealed twice, underneath us
+      const touched = await tx.report.updateMany({
+        where: { id: report.id, status: report.status },
+        data: { updatedAt: now }
+      });
+      if (touched.count === 0) {
+        throw conflict("Report status changed while filing the appeal; reload and try again");
+      }
+
+      const media = [];
+      for (const item of evidence) {
+        const created = await tx.media.create({
+          data: {
+            ...item,
+            url: "",
+            caption,
+            source: "APPEAL",
+            reportId: report.id,
+            uploadedById: actor.id
+          },
+          select: { id: true }
+        });
+
+        const urls = buildMediaUrls(created.id);
+        media.push(await tx.media.update({
+          where: { id: created.id },
+          data: {
+            url: urls.url,
+            thumbnailUrl: item.thumbnailKey ? urls.thumbnailUrl : null
+          },
+          select: { id: true }
+        }));
+      }
+
+      const created = await tx.appeal.create({
+        data: {
+          reportId: report.id,
+          wardId: report.wardId,
+          appellantId: actor.id,
+          appealedStatus: report.status,
+          closedById: decision.closedById,
+          reason,
+          evidenceMediaIds: media.map(row => row.id),
+          reviewerId,
+          dueAt: new Date(now.getTime() + slaDays * DAY_MS),
+          ...(!reviewerId && {
+            status: "ESCALATED",
+            escalatedAt: now,
+            escalationReason: "No ward admin other than the officer who closed the report is available"
+          })
+        }
+      });
+
+      await tx.reportHistory.create({
+        data: {
+          reportId: report.id,
+          actorId: actor.id,
+          actorName: `${actor.role} (${actor.id})`,
+          action: "APPEAL_FILED",
+          description: reviewerId
+            ? `Reporter appealed the ${report.status} decision; an officer will review it`
+            : `Reporter appealed the ${report.status} decision; referred to a senior administrator`,
+          metadata: { appealId: created.id, evidenceCount: media.length, dueAt: created.dueAt.toISOString() },
+          isSystemGenerated: false
+        }
+      });
+
+      return created;
+    });
+
+    const recipients = reviewerId ? [reviewerId] : await getSuperadminIds(appeal);
+    await notifyUsers(recipients, {
+      type: "APPEAL_FILED",
+      title: "Appeal to review",
+      message: `The reporter of "${report.title}" appealed its ${report.status} decision. Please decide by ${appeal.dueAt.toISOString()}.`,
+      reportId: report.id,
+      data: { appealId: appeal.id, escalated: !reviewerId }
+    });
+
+    return { ok: true, appeal };
+  } catch (error) {
+    if (error.status) {
+      return { ok: false, status: error.status, message: error.message };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Check whether a user may decide an appeal
+ * @param {object} appeal - Appeal with status, reviewerId, closedById and appellantId
+ * @param {object} actor - req.user
+ * @returns {string|null} Why not, or null when allowed
+ */
+export const getAppealDecisionBlocker = (appeal, actor) => {
+  if (actor.id === appeal.closedById) {
+    return "You made the decision under appeal; another officer must review it";
+  }
+  if (actor.id === appeal.appellantId) {
+    return "You cannot review your own appeal";
+  }
+  if (appeal.status === "ESCALATED" && actor.role !== "SUPERADMIN") {
+    return "This appeal has been escalated; only a SUPERADMIN can decide it";
+  }
+  if (appeal.status === "PENDING" && actor.role !== "SUPERADMIN" && actor.id !== appeal.reviewerId) {
+    return "This appeal is assigned to another officer";
+  }
+  return null;
+};
+
+/**
+ * Uphold or deny an appeal. Upholding reopens the report.
+ * @param {string} appealId - Appeal ID
+ * @param {object} options - { actor: req.user, decision: "UPHOLD" | "DENY", justification }
+ * @returns {Promise<object>} { ok, status?, message?, allowedTransitions?, appeal?, report? }
+ */
+export const decideAppeal = async (appealId, { actor, decision, justification }) => {
+  const appeal = await prisma.appeal.findUnique({
+    where: { id: appealId },
+    include: { report: { select: { id: true, title: true, status: true, wardId: true } } }
+  });
+
+  if (!appeal) {
+    return { ok: false, status: 404, message: "Appeal not found" };
+  }
+
+  if (!OPEN_APPEAL_STATUSES.includes(appeal.status)) {
+    return { ok: false, status: 409, message: `This appeal has already been decided (status: ${appeal.status})` };
+  }
+
+  const blocker = getAppealDecisionBlocker(appeal, actor);
+  if (blocker) {
+    return { ok: false, status: 403, message: blocker };
+  }
+
+  const { report } = appeal;
+  const uphold = decision === "UPHOLD";
+
+  if (uphold) {
+    if (report.status !== appeal.appealedStatus) {
+      return {
+        ok: false,
+        status: 409,
+        message: `The report is no longer ${appeal.appealedStatus} (current status: ${report.status}); deny the appeal or leave it`
+      };
+    }
+    const transition = await checkTransition(report, REOPEN_STATUS, { role: actor.role, justification });
+    if (!transition.ok) {
+      return transition;
+    }
+  }
+
+  const now = new Date();
+
+  try {
+    const decided = await prisma.$transaction(async (tx) => {
+      // Conditional so two officers cannot both decide the same appeal
+      const claimed = await tx.appeal.updateMany({
+        where: { id: appeal.id, status: appeal.status },
+        data: {
+          status: uphold ? "UPHELD" : "DENIED",
+          decidedById: actor.id,
+          decidedAt: now,
+          decisionNote: justification
+        }
+      });
+      if (claimed.count === 0) {
+        throw conflict("This appeal has already been decided");
+      }
+
+      if (uphold) {
+        const moved = await tx.report.updateMany({
+          where: { id: report.id, status: appeal.appealedStatus },
+          data: { status: REOPEN_STATUS, closedAt: null }
+        });
+        if (moved.count === 0) {
+          throw conflict("Report status changed while deciding the appeal; reload and try again");
+        }
+      }
+
+      await tx.reportHistory.create({
+        data: {
+          reportId: report.id,
+          actorId: actor.id,
+          actorName: `${actor.role} (${actor.id})`,
+          action: uphold ? "APPEAL_UPHELD" : "APPEAL_DENIED",
+          ...(uphold && { oldStatus: appeal.appealedStatus, newStatus: REOPEN_STATUS }),
+          description: uphold
+            ? `Appeal upheld; the ${appeal.appealedStatus} decision was reversed and the report reopened`
+            : `Appeal denied; the report stays ${appeal.appealedStatus}`,
+          justification,
+          metadata: { appealId: appeal.id, escalated: appeal.status === "ESCALATED" },
+          isSystemGenerated: false
+        }
+      });
+
+      return tx.appeal.findUnique({ where: { id: appeal.id } });
+    });
+
+    await notifyUsers([appeal.appellantId], {
+      type: uphold ? "APPEAL_UPHELD" : "APPEAL_DENIED",
+      title: uphold ? "Appeal upheld" : "Appeal denied",
+      message: uphold
+        ? `Your appeal on "${report.title}" was upheld and the report has been reopened: ${justification}`
+        : `Your appeal on "${report.title}" was denied: ${justification}`,
+      reportId: report.id,
+      data: { appealId: appeal.id }
+    });
+
+    return {
+      ok: true,
+      appeal: decided,
+      report: { id: report.id, status: uphold ? REOPEN_STATUS : report.status }
+    };
+  } catch (error) {
+    if (error.status) {
+      return { ok: false, status: error.status, message: error.message };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Escalate every pending appeal whose SLA has passed to SUPERADMIN (scheduled job)
+ * @returns {Promise<object>} { escalated }
+ */
+export const escalateOverdueAppeals = async () => {
+  const { slaDays } = getAppealConfig();
+  const appeals = await prisma.appeal.findMany({
+    where: { status: "PENDING", dueAt: { lte: new Date() } },
+    include: { report: { select: { id: true, title: true } } },
+    orderBy: { dueAt: 'asc' }
+  });
+
+  let escalated = 0;
+  for (const appeal of appeals) {
+    const now = new Date();
+    const reason = `Not decided within the ${slaDays}-day SLA`;
+
+    // Conditional so an appeal decided since the query is left alone
+    const claimed = await prisma.appeal.updateMany({
+      where: { id: appeal.id, status: "PENDING" },
+      data: { status: "ESCALATED", escalatedAt: now, escalationReason: reason }
+    });
+    if (claimed.count === 0) continue;
+
+    await prisma.reportHistory.create({
+      data: {
+        reportId: appeal.reportId,
+        actorId: SYSTEM_ACTOR.id,
+        actorName: SYSTEM_ACTOR.name,
+        action: "APPEAL_ESCALATED",
+        description: "Appeal escalated to a senior administrator",
+        justification: reason,
+        metadata: { appealId: appeal.id, reviewerId: appeal.reviewerId, dueAt: appeal.dueAt.toISOString() },
+        isSystemGenerated: true
+      }
+    });
+
+    await notifyUsers(await getSuperadminIds(appeal), {
+      type: "APPEAL_ESCALATED",
+      title: "Appeal escalated",
+      message: `An appeal on "${appeal.report.title}" was not decided within ${slaDays} day(s) and needs a decision.`,
+      reportId: appeal.reportId,
+      data: { appealId: appeal.id }
+    });
+    await notifyUsers([appeal.appellantId], {
+      type: "APPEAL_ESCALATED",
+      title: "Appeal escalated",
+      message: `Your appeal on "${appeal.report.title}" has been referred to a senior administrator.`,
+      reportId: appeal.reportId,
+      data: { appealId: appeal.id }
+    });
+
+    escalated += 1;
+  }
+
+  return { escalated };
+};
+
+/**
+ * Shape an appeal for the public tracking timeline: its progress and outcome,
+ * without the appellant or their reason
+ */
+export const toPublicAppeal = (appeal) => ({
+  id: appeal.id,
+  appealedStatus: appeal.appealedStatus,
+  status: appeal.status,
+  createdAt: appeal.createdAt,
+  dueAt: appeal.dueAt,
+  escalatedAt: appeal.escalatedAt,
+  decidedAt: appeal.decidedAt,
+  decisionNote: appeal.decisionNote
+});
+
+export default {
+  APPEALABLE_STATUSES,
+  OPEN_APPEAL_STATUSES,
+  getAppealConfig,
+  fileAppeal,
+  getAppealDecisionBlocker,
+  decideAppeal,
+  escalateOverdueAppeals,
+  toPublicAppeal
+};
@@ -1,69 +1,216 @@
 // Authentication utility functions for JanMarg Backend
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import jwt from "jsonwebtoken";
+import { PrismaClient } from "../generated/prisma/index.js";
 
-const FAKE_USERS = [
-  { 
-    id: "admin", 
-    password: "admin123", 
-    role: "ADMIN", 
-    username: "Admin User", 
-    token: "fake-jwt-token-admin",
-    email: "admin@janmarg.gov.in"
-  },
-  { 
-    id: "superAdmin", 
-    password: "superAdmin1", 
-    role: "SUPERADMIN", 
-    username: "Super Admin", 
-    token: "fake-jwt-token-superadmin",
-    email: "superadmin@janmarg.gov.in"
-  },
-  { 
-    id: "moderator", 
-    password: "mod123", 
-    role: "MODERATOR", 
-    username: "Moderator User", 
-    token: "fake-jwt-token-moderator",
-    email: "moderator@janmarg.gov.in"
-  },
-  { 
-    id: "citizen1", 
-    password: "citizen123", 
-    role: "CITIZEN", 
-    username: "Citizen User", 
-    token: "fake-jwt-token-citizen",
-    email: "citizen@example.com"
+const prisma = new PrismaClient();
+
+const BCRYPT_ROUNDS = 10;
+
+// Used to keep login timing constant when the user does not exist
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("janmarg-dummy-password", BCRYPT_ROUNDS);
+
+// Read lazily so values from .env are picked up after dotenv.config() runs.
+// There is no fallback: tokens signed with a known default could be forged.
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET is not set; refusing to sign or verify tokens");
+  }
+  return process.env.JWT_SECRET;
+};
+export const getAccessTokenTtlSeconds = () => parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || "900");
+export const getRefreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30");
+
+/**
+ * Fail fast at startup when authentication is not configured
+ * @throws {Error} When JWT_SECRET is unset
+ */
+export const assertAuthConfig = () => {
+  getJwtSecret();
+};
+
+/**
+ * Strip secrets from a User row before exposing it
+ * @param {object} user - User record from the database
+ * @returns {object} User without password hash
+ */
+export const toPublicUser = (user) => {
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+};
+
+/**
+ * Hash a plain text password
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+export const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+/**
+ * Compare a plain text password with a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} passwordHash - Stored bcrypt hash
+ * @returns {Promise<boolean>} True if password matches
+ */
+export const verifyPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {object} user - User record (needs id and role)
+ * @returns {string} Signed JWT
+ */
+export const signAccessToken = (user) => {
+  return jwt.sign(
+    { sub: user.id, role: user.role },
+    getJwtSecret(),
+    { expiresIn: getAccessTokenTtlSeconds() }
+  );
+};
+
+const hashRefreshToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Create and store a new refresh token
+ * @param {string} userId - Owner of the token
+ * @param {string} familyId - Rotation chain the token belongs to (new chain if omitted)
+ * @returns {Promise<object>} { token, record } where token is the raw value to hand to the client
+ */
+export const issueRefreshToken = async (userId, familyId = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+
+  const record = await prisma.refreshToken.create({
+    data: {
+      userId,
+      familyId,
+      tokenHash: hashRefreshToken(token),
+      expiresAt: new Date(Date.now() + getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000)
+    }
+  });
+
+  return { token, record };
+};
+
+/**
+ * Exchange a refresh token for a new one (rotation).
+ * Presenting an already-rotated token revokes the whole chain, since it
+ * means the token was copied.
+ * @param {string} token - Raw refresh token from the client
+ * @returns {Promise<object|null>} { user, refreshToken } or null if invalid
+ */
+export const rotateRefreshToken = async (token) => {
+  if (!token) return null;
+
+  const existing = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashRefreshToken(token) },
+    include: { user: true }
+  });
+
+  if (!existing) return null;
+
+  if (existing.revokedAt) {
+    await prisma.refreshToken.updateMany({
+      where: { familyId: existing.familyId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    return null;
+  }
+
+  if (existing.expiresAt < new Date()) return null;
+
+  const { token: newToken, record } = await issueRefreshToken(existing.userId, existing.familyId);
+
+  // Only one concurrent rotation of the same token may win
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: existing.id, revokedAt: null },
+    data: { revokedAt: new Date(), replacedById: record.id }
+  });
+
+  if (count === 0) {
+    await prisma.refreshToken.update({
+      where: { id: record.id },
+      data: { revokedAt: new Date() }
+    });
+    return null;
   }
-];
+
+  return { user: toPublicUser(existing.user), refreshToken: newToken };
+};
+
+/**
+ * Revoke a refresh token (logout)
+ * @param {string} token - Raw refresh token from the client
+ */
+export const revokeRefreshToken = async (token) => {
+  if (!token) return;
+
+  await prisma.refreshToken.updateMany({
+    where: { tokenHash: hashRefreshToken(token), revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+};
+
+/**
+ * Issue an access token and a fresh refresh token chain for a user
+ * @param {object} user - User record
+ * @returns {Promise<object>} { accessToken, refreshToken, expiresIn }
+ */
+export const createSession = async (user) => {
+  const accessToken = signAccessToken(user);
+  const { token: refreshToken } = await issueRefreshToken(user.id);
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: getAccessTokenTtlSeconds()
+  };
+};
 
 /**
- * Map token to user information
+ * Resolve the user behind an access token
  * @param {string} token - Authentication token
- * @returns {object|null} User object or null if invalid token
+ * @returns {Promise<object|null>} User object or null if invalid token
  */
-export const getUserFromToken = (token) => {
+export const getUserFromToken = async (token) => {
   if (!token) return null;
-  
-  const user = FAKE_USERS.find(u => u.token === token);
+
+  const secret = getJwtSecret();
+
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch (error) {
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: payload.sub }
+  });
   if (!user) return null;
-  
-  // Return user without password
-  const { password, ...userWithoutPassword } = user;
-  return userWithoutPassword;
+
+  return toPublicUser(user);
 };
 
 /**
  * Validate user credentials
- * @param {string} id - User identifier
+ * @param {string} identifier - Login ID or email
  * @param {string} password - User password
- * @returns {object|null} User object or null if invalid credentials
+ * @returns {Promise<object|null>} User object or null if invalid credentials
  */
-export const validateCredentials = (id, password) => {
-  const user = FAKE_USERS.find(u => u.id === id && u.password === password);
-  if (!user) return null;
-  
-  // Return user without password
-  const { password: pwd, ...userWithoutPassword } = user;
-  return userWithoutPassword;
+export const validateCredentials = async (identifier, password) => {
+  const user = await prisma.user.findFirst({
+    where: {
+      OR: [
+        { loginId: identifier },
+        { email: identifier }
+      ]
+    }
+  });
+
+  const passwordMatches = await verifyPassword(password, user?.passwordHash || DUMMY_PASSWORD_HASH);
+  if (!user || !user.passwordHash || !passwordMatches) return null;
+
+  return toPublicUser(user);
 };
 
 /**
@@ -77,70 +224,211 @@ export const hasRequiredRole = (userRole, requiredRoles = []) => {
   return requiredRoles.includes(userRole);
 };
 
+const API_KEY_PREFIX = "jm_";
+
+const hashApiKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Create an API key for a user. The raw key is only returned here.
+ * @param {string} userId - Owner of the key
+ * @param {string} name - Label shown in key listings
+ * @param {Date|null} expiresAt - Optional expiry
+ * @returns {Promise<object>} { key, record }
+ */
+export const createApiKey = async (userId, name, expiresAt = null) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+  const record = await prisma.apiKey.create({
+    data: {
+      userId,
+      name,
+      keyPrefix: key.substring(0, API_KEY_PREFIX.length + 6),
+      keyHash: hashApiKey(key),
+      expiresAt
+    }
+  });
+
+  return { key, record };
+};
+
 /**
- * Get all available test users (for documentation)
- * @returns {array} Array of users without passwords
+ * Resolve the user behind an API key
+ * @param {string} key - Raw API key
+ * @returns {Promise<object|null>} User object or null if key is unknown, revoked or expired
  */
-export const getTestUsers = () => {
-  return FAKE_USERS.map(user => {
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+export const getUserFromApiKey = async (key) => {
+  if (!key) return null;
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashApiKey(key) },
+    include: { user: true }
+  });
+
+  if (!apiKey || apiKey.revokedAt) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) return null;
+
+  await prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: new Date() }
   });
+
+  return toPublicUser(apiKey.user);
+};
+
+/**
+ * Authentication strategies.
+ * extract() pulls the credential off the request (null when absent),
+ * resolve() turns it into a user (null when invalid).
+ * ambient: true marks credentials the browser sends on its own (cookies);
+ * they are tried after explicit headers, and an invalid one falls through.
+ */
+const strategies = new Map();
+
+/**
+ * Register an authentication strategy
+ * @param {string} name - Strategy name
+ * @param {object} strategy - { extract(req), resolve(credential), ambient? }
+ */
+export const registerAuthStrategy = (name, strategy) => {
+  strategies.set(name, strategy);
+};
+
+registerAuthStrategy("bearer", {
+  extract: (req) => {
+    const authHeader = req.headers.authorization;
+    return authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+  },
+  resolve: getUserFromToken
+});
+
+registerAuthStrategy("apiKey", {
+  extract: (req) => req.get('X-API-Key') || null,
+  resolve: getUserFromApiKey
+});
+
+registerAuthStrategy("session", {
+  extract: (req) => req.cookies?.token || null,
+  resolve: getUserFromToken,
+  ambient: true
+});
+
+/**
+ * Identify the caller. Explicit headers are tried first and are final:
+ * an invalid Authorization header or API key is not rescued by a cookie.
+ * An invalid (e.g. stale) session cookie falls through to the next strategy.
+ * @param {object} req - Express request
+ * @param {array} allowedStrategies - Strategy names to try (all registered when empty)
+ * @returns {Promise<object>} { strategy, user } - strategy is null when no credential was sent
+ */
+export const identifyRequest = async (req, allowedStrategies = []) => {
+  const names = (allowedStrategies.length > 0 ? allowedStrategies : [...strategies.keys()])
+    .filter(name => strategies.has(name));
+  const ordered = [
+    ...names.filter(name => !strategies.get(name).ambient),
+    ...names.filter(name => strategies.get(name).ambient)
+  ];
+
+  let rejected = null;
+  for (const name of ordered) {
+    const strategy = strategies.get(name);
+
+    const credential = strategy.extract(req);
+    if (!credential) continue;
+
+    const user = await strategy.resolve(credential);
+    if (user || !strategy.ambient) {
+      return { strategy: name, user };
+    }
+    rejected = rejected || name;
+  }
+
+  return { strategy: rejected, user: null };
 };
 
 /**
  * Authentication middleware factory
  * @param {array} requiredRoles - Array of roles that can access the route
+ * @param {object} options - { strategies: names of strategies to accept }
  * @returns {function} Express middleware function
  */
-export const authenticate = (requiredRoles = []) => {
-  return (req, res, next) => {
-    // Try to get token from cookie first, then from Authorization header
-    let token = req.cookies?.token;
-    
-    // If no cookie, try Authorization header (for Postman)
-    if (!token) {
-      const authHeader = req.headers.authorization;
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        token = authHeader.substring(7);
+export const authenticate = (requiredRoles = [], options = {}) => {
+  return async (req, res, next) => {
+    try {
+      const { strategy, user } = await identifyRequest(req, options.strategies);
+
+      if (!strategy) {
+        return res.status(401).json({
+          success: false,
+          message: "No authentication token provided. Please login first.",
+          hint: "Send token in cookie 'token', Authorization header 'Bearer <token>' or an 'X-API-Key' header"
+        });
       }
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired credentials"
+        });
+      }
+
+      // Check role permissions
+      if (!hasRequiredRole(user.role, requiredRoles)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Required roles: ${requiredRoles.join(', ')}. Your role: ${user.role}`
+        });
+      }
+
+      // Attach user to request
+      req.user = user;
+      req.authStrategy = strategy;
+      next();
+    } catch (error) {
+      next(error);
     }
-    
-    if (!token) {
-      return res.status(401).json({ 
-        success: false, 
-        message: "No authentication token provided. Please login first.",
-        hint: "Send token in cookie 'token' or Authorization header 'Bearer <token>'"
-      });
-    }
-    
-    // Get user from token
-    const user = getUserFromToken(token);
-    if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        message: "Invalid or expired token" 
-      });
-    }
-    
-    // Check role permissions
-    if (!hasRequiredRole(user.role, requiredRoles)) {
-      return res.status(403).json({ 
-        success: false, 
-        message: `Access denied. Required roles: ${requiredRoles.join(', ')}. Your role: ${user.role}` 
-      });
+  };
+};
+
+/**
+ * Middleware factory for public routes that show more to signed-in users.
+ * Sets req.user when a valid credential is sent; missing or invalid
+ * credentials leave the request anonymous instead of failing it.
+ * @param {object} options - { strategies: names of strategies to accept }
+ * @returns {function} Express middleware function
+ */
+export const optionalAuthenticate = (options = {}) => {
+  return async (req, res, next) => {
+    try {
+      const { strategy, user } = await identifyRequest(req, options.strategies);
+
+      if (user) {
+        req.user = user;
+        req.authStrategy = strategy;
+      }
+      next();
+    } catch (error) {
+      next(error);
     }
-    
-    // Attach user to request
-    req.user = user;
-    next();
   };
 };
 
 export default {
+  assertAuthConfig,
+  toPublicUser,
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  createSession,
   getUserFromToken,
   validateCredentials,
   hasRequiredRole,
-  getTestUsers,
-  authenticate
-};
\ No newline at end of file
+  createApiKey,
+  getUserFromApiKey,
+  registerAuthStrategy,
+  identifyRequest,
+  authenticate,
+  optionalAuthenticate
+};
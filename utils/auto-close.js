@@ -0,0 +1,333 @@
+// Auto-close policies for JanMarg Backend
+//
+// Each policy moves reports that have sat in one status for too long to
+// another status. Reporters are warned AUTO_CLOSE_WARNING_DAYS before the move,
+// and the move never happens sooner than that after the warning, even if the
+// scheduler was down. Moves are system-generated history entries, and the
+// reporter can reopen the report within AUTO_CLOSE_REOPEN_GRACE_DAYS.
+import { PrismaClient } from "../generated/prisma/index.js";
+import { SYSTEM_ACTOR, CURRENT_ASSIGNMENT } from "./bidding.js";
+import { notifyUsers } from "./notifications.js";
+import { recomputeOnTimeRate } from "./penalties.js";
+import { checkTransition } from "./report-lifecycle.js";
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getAutoCloseConfig = () => ({
+  warningDays: parseFloat(process.env.AUTO_CLOSE_WARNING_DAYS || "3"),
+  reopenGraceDays: parseFloat(process.env.AUTO_CLOSE_REOPEN_GRACE_DAYS || "7")
+});
+
+/**
+ * Check that nobody but the reporter has touched an OPEN report
+ * @returns {Promise<boolean>}
+ */
+const hasNoEngagement = async (report) => {
+  if (report.upvotes > 0 || report.downvotes > 0) return false;
+
+  const [comments, subscriptions, moderatorActions, staffHistory] = await Promise.all([
+    prisma.comment.count({ where: { reportId: report.id, authorId: { not: report.reporterId } } }),
+    prisma.reportSubscription.count({ where: { reportId: report.id, userId: { not: report.reporterId } } }),
+    prisma.moderatorAction.count({ where: { reportId: report.id } }),
+    prisma.reportHistory.count({
+      where: { reportId: report.id, actorId: { notIn: [report.reporterId, SYSTEM_ACTOR.id] } }
+    })
+  ]);
+  return comments + subscriptions + moderatorActions + staffHistory === 0;
+};
+
+/**
+ * Accept the contractor's work on a report the citizen never reviewed
+ */
+const completeAssignment = async (report) => {
+  const assignment = await prisma.assignment.findFirst({
+    where: { reportId: report.id, ...CURRENT_ASSIGNMENT },
+    select: { id: true, contractorId: true, status: true }
+  });
+  if (!assignment || !["ASSIGNED", "IN_PROGRESS"].includes(assignment.status)) return;
+
+  await prisma.assignment.update({
+    where: { id: assignment.id },
+    data: { status: "COMPLETED", completedAt: new Date() }
+  });
+  await recomputeOnTimeRate(assignment.contractorId);
+};
+
+/**
+ * Put accepted work back in review when the reporter reopens an automatic verification
+ */
+const reopenAssignment = async (report) => {
+  const assignment = await prisma.assignment.findFirst({
+    where: { reportId: report.id, ...CURRENT_ASSIGNMENT },
+    select: { id: true, contractorId: true, status: true }
+  });
+  if (!assignment || assignment.status !== "COMPLETED") return;
+
+  await prisma.assignment.update({
+    where: { id: assignment.id },
+    data: { status: "IN_PROGRESS", completedAt: null }
+  });
+  await recomputeOnTimeRate(assignment.contractorId);
+};
+
+/**
+ * The policies. afterDays of 0 (or less) turns a policy off.
+ *   from/to     - statuses the policy moves reports between
+ *   afterDays   - days in `from` before the move
+ *   where       - optional Prisma filter narrowing the candidates
+ *   eligible    - optional extra check on a candidate report
+ *   afterApply  - optional follow-up once the report has moved
+ *   afterReopen - optional follow-up when the reporter reopens it
+ *   warning/applied - reporter notification text
+ */
+export const getAutoClosePolicies = () => [
+  {
+    name: "AUTO_VERIFY_UNREVIEWED",
+    from: "PENDING_CITIZEN_REVIEW",
+    to: "VERIFIED",
+    afterDays: parseFloat(process.env.AUTO_VERIFY_REVIEW_DAYS || "7"),
+    description: "Completed work the citizen has not confirmed or disputed is accepted",
+    afterApply: completeAssignment,
+    afterReopen: reopenAssignment,
+    warning: (report, days) => `Please confirm or dispute the work on "${report.title}". Without a response it will be marked verified in ${days} day(s).`,
+    applied: (report) => `The work on "${report.title}" was marked verified because it was not reviewed in time.`
+  },
+  {
+    name: "AUTO_CLOSE_STALE_OPEN",
+    from: "OPEN",
+    to: "AUTO_CLOSED",
+    afterDays: parseFloat(process.env.AUTO_CLOSE_STALE_OPEN_DAYS || "30"),
+    description: "Open reports nobody has upvoted, commented on, followed or moderated are closed",
+    where: { upvotes: 0, downvotes: 0, moderatorActions: { none: {} } },
+    eligible: hasNoEngagement,
+    warning: (report, days) => `"${report.title}" has had no activity and will be closed in ${days} day(s).`,
+    applied: (report) => `"${report.title}" was closed after a period with no activity.`
+  }
+];
+
+/**
+ * When a report last entered its current status
+ */
+const getStatusEnteredAt = async (report) => {
+  const entry = await prisma.reportHistory.findFirst({
+    where: { reportId: report.id, newStatus: report.status },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true }
+  });
+  return entry?.createdAt || report.createdAt;
+};
+
+const systemHistory = (report, data) => ({
+  reportId: report.id,
+  actorId: SYSTEM_ACTOR.id,
+  actorName: SYSTEM_ACTOR.name,
+  isSystemGenerated: true,
+  ...data
+});
+
+/**
+ * Warn or move one report under a policy
+ * @returns {Promise<string|null>} "WARNED", "APPLIED" or null when nothing was done
+ */
+const applyPolicyToReport = async (policy, report, now) => {
+  const { warningDays } = getAutoCloseConfig();
+
+  const enteredAt = await getStatusEnteredAt(report);
+  const dueAt = new Date(enteredAt.getTime() + policy.afterDays * DAY_MS);
+  if (now < new Date(dueAt.getTime() - warningDays * DAY_MS)) return null;
+
+  if (policy.eligible && !(await policy.eligible(report))) return null;
+
+  const reporterIds = [report.reporterId, ...report.mergedReporterIds];
+  const warning = await prisma.reportHistory.findFirst({
+    where: { reportId: report.id, action: "AUTO_CLOSE_WARNING", createdAt: { gte: enteredAt } },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true }
+  });
+
+  if (!warning) {
+    const daysLeft = Math.max(Math.ceil((dueAt.getTime() - now.getTime()) / DAY_MS), Math.ceil(warningDays));
+    await prisma.reportHistory.create({
+      data: systemHistory(report, {
+        action: "AUTO_CLOSE_WARNING",
+        description: `${policy.description}; this report will move to ${policy.to} in ${daysLeft} day(s)`,
+        metadata: { policy: policy.name, to: policy.to, dueAt: new Date(now.getTime() + daysLeft * DAY_MS).toISOString() }
+      })
+    });
+    await notifyUsers(reporterIds, {
+      type: "AUTO_CLOSE_WARNING",
+      title: "Your report needs attention",
+      message: policy.warning(report, daysLeft),
+      reportId: report.id,
+      data: { policy: policy.name, to: policy.to }
+    });
+    return "WARNED";
+  }
+
+  // The full notice period runs from the warning, whenever it went out
+  if (now < dueAt || now < new Date(warning.createdAt.getTime() + warningDays * DAY_MS)) return null;
+
+  const transition = await checkTransition(report, policy.to, { role: SYSTEM_ACTOR.role });
+  if (!transition.ok) return null;
+
+  // Conditional so a status change since the query is never overwritten
+  const moved = await prisma.report.updateMany({
+    where: { id: report.id, status: policy.from },
+    data: {
+      status: policy.to,
+      autoActionRule: policy.name,
+      autoActionedAt: now,
+      ...(policy.to === "AUTO_CLOSED" && { autoClosed: true, closedAt: now })
+    }
+  });
+  if (moved.count === 0) return null;
+
+  await prisma.reportHistory.create({
+    data: systemHistory(report, {
+      action: "AUTO_CLOSE_APPLIED",
+      oldStatus: policy.from,
+      newStatus: policy.to,
+      description: policy.description,
+      justification: `No change for ${policy.afterDays} day(s) in ${policy.from}`,
+      metadata: { policy: policy.name, enteredAt: enteredAt.toISOString(), warnedAt: warning.createdAt.toISOString() }
+    })
+  });
+
+  if (policy.afterApply) await policy.afterApply(report);
+
+  const { reopenGraceDays } = getAutoCloseConfig();
+  await notifyUsers(reporterIds, {
+    type: "AUTO_CLOSE_APPLIED",
+    title: "Your report was updated automatically",
+    message: `${policy.applied(report)} You can reopen it within ${reopenGraceDays} day(s).`,
+    reportId: report.id,
+    data: { policy: policy.name, to: policy.to }
+  });
+  return "APPLIED";
+};
+
+/**
+ * Run every enabled policy once (scheduled job)
+ * @returns {Promise<object>} { [policy]: { warned, applied } }
+ */
+export const applyAutoClosePolicies = async () => {
+  const { warningDays } = getAutoCloseConfig();
+  const now = new Date();
+  const summary = {};
+
+  for (const policy of getAutoClosePolicies()) {
+    if (!(policy.afterDays > 0)) continue;
+    summary[policy.name] = { warned: 0, applied: 0 };
+
+    // Cheap prefilter: a report cannot have been in its status longer than it has existed
+    const reports = await prisma.report.findMany({
+      where: {
+        status: policy.from,
+        createdAt: { lte: new Date(now.getTime() - (policy.afterDays - warningDays) * DAY_MS) },
+        ...policy.where
+      },
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        reporterId: true,
+        mergedReporterIds: true,
+        upvotes: true,
+        downvotes: true,
+        createdAt: true
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    for (const report of reports) {
+      const outcome = await applyPolicyToReport(policy, report, now);
+      if (outcome === "WARNED") summary[policy.name].warned += 1;
+      if (outcome === "APPLIED") summary[policy.name].applied += 1;
+    }
+  }
+  return summary;
+};
+
+/**
+ * Check whether a reporter may still reopen an automatically moved report
+ * @param {object} report - Report with status, autoActionRule and autoActionedAt
+ * @returns {object} { ok, message?, reopenTo?, reopenUntil? }
+ */
+export const getReopenWindow = (report) => {
+  const policy = getAutoClosePolicies().find(candidate => candidate.name === report.autoActionRule);
+  if (!policy || report.status !== policy.to || !report.autoActionedAt) {
+    return { ok: false, message: "Only reports closed or verified automatically can be reopened by their reporter" };
+  }
+
+  const { reopenGraceDays } = getAutoCloseConfig();
+  const reopenUntil = new Date(report.autoActionedAt.getTime() + reopenGraceDays * DAY_MS);
+  if (new Date() > reopenUntil) {
+    return { ok: false, message: `The ${reopenGraceDays}-day reopen period ended on ${reopenUntil.toISOString()}` };
+  }
+  return { ok: true, reopenTo: policy.from, reopenUntil };
+};
+
+/**
+ * Reopen an automatically moved report on behalf of its reporter
+ * @param {object} report - Report with id, status, autoActionRule and autoActionedAt
+ * @param {object} options - { actor: req.user, reason }
+ * @returns {Promise<object>} { ok, status?, message?, allowedTransitions?, report? }
+ */
+export const reopenAutoActionedReport = async (report, { actor, reason }) => {
+  const window = getReopenWindow(report);
+  if (!window.ok) {
+    return { ok: false, status: 409, message: window.message };
+  }
+
+  const transition = await checkTransition(report, window.reopenTo, { role: actor.role, justification: reason });
+  if (!transition.ok) {
+    return transition;
+  }
+
+  const moved = await prisma.report.updateMany({
+    where: { id: report.id, status: report.status },
+    data: {
+      status: window.reopenTo,
+      autoActionRule: null,
+      autoActionedAt: null,
+      autoClosed: false,
+      closedAt: null
+    }
+  });
+  if (moved.count === 0) {
+    return { ok: false, status: 409, message: "Report status changed while reopening; reload and try again" };
+  }
+
+  const policy = getAutoClosePolicies().find(candidate => candidate.name === report.autoActionRule);
+  if (policy.afterReopen) await policy.afterReopen(report);
+
+  await prisma.reportHistory.create({
+    data: {
+      reportId: report.id,
+      actorId: actor.id,
+      actorName: `${actor.role} (${actor.id})`,
+      action: "AUTO_CLOSE_REOPENED",
+      oldStatus: report.status,
+      newStatus: window.reopenTo,
+      description: `Reporter reopened the report after ${policy.name}`,
+      justification: reason,
+      metadata: { policy: policy.name, autoActionedAt: report.autoActionedAt.toISOString() },
+      isSystemGenerated: false
+    }
+  });
+
+  return {
+    ok: true,
+    report: await prisma.report.findUnique({ where: { id: report.id } })
+  };
+};
+
+export default {
+  getAutoCloseConfig,
+  getAutoClosePolicies,
+  applyAutoClosePolicies,
+  getReopenWindow,
+  reopenAutoActionedReport
+};
@@ -0,0 +1,374 @@
+// Bidding window and bid award workflow for JanMarg Backend
+import { PrismaClient } from "../generated/prisma/index.js";
+import { rescoreReportBids } from "./scoring.js";
+import { notifyUsers, notifyWardOfficers } from "./notifications.js";
+import { checkTransition, getSourceStatuses } from "./report-lifecycle.js";
+
+const prisma = new PrismaClient();
+
+// Actor recorded on history entries written by scheduled jobs
+export const SYSTEM_ACTOR = { id: "system", role: "SYSTEM", name: "System", isSystem: true };
+
+// A report keeps its CANCELLED assignments for the record; the current one is
+// the (at most one) assignment that is not cancelled
+export const CURRENT_ASSIGNMENT = { status: { not: "CANCELLED" } };
+
+/**
+ * Turn a report loaded with `assignments: { where: CURRENT_ASSIGNMENT, take: 1 }`
+ * into one with a single `assignment` (null when there is none)
+ * @param {object} report - Report with assignments
+ * @returns {object} Report with assignment instead of assignments
+ */
+export const withCurrentAssignment = ({ assignments, ...report }) => ({
+  ...report,
+  assignment: assignments?.[0] || null
+});
+
+export const getDefaultAssignmentDays = () => parseInt(process.env.ASSIGNMENT_DEFAULT_DAYS || "14");
+
+// How an actor is named in report history
+export const actorName = (actor) => actor.isSystem ? actor.name : `${actor.role} (${actor.id})`;
+
+// Thrown inside a transaction to roll it back with an HTTP status
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+/**
+ * Map an error from the award transaction to a failed award result
+ * @param {object} error - Error thrown by the transaction (with status or code)
+ * @returns {object|null} { ok: false, status, message }, or null when the error is unexpected
+ */
+export const toAwardFailure = (error) => {
+  if (error.status) {
+    return { ok: false, status: error.status, message: error.message };
+  }
+  // MongoDB aborts the losing transaction when two awards touch the same report at once
+  if (error.code === "P2034") {
+    return { ok: false, status: 409, message: "Another award for this report was made at the same time; reload and try again" };
+  }
+  return null;
+};
+
+/**
+ * Parse an optional assignment deadline from a request body
+ * @param {string} [deadline] - Date string
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {object} { ok: true, deadlineAt } (null when not given) or { ok: false, status, message }
+ */
+export const parseAssignmentDeadline = (deadline, now = new Date()) => {
+  if (!deadline) {
+    return { ok: true, deadlineAt: null };
+  }
+  const deadlineAt = new Date(deadline);
+  if (isNaN(deadlineAt.getTime()) || deadlineAt <= now) {
+    return { ok: false, status: 400, message: "deadline must be a valid future date" };
+  }
+  return { ok: true, deadlineAt };
+};
+
+/**
+ * Award a bid: select it, reject the other pending bids, create the
+ * assignment, move the report to ASSIGNED and record history, all in one
+ * transaction.
+ * @param {string} bidId - Bid to award
+ * @param {object} options - { actor, justification?, deadlineAt?, windowId? }
+ * @returns {Promise<object>} { ok, status?, message?, assignment?, bid? }
+ */
+export const awardBid = async (bidId, { actor, justification = null, deadlineAt = null, windowId = null }) => {
+  const bid = await prisma.bid.findUnique({
+    where: { id: bidId },
+    include: {
+      contractor: { select: { id: true, businessName: true, userId: true, isBlocked: true } },
+      report: { select: { id: true, title: true, status: true } }
+    }
+  });
+
+  if (!bid) {
+    return { ok: false, status: 404, message: "Bid not found" };
+  }
+
+  if (bid.contractor.isBlocked) {
+    return { ok: false, status: 409, message: "This contractor is blocked and cannot be awarded work" };
+  }
+
+  const transition = await checkTransition(bid.report, "ASSIGNED", { role: actor.role, justification });
+  if (!transition.ok) {
+    return { ok: false, status: transition.status, message: transition.message, allowedTransitions: transition.allowedTransitions };
+  }
+
+  const deadline = deadlineAt || new Date(Date.now() + getDefaultAssignmentDays() * 24 * 60 * 60 * 1000);
+
+  try {
+    const assignment = await prisma.$transaction(async (tx) => {
+      // Conditional updates so two officers (or an officer and the scheduler) cannot both award
+      const selected = await tx.bid.updateMany({
+        where: { id: bidId, status: "PENDING" },
+        data: { status: "SELECTED" }
+      });
+      if (selected.count === 0) {
+        throw conflict(`Only pending bids can be awarded (current status: ${bid.status})`);
+      }
+
+      const moved = await tx.report.updateMany({
+        where: { id: bid.reportId, status: { in: getSourceStatuses("ASSIGNED") } },
+        data: { status: "ASSIGNED", biddingClosesAt: null }
+      });
+      if (moved.count === 0) {
+        throw conflict(`Report cannot be assigned from status ${bid.report.status}`);
+      }
+
+      await tx.bid.updateMany({
+        where: { reportId: bid.reportId, id: { not: bidId }, status: "PENDING" },
+        data: { status: "REJECTED" }
+      });
+
+      // Earlier assignments may exist, but only cancelled ones (e.g. the contractor was blocked)
+      const current = await tx.assignment.findFirst({
+        where: { reportId: bid.reportId, ...CURRENT_ASSIGNMENT },
+        select: { id: true }
+      });
+      if (current) {
+        throw conflict(`Report already has an active assignment (${current.id})`);
+      }
+
+      const created = await tx.assignment.create({
+        data: {
+          reportId: bid.reportId,
+          bidId,
+          contractorId: bid.contractorId,
+          assignedById: actor.isSystem ? null : actor.id,
+          deadlineAt: deadline,
+          agreedAmount: bid.amount,
+          status: "ASSIGNED"
+        }
+      });
+
+      await tx.biddingWindow.updateMany({
+        where: { reportId: bid.reportId, status: "OPEN", ...(windowId && { id: windowId }) },
+        data: { status: "AWARDED", closedAt: new Date(), awardedBidId: bidId }
+      });
+
+      await tx.reportHistory.create({
+        data: {
+          reportId: bid.reportId,
+          actorId: actor.id,
+          actorName: actorName(actor),
+          action: "BID_ASSIGNED",
+          oldStatus: bid.report.status,
+          newStatus: "ASSIGNED",
+          description: `Bid awarded to contractor ${bid.contractor.businessName}`,
+          justification,
+          metadata: {
+            bidId,
+            assignmentId: created.id,
+            contractorId: bid.contractorId,
+            agreedAmount: bid.amount,
+            score: bid.score,
+            deadlineAt: deadline.toISOString()
+          },
+          isSystemGenerated: Boolean(actor.isSystem)
+        }
+      });
+
+      return created;
+    });
+
+    if (bid.contractor.userId) {
+      await notifyUsers([bid.contractor.userId], {
+        type: "BID_AWARDED",
+        title: "Your bid was selected",
+        message: `Your bid of ${bid.amount} for "${bid.report.title}" was selected.`,
+        reportId: bid.reportId,
+        data: { bidId, assignmentId: assignment.id }
+      });
+    }
+
+    return { ok: true, assignment, bid: { ...bid, status: "SELECTED" } };
+  } catch (error) {
+    const failure = toAwardFailure(error);
+    if (failure) {
+      return failure;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Assign a contractor directly, without a bidding round. The agreed amount is
+ * recorded as a bid from the contractor, which is then awarded with awardBid,
+ * so direct assignments get the same checks and the same transaction.
+ * @param {string} reportId - Report to assign
+ * @param {object} options - { contractorId, amount, actor, justification, deadlineAt? }
+ * @returns {Promise<object>} Same as awardBid
+ */
+export const assignContractorDirectly = async (reportId, { contractorId, amount, actor, justification, deadlineAt = null }) => {
+  if (!contractorId) {
+    return { ok: false, status: 400, message: "contractorId is required" };
+  }
+
+  if (typeof amount !== "number" || !(amount > 0)) {
+    return { ok: false, status: 400, message: "amount must be a positive number" };
+  }
+
+  const report = await prisma.report.findUnique({
+    where: { id: reportId },
+    select: { id: true }
+  });
+
+  if (!report) {
+    return { ok: false, status: 404, message: "Report not found" };
+  }
+
+  const contractor = await prisma.contractor.findUnique({
+    where: { id: contractorId },
+    select: { id: true, isVerified: true, isBlocked: true }
+  });
+
+  if (!contractor) {
+    return { ok: false, status: 404, message: "Contractor not found" };
+  }
+
+  if (contractor.isBlocked) {
+    return { ok: false, status: 409, message: "This contractor is blocked and cannot be awarded work" };
+  }
+
+  if (!contractor.isVerified) {
+    return { ok: false, status: 409, message: "Only contractors with verified KYC can be assigned work" };
+  }
+
+  const pendingBid = await prisma.bid.findFirst({
+    where: { reportId, contractorId, status: "PENDING" },
+    select: { id: true }
+  });
+  if (pendingBid) {
+    return {
+      ok: false,
+      status: 409,
+      message: `This contractor already has a pending bid (${pendingBid.id}) on the report; award it instead`
+    };
+  }
+
+  const bid = await prisma.bid.create({
+    data: { reportId, contractorId, amount, notes: "Direct assignment without bidding" }
+  });
+
+  let result;
+  try {
+    result = await awardBid(bid.id, { actor, justification, deadlineAt });
+  } finally {
+    // A refused or failed award leaves no trace of the stand-in bid
+    if (!result?.ok) {
+      await prisma.bid.delete({ where: { id: bid.id } });
+    }
+  }
+  return result;
+};
+
+/**
+ * Close a bidding window whose deadline has passed.
+ * Awards the top-scored bid when enough bids came in, otherwise sends the
+ * report back to VALIDATED and escalates to the ward officers.
+ * @param {object} window - BiddingWindow row
+ * @returns {Promise<object>} { outcome: "AWARDED" | "ESCALATED" | "SKIPPED", ... }
+ */
+export const closeBiddingWindow = async (window) => {
+  const report = await prisma.report.findUnique({
+    where: { id: window.reportId },
+    select: { id: true, title: true, status: true, wardId: true }
+  });
+
+  // Report left bidding some other way (e.g. manual award); just close the window
+  if (!report || report.status !== "IN_BIDDING") {
+    await prisma.biddingWindow.updateMany({
+      where: { id: window.id, status: "OPEN" },
+      data: { status: "CANCELLED", closedAt: new Date() }
+    });
+    return { outcome: "SKIPPED", reportId: window.reportId };
+  }
+
+  const rankedBids = await rescoreReportBids(report.id);
+
+  // Blocked contractors keep their bids on record but cannot win
+  const blockedContractors = await prisma.contractor.findMany({
+    where: { id: { in: rankedBids.map(bid => bid.contractorId) }, isBlocked: true },
+    select: { id: true }
+  });
+  const blockedIds = new Set(blockedContractors.map(contractor => contractor.id));
+  const pendingBids = rankedBids.filter(bid => bid.status === "PENDING" && !blockedIds.has(bid.contractorId));
+
+  if (pendingBids.length >= window.minBids) {
+    const result = await awardBid(pendingBids[0].id, {
+      actor: SYSTEM_ACTOR,
+      justification: `Bidding closed with ${pendingBids.length} bid(s); highest score ${pendingBids[0].score} awarded automatically`,
+      windowId: window.id
+    });
+
+    if (result.ok) {
+      await prisma.biddingWindow.update({
+        where: { id: window.id },
+        data: { bidCount: pendingBids.length }
+      });
+      return { outcome: "AWARDED", reportId: report.id, bidId: pendingBids[0].id };
+    }
+    // Fall through and escalate if the award lost a race
+  }
+
+  const claimed = await prisma.biddingWindow.updateMany({
+    where: { id: window.id, status: "OPEN" },
+    data: { status: "ESCALATED", closedAt: new Date(), bidCount: pendingBids.length }
+  });
+  if (claimed.count === 0) {
+    return { outcome: "SKIPPED", reportId: report.id };
+  }
+
+  const transition = await checkTransition(report, "VALIDATED", { role: SYSTEM_ACTOR.role });
+  if (!transition.ok) {
+    console.error(`Bidding window ${window.id} closed but report ${report.id} was not returned to VALIDATED: ${transition.message}`);
+    return { outcome: "ESCALATED", reportId: report.id, bidCount: pendingBids.length };
+  }
+
+  await prisma.report.update({
+    where: { id: report.id },
+    data: { status: "VALIDATED", biddingClosesAt: null }
+  });
+
+  await prisma.reportHistory.create({
+    data: {
+      reportId: report.id,
+      actorId: SYSTEM_ACTOR.id,
+      actorName: SYSTEM_ACTOR.name,
+      action: "BIDDING_ESCALATED",
+      oldStatus: "IN_BIDDING",
+      newStatus: "VALIDATED",
+      description: `Bidding closed with ${pendingBids.length} of ${window.minBids} required bid(s); escalated to ward officers`,
+      metadata: {
+        windowId: window.id,
+        bidCount: pendingBids.length,
+        minBids: window.minBids
+      },
+      isSystemGenerated: true
+    }
+  });
+
+  await notifyWardOfficers(report.wardId, {
+    type: "BIDDING_ESCALATED",
+    title: "Bidding needs attention",
+    message: `Bidding on "${report.title}" closed with ${pendingBids.length} of ${window.minBids} required bid(s). Award manually or reopen bidding.`,
+    reportId: report.id,
+    data: { windowId: window.id, bidCount: pendingBids.length }
+  });
+
+  return { outcome: "ESCALATED", reportId: report.id, bidCount: pendingBids.length };
+};
+
+export default {
+  SYSTEM_ACTOR,
+  CURRENT_ASSIGNMENT,
+  withCurrentAssignment,
+  actorName,
+  getDefaultAssignmentDays,
+  toAwardFailure,
+  parseAssignmentDeadline,
+  awardBid,
+  assignContractorDirectly,
+  closeBiddingWindow
+};
@@ -0,0 +1,148 @@
+// Duplicate report detection for JanMarg Backend
+//
+// A new report is compared with open reports of the same issue type filed
+// within DUPLICATE_WINDOW_DAYS and DUPLICATE_RADIUS_METERS of it. Candidates
+// are fetched by geohash prefix and then filtered on exact distance. Matches
+// are shown to the citizen and stored as DuplicateSuspicion rows for the
+// moderators' queue.
+import { PrismaClient } from "../generated/prisma/index.js";
+import { encodeGeohash, geohashCoverage, haversineDistance } from "./geo.js";
+
+const prisma = new PrismaClient();
+
+export const GEOHASH_PRECISION = 9;
+
+// Reports in these statuses are finished or already folded into another report
+export const INACTIVE_REPORT_STATUSES = ["CLOSED", "REJECTED", "AUTO_CLOSED", "DUPLICATE", "MERGED"];
+
+// Candidates fetched per search before the exact distance filter
+const MAX_CANDIDATES = 100;
+
+export const getDuplicateConfig = () => ({
+  radiusMeters: parseFloat(process.env.DUPLICATE_RADIUS_METERS || "100"),
+  windowDays: parseFloat(process.env.DUPLICATE_WINDOW_DAYS || "30"),
+  maxResults: parseInt(process.env.DUPLICATE_MAX_RESULTS || "5")
+});
+
+/**
+ * Geohash stored on a report
+ * @param {number} latitude - Report latitude
+ * @param {number} longitude - Report longitude
+ * @returns {string} Geohash
+ */
+export const reportGeohash = (latitude, longitude) => encodeGeohash(latitude, longitude, GEOHASH_PRECISION);
+
+// Significant words of a title, for a rough similarity measure
+const titleWords = (title) => new Set(
+  (title || "").toLowerCase().split(/[^a-z0-9ऀ-ॿ]+/).filter(word => word.length > 2)
+);
+
+/**
+ * Share of words two titles have in common (Jaccard index)
+ * @returns {number} 0-1
+ */
+const titleSimilarity = (a, b) => {
+  const wordsA = titleWords(a);
+  const wordsB = titleWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+/**
+ * Find open reports that a new report probably duplicates
+ * @param {object} report - { latitude, longitude, issueTypeId, title?, id? (excluded) }
+ * @returns {Promise<array>} [{ report, distanceMeters, score }], most likely first
+ */
+export const findDuplicateCandidates = async ({ latitude, longitude, issueTypeId, title, id }) => {
+  if (!issueTypeId) return [];
+
+  const { radiusMeters, windowDays, maxResults } = getDuplicateConfig();
+  const windowMs = windowDays * 24 * 60 * 60 * 1000;
+  const now = Date.now();
+
+  const reports = await prisma.report.findMany({
+    where: {
+      issueTypeId,
+      status: { notIn: INACTIVE_REPORT_STATUSES },
+      isSpam: false,
+      createdAt: { gte: new Date(now - windowMs) },
+      OR: geohashCoverage(latitude, longitude, radiusMeters).map(prefix => ({ geohash: { startsWith: prefix } })),
+      ...(id && { id: { not: id } })
+    },
+    select: {
+      id: true,
+      title: true,
+      status: true,
+      wardId: true,
+      latitude: true,
+      longitude: true,
+      address: true,
+      upvotes: true,
+      createdAt: true
+    },
+    orderBy: { createdAt: 'desc' },
+    take: MAX_CANDIDATES
+  });
+
+  return reports
+    .map(candidate => {
+      const distanceMeters = haversineDistance(latitude, longitude, candidate.latitude, candidate.longitude);
+      const closeness = 1 - distanceMeters / radiusMeters;
+      const recency = 1 - (now - candidate.createdAt.getTime()) / windowMs;
+      const score = 0.6 * closeness + 0.2 * Math.max(recency, 0) + 0.2 * titleSimilarity(title, candidate.title);
+      return {
+        report: candidate,
+        distanceMeters: Math.round(distanceMeters),
+        score: Math.round(score * 1000) / 1000
+      };
+    })
+    .filter(match => match.distanceMeters <= radiusMeters)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxResults);
+};
+
+/**
+ * Queue suspected duplicates of a new report for moderator review
+ * @param {object} report - The new report (id, wardId)
+ * @param {array} matches - Result of findDuplicateCandidates
+ * @returns {Promise<number>} Suspicions recorded
+ */
+export const recordDuplicateSuspicions = async (report, matches) => {
+  if (matches.length === 0) return 0;
+
+  const { count } = await prisma.duplicateSuspicion.createMany({
+    data: matches.map(match => ({
+      reportId: report.id,
+      candidateId: match.report.id,
+      wardId: report.wardId,
+      distanceMeters: match.distanceMeters,
+      score: match.score
+    }))
+  });
+  return count;
+};
+
+/**
+ * Shape a match for citizens: enough to recognise and upvote the existing report
+ */
+export const toDuplicateResponse = (match) => ({
+  id: match.report.id,
+  title: match.report.title,
+  status: match.report.status,
+  address: match.report.address,
+  upvotes: match.report.upvotes,
+  createdAt: match.report.createdAt,
+  distanceMeters: match.distanceMeters,
+  score: match.score
+});
+
+export default {
+  GEOHASH_PRECISION,
+  INACTIVE_REPORT_STATUSES,
+  getDuplicateConfig,
+  reportGeohash,
+  findDuplicateCandidates,
+  recordDuplicateSuspicions,
+  toDuplicateResponse
+};
@@ -0,0 +1,221 @@
+// Geographic helpers for JanMarg Backend
+//
+// Boundaries are GeoJSON geometries, so coordinates are [longitude, latitude].
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Distance in meters
+ */
+export const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+const isPosition = (position) => {
+  return Array.isArray(position) &&
+    position.length >= 2 &&
+    Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+    position[0] >= -180 && position[0] <= 180 &&
+    position[1] >= -90 && position[1] <= 90;
+};
+
+const isLinearRing = (ring) => {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) return false;
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+};
+
+/**
+ * Validate a ward boundary
+ * @param {object} boundary - GeoJSON Polygon or MultiPolygon, or a Feature wrapping one
+ * @returns {object} { valid, message?, geometry? }
+ */
+export const validateBoundary = (boundary) => {
+  const geometry = boundary?.type === "Feature" ? boundary.geometry : boundary;
+
+  if (!geometry || !["Polygon", "MultiPolygon"].includes(geometry.type)) {
+    return { valid: false, message: "Boundary must be a GeoJSON Polygon or MultiPolygon" };
+  }
+
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return { valid: false, message: "Boundary has no coordinates" };
+  }
+
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || polygon.length === 0 || !polygon.every(isLinearRing)) {
+      return {
+        valid: false,
+        message: "Each ring must be a closed list of at least 4 [longitude, latitude] positions"
+      };
+    }
+  }
+
+  return { valid: true, geometry: { type: geometry.type, coordinates: geometry.coordinates } };
+};
+
+// Ray casting test against a single ring
+const isPointInRing = (lng, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersects = ((yi > lat) !== (yj > lat)) &&
+      (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+    if (intersects) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Check if a point lies inside a Polygon or MultiPolygon (holes excluded)
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {object} geometry - Validated GeoJSON geometry
+ * @returns {boolean} True if the point is inside
+ */
+export const isPointInBoundary = (latitude, longitude, geometry) => {
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+
+  return polygons.some(([outerRing, ...holes]) => {
+    return isPointInRing(longitude, latitude, outerRing) &&
+      !holes.some(hole => isPointInRing(longitude, latitude, hole));
+  });
+};
+
+/**
+ * Rough centre of a boundary (mean of the outer ring vertices)
+ * @param {object} geometry - Validated GeoJSON geometry
+ * @returns {object} { latitude, longitude }
+ */
+export const boundaryCentroid = (geometry) => {
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  const positions = polygons.flatMap(([outerRing]) => outerRing.slice(0, -1));
+
+  const sum = positions.reduce((acc, [lng, lat]) => ({
+    longitude: acc.longitude + lng,
+    latitude: acc.latitude + lat
+  }), { longitude: 0, latitude: 0 });
+
+  return {
+    latitude: sum.latitude / positions.length,
+    longitude: sum.longitude / positions.length
+  };
+};
+
+const GEOHASH_ALPHABET = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+/**
+ * Encode a point as a geohash
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {number} precision - Number of characters (default 9, about 5m)
+ * @returns {string} Geohash
+ */
+export const encodeGeohash = (latitude, longitude, precision = 9) => {
+  const lat = [-90, 90];
+  const lng = [-180, 180];
+  let hash = "";
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lng : lat;
+    const coordinate = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+    if (coordinate >= mid) {
+      value = value * 2 + 1;
+      range[0] = mid;
+    } else {
+      value = value * 2;
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+};
+
+/**
+ * Bounding box of a geohash cell
+ * @param {string} hash - Geohash
+ * @returns {object} { minLat, maxLat, minLng, maxLng }
+ */
+export const decodeGeohashBounds = (hash) => {
+  const lat = [-90, 90];
+  const lng = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const value = GEOHASH_ALPHABET.indexOf(char);
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lng : lat;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> bit) & 1) range[0] = mid;
+      else range[1] = mid;
+      evenBit = !evenBit;
+    }
+  }
+  return { minLat: lat[0], maxLat: lat[1], minLng: lng[0], maxLng: lng[1] };
+};
+
+/**
+ * Geohash prefixes whose cells together cover a circle: the cell holding the
+ * point and its eight neighbours, at the finest precision whose cells are at
+ * least as large as the radius
+ * @param {number} latitude - Centre latitude
+ * @param {number} longitude - Centre longitude
+ * @param {number} radiusMeters - Search radius
+ * @returns {array} Distinct geohash prefixes
+ */
+export const geohashCoverage = (latitude, longitude, radiusMeters) => {
+  let precision = 1;
+  for (let candidate = 9; candidate >= 1; candidate--) {
+    const bounds = decodeGeohashBounds(encodeGeohash(latitude, longitude, candidate));
+    const height = haversineDistance(bounds.minLat, longitude, bounds.maxLat, longitude);
+    const width = haversineDistance(latitude, bounds.minLng, latitude, bounds.maxLng);
+    if (Math.min(height, width) >= radiusMeters) {
+      precision = candidate;
+      break;
+    }
+  }
+
+  const bounds = decodeGeohashBounds(encodeGeohash(latitude, longitude, precision));
+  const dLat = bounds.maxLat - bounds.minLat;
+  const dLng = bounds.maxLng - bounds.minLng;
+
+  const prefixes = new Set();
+  for (const latStep of [-1, 0, 1]) {
+    for (const lngStep of [-1, 0, 1]) {
+      const lat = Math.max(-90, Math.min(90, latitude + latStep * dLat));
+      const lng = ((longitude + lngStep * dLng + 540) % 360) - 180;
+      prefixes.add(encodeGeohash(lat, lng, precision));
+    }
+  }
+  return [...prefixes];
+};
+
+export default {
+  haversineDistance,
+  validateBoundary,
+  isPointInBoundary,
+  boundaryCentroid,
+  encodeGeohash,
+  decodeGeohashBounds,
+  geohashCoverage
+};
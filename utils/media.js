@@ -0,0 +1,256 @@
+// Media upload processing for JanMarg Backend
+//
+// Uploads are held in memory by multer, then:
+//   1. the real type is sniffed from the file's bytes (the client's MIME type is ignored)
+//   2. per-type size limits are checked
+//   3. EXIF (camera, capture time, GPS) is read from images
+//   4. a redacted public copy (EXIF/GPS stripped) and a JPEG thumbnail are generated for images
+//   5. the original, public copy and thumbnail are written through the storage driver
+// The original is evidence and is only served to moderators. Videos are kept
+// as originals only: their metadata cannot be stripped here, so they get no
+// public copy, EXIF or thumbnail.
+import multer from "multer";
+import sharp from "sharp";
+import exifr from "exifr";
+import { fileTypeFromBuffer } from "file-type";
+import { getStorage, buildObjectKey } from "./storage.js";
+import { haversineDistance } from "./geo.js";
+
+const MB = 1024 * 1024;
+
+// Sniffed MIME type -> kind
+export const ALLOWED_MEDIA_TYPES = {
+  "image/jpeg": "image",
+  "image/png": "image",
+  "image/webp": "image",
+  "video/mp4": "video",
+  "video/quicktime": "video",
+  "video/webm": "video"
+};
+
+export const getMediaLimits = () => ({
+  maxFiles: parseInt(process.env.MEDIA_MAX_FILES || "5"),
+  maxImageBytes: parseFloat(process.env.MEDIA_MAX_IMAGE_MB || "10") * MB,
+  maxVideoBytes: parseFloat(process.env.MEDIA_MAX_VIDEO_MB || "50") * MB,
+  thumbnailSize: parseInt(process.env.MEDIA_THUMBNAIL_SIZE || "320"),
+  maxGpsDistanceMeters: parseFloat(process.env.MEDIA_GPS_MAX_DISTANCE_METERS || "500")
+});
+
+/**
+ * URLs of a stored media file's public copy, thumbnail and original (served by routes/media.js)
+ * @param {string} mediaId - Media ID
+ * @returns {object} { url, thumbnailUrl, originalUrl }
+ */
+export const buildMediaUrls = (mediaId) => ({
+  url: `/api/media/${mediaId}/file`,
+  thumbnailUrl: `/api/media/${mediaId}/thumbnail`,
+  originalUrl: `/api/media/${mediaId}/original`
+});
+
+/**
+ * Shape a Media row for the public: no EXIF, GPS, uploader or storage keys.
+ * Media without a public copy (videos) is listed without URLs.
+ * @param {object} media - Media row
+ * @returns {object} Public media fields
+ */
+export const toPublicMedia = (media) => ({
+  id: media.id,
+  url: media.storageKey && !media.publicKey ? null : media.url,
+  thumbnailUrl: media.thumbnailUrl,
+  mimeType: media.mimeType,
+  caption: media.caption,
+  width: media.width,
+  height: media.height,
+  hasPublicCopy: !media.storageKey || Boolean(media.publicKey),
+  uploadedAt: media.uploadedAt
+});
+
+/**
+ * Middleware factory: parse a multipart upload into req.files (kept in memory).
+ * Multer errors become 400/413 JSON responses.
+ * @param {string} fieldName - Form field holding the files
+ * @returns {function} Express middleware function
+ */
+export const parseMediaUpload = (fieldName = "files") => {
+  return (req, res, next) => {
+    // Limits are read per request so they follow the environment loaded at startup
+    const { maxFiles, maxImageBytes, maxVideoBytes } = getMediaLimits();
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { files: maxFiles, fileSize: Math.max(maxImageBytes, maxVideoBytes) }
+    }).array(fieldName, maxFiles);
+
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError) {
+        const tooLarge = error.code === "LIMIT_FILE_SIZE";
+        return res.status(tooLarge ? 413 : 400).json({
+          success: false,
+          message: error.code === "LIMIT_UNEXPECTED_FILE"
+            ? `Upload files in the "${fieldName}" field, at most ${maxFiles} per request`
+            : error.message
+        });
+      }
+      next(error);
+    });
+  };
+};
+
+/**
+ * Sniff a file's type and check it against the allowed types and size limits
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<object>} { ok, status?, message?, mime?, ext?, kind? }
+ */
+export const inspectMedia = async (buffer) => {
+  const detected = await fileTypeFromBuffer(buffer);
+  const kind = detected && ALLOWED_MEDIA_TYPES[detected.mime];
+
+  if (!kind) {
+    return {
+      ok: false,
+      status: 415,
+      message: `Unsupported file type${detected ? ` (${detected.mime})` : ""}. Allowed: ${Object.keys(ALLOWED_MEDIA_TYPES).join(", ")}`
+    };
+  }
+
+  const { maxImageBytes, maxVideoBytes } = getMediaLimits();
+  const maxBytes = kind === "image" ? maxImageBytes : maxVideoBytes;
+  if (buffer.length > maxBytes) {
+    return {
+      ok: false,
+      status: 413,
+      message: `${kind === "image" ? "Images" : "Videos"} must be at most ${maxBytes / MB} MB`
+    };
+  }
+
+  return { ok: true, mime: detected.mime, ext: detected.ext, kind };
+};
+
+/**
+ * Read the EXIF fields we keep from an image
+ * @param {Buffer} buffer - Image contents
+ * @returns {Promise<object|null>} { make, model, software, capturedAt, latitude, longitude, orientation } or null
+ */
+export const extractExif = async (buffer) => {
+  let tags;
+  try {
+    tags = await exifr.parse(buffer, { gps: true, tiff: true, exif: true });
+  } catch {
+    return null; // unreadable EXIF is treated as absent
+  }
+  if (!tags) return null;
+
+  const hasGps = Number.isFinite(tags.latitude) && Number.isFinite(tags.longitude);
+
+  return {
+    make: tags.Make || null,
+    model: tags.Model || null,
+    software: tags.Software || null,
+    capturedAt: tags.DateTimeOriginal instanceof Date ? tags.DateTimeOriginal : null,
+    latitude: hasGps ? tags.latitude : null,
+    longitude: hasGps ? tags.longitude : null,
+    orientation: tags.Orientation || null
+  };
+};
+
+/**
+ * Process and store one uploaded file
+ * @param {object} file - Multer file ({ buffer, originalname })
+ * @param {object} options - { prefix: storage key prefix, location?: { latitude, longitude } to compare GPS against }
+ * @returns {Promise<object>} { ok, status?, message?, media? } - media holds the Media row fields
+ */
+export const storeUpload = async (file, { prefix, location = null }) => {
+  const inspected = await inspectMedia(file.buffer);
+  if (!inspected.ok) {
+    return { ...inspected, message: `${file.originalname}: ${inspected.message}` };
+  }
+
+  const { thumbnailSize, maxGpsDistanceMeters } = getMediaLimits();
+  const storage = getStorage();
+
+  const media = {
+    mimeType: inspected.mime,
+    sizeBytes: file.buffer.length,
+    exif: null,
+    capturedAt: null,
+    lat: null,
+    lon: null,
+    width: null,
+    height: null,
+    publicKey: null,
+    thumbnailKey: null,
+    locationMismatch: false,
+    distanceFromReportMeters: null
+  };
+
+  if (inspected.kind === "image") {
+    const image = sharp(file.buffer);
+    let metadata;
+    try {
+      metadata = await image.metadata();
+    } catch {
+      return { ok: false, status: 415, message: `${file.originalname}: image could not be decoded` };
+    }
+    media.width = metadata.width;
+    media.height = metadata.height;
+
+    const exif = await extractExif(file.buffer);
+    if (exif) {
+      media.exif = { ...exif, capturedAt: exif.capturedAt?.toISOString() || null };
+      media.capturedAt = exif.capturedAt;
+      media.lat = exif.latitude;
+      media.lon = exif.longitude;
+    }
+
+    if (location && media.lat !== null) {
+      const distance = haversineDistance(location.latitude, location.longitude, media.lat, media.lon);
+      media.distanceFromReportMeters = Math.round(distance);
+      media.locationMismatch = distance > maxGpsDistanceMeters;
+    }
+
+    // sharp drops all metadata unless asked to keep it
+    const publicCopy = await sharp(file.buffer)
+      .rotate() // apply EXIF orientation before it is dropped
+      .toBuffer();
+
+    const thumbnail = await sharp(publicCopy)
+      .resize(thumbnailSize, thumbnailSize, { fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+
+    media.publicKey = buildObjectKey(`${prefix}/public`, inspected.ext);
+    await storage.put(media.publicKey, publicCopy, { contentType: inspected.mime });
+
+    media.thumbnailKey = buildObjectKey(`${prefix}/thumbnails`, "jpg");
+    await storage.put(media.thumbnailKey, thumbnail, { contentType: "image/jpeg" });
+  }
+
+  media.storageKey = buildObjectKey(`${prefix}/originals`, inspected.ext);
+  await storage.put(media.storageKey, file.buffer, { contentType: inspected.mime });
+
+  return { ok: true, media };
+};
+
+/**
+ * Remove the stored objects of a processed upload (used when a later step fails)
+ * @param {object} media - Media fields returned by storeUpload
+ */
+export const discardUpload = async (media) => {
+  const storage = getStorage();
+  await Promise.all(
+    [media.storageKey, media.publicKey, media.thumbnailKey].filter(Boolean).map(key => storage.remove(key))
+  );
+};
+
+export default {
+  ALLOWED_MEDIA_TYPES,
+  getMediaLimits,
+  buildMediaUrls,
+  toPublicMedia,
+  parseMediaUpload,
+  inspectMedia,
+  extractExif,
+  storeUpload,
+  discardUpload
+};
@@ -0,0 +1,458 @@
+// Report merge workflow for JanMarg Backend
+//
+// Merging folds source reports into a target: reactions, subscriptions,
+// comments and media move to the target, source reporters become co-reporters
+// of it (and are subscribed), and each source is left as a MERGED stub whose
+// mergedIntoId forwards readers to the target. Everything a merge moved or
+// dropped is recorded on a MERGE ModeratorAction so unmergeReport can put it back.
+import { PrismaClient } from "../generated/prisma/index.js";
+import { notifyUsers } from "./notifications.js";
+import { recountReactionCounters } from "./reactions.js";
+import { checkTransition } from "./report-lifecycle.js";
+import { INACTIVE_REPORT_STATUSES } from "./duplicates.js";
+
+const prisma = new PrismaClient();
+
+// Most reports that can be merged into a target in one request
+export const MAX_MERGE_SOURCES = 20;
+
+const VOTE_TYPES = ["UPVOTE", "DOWNVOTE"];
+
+const actorName = (actor) => `${actor.role} (${actor.id})`;
+
+// Thrown inside a transaction to roll it back with an HTTP status
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+const reportSelect = {
+  id: true,
+  title: true,
+  status: true,
+  wardId: true,
+  reporterId: true,
+  isAnonymous: true,
+  mergedIntoId: true,
+  mergedReporterIds: true,
+  hiddenReporterIds: true,
+  upvotes: true,
+  downvotes: true,
+  thanks: true
+};
+
+/**
+ * Move one source report's activity to the target inside a merge transaction
+ * @returns {Promise<object>} What was moved, for the MERGE ModeratorAction
+ */
+const moveReportActivity = async (tx, source, target) => {
+  // Reactions: a user keeps one vote and one of each other reaction on the target
+  const [sourceReactions, targetReactions] = await Promise.all([
+    tx.reportReaction.findMany({ where: { reportId: source.id } }),
+    tx.reportReaction.findMany({ where: { reportId: target.id }, select: { userId: true, type: true } })
+  ]);
+  const reactionKeys = new Set(targetReactions.map(reaction => `${reaction.userId}:${reaction.type}`));
+  const voters = new Set(targetReactions.filter(reaction => VOTE_TYPES.includes(reaction.type)).map(reaction => reaction.userId));
+
+  const movedReactionIds = [];
+  const droppedReactions = [];
+  for (const reaction of sourceReactions) {
+    const isVote = VOTE_TYPES.includes(reaction.type);
+    if (reactionKeys.has(`${reaction.userId}:${reaction.type}`) || (isVote && voters.has(reaction.userId))) {
+      droppedReactions.push(reaction);
+      continue;
+    }
+    movedReactionIds.push(reaction.id);
+    reactionKeys.add(`${reaction.userId}:${reaction.type}`);
+    if (isVote) voters.add(reaction.userId);
+  }
+
+  // Subscriptions: one per user on the target
+  const [sourceSubscriptions, targetSubscriptions] = await Promise.all([
+    tx.reportSubscription.findMany({ where: { reportId: source.id } }),
+    tx.reportSubscription.findMany({ where: { reportId: target.id }, select: { userId: true } })
+  ]);
+  const subscribers = new Set(targetSubscriptions.map(subscription => subscription.userId));
+
+  const movedSubscriptionIds = [];
+  const droppedSubscriptions = [];
+  for (const subscription of sourceSubscriptions) {
+    if (subscribers.has(subscription.userId)) {
+      droppedSubscriptions.push(subscription);
+      continue;
+    }
+    movedSubscriptionIds.push(subscription.id);
+    subscribers.add(subscription.userId);
+  }
+
+  const [comments, media] = await Promise.all([
+    tx.comment.findMany({ where: { reportId: source.id }, select: { id: true } }),
+    tx.media.findMany({ where: { reportId: source.id }, select: { id: true } })
+  ]);
+  const commentIds = comments.map(comment => comment.id);
+  const mediaIds = media.map(item => item.id);
+
+  await tx.reportReaction.updateMany({ where: { id: { in: movedReactionIds } }, data: { reportId: target.id } });
+  await tx.reportReaction.deleteMany({ where: { id: { in: droppedReactions.map(reaction => reaction.id) } } });
+  await tx.reportSubscription.updateMany({ where: { id: { in: movedSubscriptionIds } }, data: { reportId: target.id } });
+  await tx.reportSubscription.deleteMany({ where: { id: { in: droppedSubscriptions.map(subscription => subscription.id) } } });
+  await tx.comment.updateMany({ where: { id: { in: commentIds } }, data: { reportId: target.id } });
+  await tx.media.updateMany({ where: { id: { in: mediaIds } }, data: { reportId: target.id } });
+
+  // The source reporter follows the target from now on
+  let addedSubscriptionId = null;
+  if (!subscribers.has(source.reporterId) && source.reporterId !== target.reporterId) {
+    const subscription = await tx.reportSubscription.create({
+      data: { reportId: target.id, userId: source.reporterId }
+    });
+    addedSubscriptionId = subscription.id;
+  }
+
+  return {
+    movedReactionIds,
+    droppedReactions,
+    movedSubscriptionIds,
+    droppedSubscriptions,
+    addedSubscriptionId,
+    commentIds,
+    mediaIds
+  };
+};
+
+/**
+ * Merge source reports into a target report
+ * @param {string} targetId - Report that survives
+ * @param {array} sourceIds - Reports folded into it
+ * @param {object} options - { actor: req.user, justification }
+ * @returns {Promise<object>} { ok, status?, message?, allowedTransitions?, target?, merged? }
+ */
+export const mergeReports = async (targetId, sourceIds, { actor, justification }) => {
+  const target = await prisma.report.findUnique({ where: { id: targetId }, select: reportSelect });
+  if (!target) {
+    return { ok: false, status: 404, message: "Target report not found" };
+  }
+
+  if (INACTIVE_REPORT_STATUSES.includes(target.status)) {
+    return { ok: false, status: 409, message: `Reports cannot be merged into a ${target.status} report` };
+  }
+
+  const sources = await prisma.report.findMany({ where: { id: { in: sourceIds } }, select: reportSelect });
+  if (sources.length !== sourceIds.length) {
+    const found = new Set(sources.map(source => source.id));
+    return { ok: false, status: 404, message: `Reports not found: ${sourceIds.filter(id => !found.has(id)).join(", ")}` };
+  }
+
+  for (const source of sources) {
+    const transition = await checkTransition(source, "MERGED", { role: actor.role, justification });
+    if (!transition.ok) {
+      return { ...transition, message: `Report ${source.id}: ${transition.message}` };
+    }
+  }
+
+  // One level of forwarding only: a report others were merged into cannot itself be merged
+  const hosts = await prisma.report.findMany({
+    where: { mergedIntoId: { in: sourceIds }, status: "MERGED" },
+    select: { mergedIntoId: true }
+  });
+  if (hosts.length > 0) {
+    return {
+      ok: false,
+      status: 409,
+      message: `Reports ${[...new Set(hosts.map(host => host.mergedIntoId))].join(", ")} already have reports merged into them; merge those into the target directly`
+    };
+  }
+
+  try {
+    const merged = await prisma.$transaction(async (tx) => {
+      const mergedReporterIds = new Set(target.mergedReporterIds);
+      const hiddenReporterIds = new Set(target.hiddenReporterIds);
+      const results = [];
+
+      for (const source of sources) {
+        // Conditional so a concurrent status change or merge cannot be overwritten
+        const claimed = await tx.report.updateMany({
+          where: { id: source.id, status: source.status },
+          data: { status: "MERGED", mergedIntoId: target.id }
+        });
+        if (claimed.count === 0) {
+          throw conflict(`Report ${source.id} changed while merging; reload and try again`);
+        }
+
+        const moved = await moveReportActivity(tx, source, target);
+
+        const addedReporter = source.reporterId !== target.reporterId && !mergedReporterIds.has(source.reporterId);
+        if (addedReporter) mergedReporterIds.add(source.reporterId);
+        const addedHiddenReporter = source.isAnonymous && !hiddenReporterIds.has(source.reporterId);
+        if (addedHiddenReporter) hiddenReporterIds.add(source.reporterId);
+
+        const counts = await recountReactionCounters(source.id, tx);
+
+        await tx.moderatorAction.create({
+          data: {
+            moderatorId: actor.id,
+            reportId: source.id,
+            action: "MERGE",
+            justification,
+            oldValue: {
+              status: source.status,
+              mergedIntoId: source.mergedIntoId,
+              upvotes: source.upvotes,
+              downvotes: source.downvotes,
+              thanks: source.thanks
+            },
+            newValue: {
+              status: "MERGED",
+              mergedIntoId: target.id,
+              ...counts,
+              moved: { ...moved, reporterId: source.reporterId, addedReporter, addedHiddenReporter }
+            }
+          }
+        });
+
+        await tx.reportHistory.create({
+          data: {
+            reportId: source.id,
+            actorId: actor.id,
+            actorName: actorName(actor),
+            action: "REPORT_MERGED",
+            oldStatus: source.status,
+            newStatus: "MERGED",
+            description: `Merged into "${target.title}"`,
+            justification,
+            metadata: {
+              mergedIntoId: target.id,
+              reactions: moved.movedReactionIds.length,
+              subscriptions: moved.movedSubscriptionIds.length,
+              comments: moved.commentIds.length,
+              media: moved.mediaIds.length
+            },
+            isSystemGenerated: false
+          }
+        });
+
+        results.push({ reportId: source.id, reporterId: source.reporterId, title: source.title, moved });
+      }
+
+      await tx.report.update({
+        where: { id: target.id },
+        data: {
+          mergedReporterIds: [...mergedReporterIds],
+          hiddenReporterIds: [...hiddenReporterIds]
+        }
+      });
+      const counts = await recountReactionCounters(target.id, tx);
+
+      await tx.reportHistory.create({
+        data: {
+          reportId: target.id,
+          actorId: actor.id,
+          actorName: actorName(actor),
+          action: "REPORTS_MERGED_IN",
+          description: `${results.length} report(s) merged into this report`,
+          justification,
+          metadata: { sourceIds: results.map(result => result.reportId), ...counts },
+          isSystemGenerated: false
+        }
+      });
+
+      return results;
+    }, { timeout: 30000 });
+
+    await notifyUsers([...new Set(merged.map(result => result.reporterId))], {
+      type: "REPORT_MERGED",
+      title: "Your report was merged",
+      message: `Your report was merged into "${target.title}", which covers the same issue. You will get its updates.`,
+      reportId: target.id,
+      data: { sourceIds: merged.map(result => result.reportId) }
+    });
+
+    return {
+      ok: true,
+      target: await prisma.report.findUnique({ where: { id: target.id }, select: reportSelect }),
+      merged: merged.map(result => ({
+        reportId: result.reportId,
+        reactions: result.moved.movedReactionIds.length,
+        droppedReactions: result.moved.droppedReactions.length,
+        subscriptions: result.moved.movedSubscriptionIds.length,
+        comments: result.moved.commentIds.length,
+        media: result.moved.mediaIds.length
+      }))
+    };
+  } catch (error) {
+    if (error.status) {
+      return { ok: false, status: error.status, message: error.message };
+    }
+    throw error;
+  }
+};
+
+// Prisma returns Json dates as ISO strings; recreated rows need Date objects
+const restoreRow = (row) => ({ ...row, createdAt: new Date(row.createdAt) });
+
+/**
+ * Undo a merge using its MERGE ModeratorAction: move everything back to the
+ * source, recreate rows the merge dropped and restore the source's status
+ * @param {string} sourceId - MERGED report to restore
+ * @param {object} options - { actor: req.user, justification }
+ * @returns {Promise<object>} { ok, status?, message?, allowedTransitions?, report? }
+ */
+export const unmergeReport = async (sourceId, { actor, justification }) => {
+  const source = await prisma.report.findUnique({ where: { id: sourceId }, select: reportSelect });
+  if (!source) {
+    return { ok: false, status: 404, message: "Report not found" };
+  }
+
+  if (source.status !== "MERGED" || !source.mergedIntoId) {
+    return { ok: false, status: 409, message: `Only merged reports can be unmerged (current status: ${source.status})` };
+  }
+
+  const mergeAction = await prisma.moderatorAction.findFirst({
+    where: { reportId: sourceId, action: "MERGE", reversedAt: null },
+    orderBy: { createdAt: 'desc' }
+  });
+  if (!mergeAction) {
+    return { ok: false, status: 409, message: "No merge record was found for this report" };
+  }
+
+  // Shapes written by mergeReports
+  const { oldValue, newValue } = mergeAction;
+  const restoredStatus = oldValue.status;
+  const transition = await checkTransition(source, restoredStatus, { role: actor.role, justification });
+  if (!transition.ok) {
+    return transition;
+  }
+
+  const targetId = source.mergedIntoId;
+  const { moved } = newValue;
+
+  try {
+    const report = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.report.updateMany({
+        where: { id: sourceId, status: "MERGED", mergedIntoId: targetId },
+        data: { status: restoredStatus, mergedIntoId: oldValue.mergedIntoId ?? null }
+      });
+      if (claimed.count === 0) {
+        throw conflict("Report changed while unmerging; reload and try again");
+      }
+
+      // Rows still on the target go back; ones removed since the merge stay removed
+      const moveBack = (ids) => ({ where: { id: { in: ids }, reportId: targetId }, data: { reportId: sourceId } });
+      await tx.reportReaction.updateMany(moveBack(moved.movedReactionIds));
+      await tx.reportSubscription.updateMany(moveBack(moved.movedSubscriptionIds));
+      await tx.comment.updateMany(moveBack(moved.commentIds));
+      await tx.media.updateMany(moveBack(moved.mediaIds));
+
+      if (moved.droppedReactions.length > 0) {
+        await tx.reportReaction.createMany({ data: moved.droppedReactions.map(restoreRow) });
+      }
+      if (moved.droppedSubscriptions.length > 0) {
+        await tx.reportSubscription.createMany({ data: moved.droppedSubscriptions.map(restoreRow) });
+      }
+      if (moved.addedSubscriptionId) {
+        await tx.reportSubscription.deleteMany({ where: { id: moved.addedSubscriptionId, reportId: targetId } });
+      }
+
+      const target = await tx.report.findUnique({
+        where: { id: targetId },
+        select: { mergedReporterIds: true, hiddenReporterIds: true }
+      });
+      await tx.report.update({
+        where: { id: targetId },
+        data: {
+          mergedReporterIds: moved.addedReporter
+            ? target.mergedReporterIds.filter(id => id !== moved.reporterId)
+            : target.mergedReporterIds,
+          hiddenReporterIds: moved.addedHiddenReporter
+            ? target.hiddenReporterIds.filter(id => id !== moved.reporterId)
+            : target.hiddenReporterIds
+        }
+      });
+
+      await recountReactionCounters(targetId, tx);
+      const counts = await recountReactionCounters(sourceId, tx);
+
+      await tx.moderatorAction.update({
+        where: { id: mergeAction.id },
+        data: { reversedAt: new Date(), reversedBy: actor.id }
+      });
+
+      await tx.moderatorAction.create({
+        data: {
+          moderatorId: actor.id,
+          reportId: sourceId,
+          action: "UNMERGE",
+          justification,
+          oldValue: { status: "MERGED", mergedIntoId: targetId },
+          newValue: { status: restoredStatus, mergeActionId: mergeAction.id, ...counts },
+          isReversible: false
+        }
+      });
+
+      for (const [reportId, description] of [
+        [sourceId, "Unmerged; activity moved back from the target report"],
+        [targetId, `Report ${sourceId} unmerged from this report`]
+      ]) {
+        await tx.reportHistory.create({
+          data: {
+            reportId,
+            actorId: actor.id,
+            actorName: actorName(actor),
+            action: "REPORT_UNMERGED",
+            ...(reportId === sourceId && { oldStatus: "MERGED", newStatus: restoredStatus }),
+            description,
+            justification,
+            metadata: { sourceId, targetId, mergeActionId: mergeAction.id },
+            isSystemGenerated: false
+          }
+        });
+      }
+
+      return tx.report.findUnique({ where: { id: sourceId }, select: reportSelect });
+    }, { timeout: 30000 });
+
+    return { ok: true, report };
+  } catch (error) {
+    if (error.status) {
+      return { ok: false, status: error.status, message: error.message };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Forward a request for a merged report to the report it was merged into
+ * @param {object} req - Express request (the redirect keeps its mount path)
+ * @param {object} res - Express response
+ * @param {object} report - Report with status and mergedIntoId
+ * @returns {boolean} True when a redirect was sent
+ */
+export const sendMergedRedirect = (req, res, report) => {
+  if (report.status !== "MERGED" || !report.mergedIntoId) return false;
+
+  // Temporary: an unmerge makes the original address live again
+  const location = `${req.baseUrl}/${report.mergedIntoId}`;
+  res.location(location).status(307).json({
+    success: true,
+    message: "This report was merged into another report",
+    data: { id: report.id, status: report.status, mergedIntoId: report.mergedIntoId, location }
+  });
+  return true;
+};
+
+/**
+ * Refuse new activity on a merged report, pointing at the report it was merged into
+ * @param {object} res - Express response
+ * @param {object} report - Report with id and mergedIntoId
+ */
+export const sendMergedConflict = (res, report) => {
+  return res.status(409).json({
+    success: false,
+    message: "This report was merged into another report; continue there",
+    mergedIntoId: report.mergedIntoId
+  });
+};
+
+export default {
+  MAX_MERGE_SOURCES,
+  mergeReports,
+  unmergeReport,
+  sendMergedRedirect,
+  sendMergedConflict
+};
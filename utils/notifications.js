@@ -0,0 +1,51 @@
+// In-app notifications for JanMarg Backend
+import { PrismaClient } from "../generated/prisma/index.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Get the IDs of the officers (ward admins and moderators) of a ward
+ * @param {string} wardId - Ward ID
+ * @returns {Promise<array>} Unique user IDs
+ */
+export const getWardOfficerIds = async (wardId) => {
+  const [wardAdmins, moderators] = await Promise.all([
+    prisma.wardAdmin.findMany({ where: { wardId }, select: { userId: true } }),
+    prisma.moderator.findMany({ where: { wardId }, select: { userId: true } })
+  ]);
+
+  return [...new Set([...wardAdmins, ...moderators].map(row => row.userId))];
+};
+
+/**
+ * Create the same notification for several users
+ * @param {array} userIds - Recipients
+ * @param {object} notification - { type, title, message, reportId?, data? }
+ * @returns {Promise<number>} Number of notifications created
+ */
+export const notifyUsers = async (userIds, { type, title, message, reportId = null, data = null }) => {
+  const recipients = [...new Set(userIds)].filter(Boolean);
+  if (recipients.length === 0) return 0;
+
+  const { count } = await prisma.notification.createMany({
+    data: recipients.map(userId => ({ userId, type, title, message, reportId, data }))
+  });
+
+  return count;
+};
+
+/**
+ * Notify every officer of a ward
+ * @param {string} wardId - Ward ID
+ * @param {object} notification - { type, title, message, reportId?, data? }
+ * @returns {Promise<number>} Number of notifications created
+ */
+export const notifyWardOfficers = async (wardId, notification) => {
+  return notifyUsers(await getWardOfficerIds(wardId), notification);
+};
+
+export default {
+  getWardOfficerIds,
+  notifyUsers,
+  notifyWardOfficers
+};
@@ -0,0 +1,170 @@
+// Phone OTP challenges for citizen login
+import crypto from "crypto";
+import { PrismaClient } from "../generated/prisma/index.js";
+import { sendSms } from "./sms.js";
+
+const prisma = new PrismaClient();
+
+const getOtpConfig = () => ({
+  length: parseInt(process.env.OTP_LENGTH || "6"),
+  ttlSeconds: parseInt(process.env.OTP_TTL_SECONDS || "300"),
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS || "5"),
+  resendIntervalSeconds: parseInt(process.env.OTP_RESEND_INTERVAL_SECONDS || "60"),
+  maxPerPhonePerHour: parseInt(process.env.OTP_MAX_PER_PHONE_PER_HOUR || "5"),
+  maxPerIpPerHour: parseInt(process.env.OTP_MAX_PER_IP_PER_HOUR || "20")
+});
+
+const hashCode = (phone, code) => crypto.createHash("sha256").update(`${phone}:${code}`).digest("hex");
+
+const generateCode = (length) => {
+  return crypto.randomInt(0, 10 ** length).toString().padStart(length, "0");
+};
+
+/**
+ * Issue a login code for a phone number.
+ * A challenge is recorded even for unknown numbers so the response and
+ * rate limits do not reveal which numbers are registered.
+ * @param {string} phone - Citizen mobile number
+ * @param {string} ipAddress - Requesting IP, used for rate limiting
+ * @returns {Promise<object>} { ok, status?, message?, retryAfter?, expiresIn? }
+ */
+export const requestOtp = async (phone, ipAddress) => {
+  const config = getOtpConfig();
+  const now = new Date();
+  const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+
+  const [lastChallenge, phoneCount, ipCount] = await Promise.all([
+    prisma.otpChallenge.findFirst({
+      where: { phone },
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.otpChallenge.count({
+      where: { phone, createdAt: { gte: hourAgo } }
+    }),
+    ipAddress
+      ? prisma.otpChallenge.count({ where: { ipAddress, createdAt: { gte: hourAgo } } })
+      : 0
+  ]);
+
+  if (lastChallenge) {
+    const secondsSinceLast = (now.getTime() - lastChallenge.createdAt.getTime()) / 1000;
+    if (secondsSinceLast < config.resendIntervalSeconds) {
+      return {
+        ok: false,
+        status: 429,
+        message: "Please wait before requesting another code",
+        retryAfter: Math.ceil(config.resendIntervalSeconds - secondsSinceLast)
+      };
+    }
+  }
+
+  if (phoneCount >= config.maxPerPhonePerHour || ipCount >= config.maxPerIpPerHour) {
+    return {
+      ok: false,
+      status: 429,
+      message: "Too many code requests. Please try again later.",
+      retryAfter: 60 * 60
+    };
+  }
+
+  const code = generateCode(config.length);
+
+  // Older codes for this number stop working once a new one is issued
+  await prisma.otpChallenge.updateMany({
+    where: { phone, consumedAt: null },
+    data: { consumedAt: now }
+  });
+
+  await prisma.otpChallenge.create({
+    data: {
+      phone,
+      codeHash: hashCode(phone, code),
+      expiresAt: new Date(now.getTime() + config.ttlSeconds * 1000),
+      maxAttempts: config.maxAttempts,
+      ipAddress
+    }
+  });
+
+  const citizen = await prisma.user.findFirst({
+    where: { phone, role: "CITIZEN" },
+    select: { id: true }
+  });
+
+  if (citizen) {
+    await sendSms(phone, `Your JanMarg login code is ${code}. It expires in ${Math.round(config.ttlSeconds / 60)} minutes. Do not share it with anyone.`);
+  }
+
+  return { ok: true, expiresIn: config.ttlSeconds };
+};
+
+/**
+ * Check a login code and return the citizen it belongs to
+ * @param {string} phone - Citizen mobile number
+ * @param {string} code - Code entered by the citizen
+ * @returns {Promise<object>} { ok, user?, status?, message?, attemptsLeft? }
+ */
+export const verifyOtp = async (phone, code) => {
+  const challenge = await prisma.otpChallenge.findFirst({
+    where: {
+      phone,
+      consumedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (!challenge) {
+    return { ok: false, status: 400, message: "Code expired or not requested. Please request a new code." };
+  }
+
+  // Count the attempt before comparing so parallel guesses cannot exceed the limit
+  const { count } = await prisma.otpChallenge.updateMany({
+    where: { id: challenge.id, attempts: { lt: challenge.maxAttempts } },
+    data: { attempts: { increment: 1 } }
+  });
+
+  if (count === 0) {
+    return { ok: false, status: 429, message: "Too many incorrect attempts. Please request a new code." };
+  }
+
+  const expected = Buffer.from(challenge.codeHash, "hex");
+  const actual = Buffer.from(hashCode(phone, String(code)), "hex");
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return {
+      ok: false,
+      status: 401,
+      message: "Incorrect code",
+      attemptsLeft: Math.max(challenge.maxAttempts - challenge.attempts - 1, 0)
+    };
+  }
+
+  const consumed = await prisma.otpChallenge.updateMany({
+    where: { id: challenge.id, consumedAt: null },
+    data: { consumedAt: new Date() }
+  });
+
+  if (consumed.count === 0) {
+    return { ok: false, status: 400, message: "Code has already been used. Please request a new code." };
+  }
+
+  const user = await prisma.user.findFirst({
+    where: { phone, role: "CITIZEN" }
+  });
+
+  if (!user) {
+    return { ok: false, status: 401, message: "Incorrect code" };
+  }
+
+  // Receiving the code proves ownership of the number
+  const verifiedUser = user.verified
+    ? user
+    : await prisma.user.update({ where: { id: user.id }, data: { verified: true } });
+
+  return { ok: true, user: verifiedUser };
+};
+
+export default {
+  requestOtp,
+  verifyOtp
+};
@@ -0,0 +1,381 @@
+// Contractor penalties, strikes and on-time tracking for JanMarg Backend
+//
+// An assignment is overdue when its deadline has passed and the work has not
+// been handed over for citizen review. Overdue work accrues a daily penalty
+// against the agreed amount (capped), and the first day late adds a strike.
+// Contractors reaching the strike limit are blocked automatically, and their
+// unfinished work goes back to VALIDATED so it can be awarded again.
+import { PrismaClient } from "../generated/prisma/index.js";
+import { SYSTEM_ACTOR, actorName } from "./bidding.js";
+import { notifyUsers, notifyWardOfficers } from "./notifications.js";
+import { checkTransition } from "./report-lifecycle.js";
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Report statuses where the contractor has delivered and is waiting on others
+const DELIVERED_REPORT_STATUSES = ["PENDING_CITIZEN_REVIEW", "VERIFIED", "COMPLETED", "CLOSED"];
+
+const ACTIVE_ASSIGNMENT_STATUSES = ["ASSIGNED", "IN_PROGRESS"];
+
+export const getPenaltyConfig = () => ({
+  ratePctPerDay: parseFloat(process.env.PENALTY_RATE_PCT_PER_DAY || "0.5"),
+  maxPct: parseFloat(process.env.PENALTY_MAX_PCT || "10"),
+  maxStrikes: parseInt(process.env.CONTRACTOR_MAX_STRIKES || "3")
+});
+
+/**
+ * Write an AdminLog entry on behalf of the system
+ */
+const logSystemAction = (entityType, entityId, actionType, justificationMessage, oldValue, newValue) => {
+  return prisma.adminLog.create({
+    data: {
+      adminId: SYSTEM_ACTOR.id,
+      adminName: SYSTEM_ACTOR.name,
+      adminRole: null,
+      entityType,
+      entityId,
+      actionType,
+      justificationMessage,
+      oldValue,
+      newValue
+    }
+  });
+};
+
+/**
+ * Calculate the penalty for an assignment that is some days late
+ * @param {number} agreedAmount - Awarded bid amount
+ * @param {number} daysLate - Whole days past the deadline
+ * @returns {number} Penalty amount, rounded to 2 decimals
+ */
+export const calculatePenalty = (agreedAmount, daysLate) => {
+  const { ratePctPerDay, maxPct } = getPenaltyConfig();
+  const pct = Math.min(ratePctPerDay * daysLate, maxPct);
+  return Math.round((agreedAmount || 0) * pct) / 100;
+};
+
+/**
+ * Days late and the matching penalty for an assignment against its current deadline
+ * @param {object} assignment - Assignment with deadlineAt and agreedAmount
+ * @param {Date} now - When lateness is measured
+ * @returns {object} { penaltyDays, penaltyAmount }
+ */
+export const getDeadlinePenalty = (assignment, now = new Date()) => {
+  if (!assignment.deadlineAt || assignment.deadlineAt >= now) {
+    return { penaltyDays: 0, penaltyAmount: 0 };
+  }
+  const penaltyDays = Math.ceil((now.getTime() - assignment.deadlineAt.getTime()) / DAY_MS);
+  return { penaltyDays, penaltyAmount: calculatePenalty(assignment.agreedAmount, penaltyDays) };
+};
+
+/**
+ * Recompute a contractor's on-time rate from finished and overdue assignments.
+ * Finished work is judged by when the accepted 100% proof was submitted, not
+ * by when the citizen (or the auto-verify job) confirmed it.
+ * @param {string} contractorId - Contractor ID
+ * @returns {Promise<number>} New on-time rate (1.0 with no track record)
+ */
+export const recomputeOnTimeRate = async (contractorId) => {
+  const now = new Date();
+  const assignments = await prisma.assignment.findMany({
+    where: { contractorId, deadlineAt: { not: null }, status: { not: "CANCELLED" } },
+    select: {
+      status: true,
+      deadlineAt: true,
+      completedAt: true,
+      report: { select: { status: true } },
+      // Auto-verified work keeps its proof PENDING, so accepted means not rejected or disputed
+      completionProofs: {
+        where: { progressPct: 100, approvalStatus: { notIn: ["REJECTED", "DISPUTED"] } },
+        orderBy: { createdAt: 'desc' },
+        take: 1,
+        select: { createdAt: true }
+      }
+    }
+  });
+
+  let onTime = 0;
+  let counted = 0;
+  for (const assignment of assignments) {
+    const [proof] = assignment.completionProofs;
+    if (assignment.status === "COMPLETED") {
+      const deliveredAt = proof?.createdAt || assignment.completedAt;
+      if (!deliveredAt) continue;
+      counted += 1;
+      if (deliveredAt <= assignment.deadlineAt) onTime += 1;
+    } else if (!DELIVERED_REPORT_STATUSES.includes(assignment.report.status) && assignment.deadlineAt < now) {
+      counted += 1; // not handed over yet and already late
+    }
+  }
+
+  const onTimeRate = counted === 0 ? 1.0 : Math.round((onTime / counted) * 1000) / 1000;
+
+  await prisma.contractor.update({
+    where: { id: contractorId },
+    data: { onTimeRate }
+  });
+
+  return onTimeRate;
+};
+
+/**
+ * Cancel a blocked contractor's unfinished assignments and move their reports
+ * back to VALIDATED so the work can be awarded again. Work already handed over
+ * for citizen review is left alone so it can still be confirmed and closed.
+ * @param {string} contractorId - Contractor ID
+ * @param {object} options - { actor, reason }
+ * @returns {Promise<array>} IDs of the reports moved back to VALIDATED
+ */
+export const cancelContractorAssignments = async (contractorId, { actor, reason }) => {
+  const assignments = await prisma.assignment.findMany({
+    where: {
+      contractorId,
+      status: { in: ACTIVE_ASSIGNMENT_STATUSES },
+      report: { status: { notIn: DELIVERED_REPORT_STATUSES } }
+    },
+    include: {
+      report: { select: { id: true, title: true, status: true, wardId: true } },
+      contractor: { select: { businessName: true } }
+    }
+  });
+
+  const reopened = [];
+
+  for (const assignment of assignments) {
+    const { report } = assignment;
+
+    try {
+      const moved = await prisma.$transaction(async (tx) => {
+        const cancelled = await tx.assignment.updateMany({
+          where: { id: assignment.id, status: { in: ACTIVE_ASSIGNMENT_STATUSES } },
+          data: { status: "CANCELLED", cancelledAt: new Date(), cancelReason: reason }
+        });
+        if (cancelled.count === 0) return false;
+
+        // Checked inside the transaction so noActiveAssignment sees the cancellation
+        const transition = await checkTransition(report, "VALIDATED", { role: actor.role, justification: reason, client: tx });
+        if (!transition.ok) {
+          throw new Error(transition.message);
+        }
+
+        const updated = await tx.report.updateMany({
+          where: { id: report.id, status: report.status },
+          data: { status: "VALIDATED" }
+        });
+        if (updated.count === 0) {
+          throw new Error(`Report ${report.id} changed status while its assignment was being cancelled`);
+        }
+
+        await tx.reportHistory.create({
+          data: {
+            reportId: report.id,
+            actorId: actor.id,
+            actorName: actorName(actor),
+            action: "ASSIGNMENT_CANCELLED",
+            oldStatus: report.status,
+            newStatus: "VALIDATED",
+            description: `Assignment to ${assignment.contractor.businessName} cancelled; the work can be awarded again`,
+            justification: reason,
+            metadata: { assignmentId: assignment.id, contractorId },
+            isSystemGenerated: Boolean(actor.isSystem)
+          }
+        });
+
+        return true;
+      });
+
+      if (!moved) continue;
+      reopened.push(report.id);
+
+      await notifyWardOfficers(report.wardId, {
+        type: "ASSIGNMENT_CANCELLED",
+        title: "Work needs a new contractor",
+        message: `${assignment.contractor.businessName} was blocked, so "${report.title}" is back to VALIDATED and can be awarded again.`,
+        reportId: report.id,
+        data: { assignmentId: assignment.id }
+      });
+    } catch (error) {
+      console.error(`Failed to cancel assignment ${assignment.id}:`, error);
+    }
+  }
+
+  return reopened;
+};
+
+/**
+ * Block a contractor once they reach the strike limit
+ * @param {string} contractorId - Contractor ID
+ * @returns {Promise<boolean>} True if the contractor was blocked by this call
+ */
+export const enforceStrikeLimit = async (contractorId) => {
+  const { maxStrikes } = getPenaltyConfig();
+  const reason = `Automatically blocked after reaching ${maxStrikes} strikes`;
+
+  const { count } = await prisma.contractor.updateMany({
+    where: { id: contractorId, isBlocked: false, strikes: { gte: maxStrikes } },
+    data: {
+      isBlocked: true,
+      blockReason: reason,
+      blockedAt: new Date(),
+      blockedBy: SYSTEM_ACTOR.id
+    }
+  });
+
+  if (count === 0) return false;
+
+  const contractor = await prisma.contractor.findUnique({
+    where: { id: contractorId },
+    select: { userId: true, strikes: true }
+  });
+
+  const reopenedReportIds = await cancelContractorAssignments(contractorId, { actor: SYSTEM_ACTOR, reason });
+
+  await logSystemAction("CONTRACTOR", contractorId, "BLOCKED", reason,
+    { isBlocked: false },
+    { isBlocked: true, strikes: contractor.strikes, blockedBy: SYSTEM_ACTOR.id, reopenedReportIds }
+  );
+
+  if (contractor.userId) {
+    await notifyUsers([contractor.userId], {
+      type: "CONTRACTOR_BLOCKED",
+      title: "Account blocked",
+      message: `${reason}. You cannot bid or submit work until an administrator unblocks you.`,
+      data: { strikes: contractor.strikes }
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Add a strike to a contractor and block them if they hit the limit
+ * @param {string} contractorId - Contractor ID
+ * @param {string} reason - Why the strike was added
+ * @returns {Promise<object>} { strikes, blocked }
+ */
+export const addStrike = async (contractorId, reason) => {
+  const contractor = await prisma.contractor.update({
+    where: { id: contractorId },
+    data: { strikes: { increment: 1 } },
+    select: { strikes: true }
+  });
+
+  await logSystemAction("CONTRACTOR", contractorId, "PENALIZED", reason,
+    { strikes: contractor.strikes - 1 },
+    { strikes: contractor.strikes }
+  );
+
+  const blocked = await enforceStrikeLimit(contractorId);
+  return { strikes: contractor.strikes, blocked };
+};
+
+/**
+ * Find overdue assignments, update their penalties, add strikes for newly
+ * late work and refresh on-time rates.
+ * @returns {Promise<object>} { overdue, penalized, strikes, blocked }
+ */
+export const applyOverduePenalties = async () => {
+  const now = new Date();
+  const summary = { overdue: 0, penalized: 0, strikes: 0, blocked: 0 };
+
+  const assignments = await prisma.assignment.findMany({
+    where: {
+      status: { in: ACTIVE_ASSIGNMENT_STATUSES },
+      deadlineAt: { lt: now },
+      report: { status: { notIn: DELIVERED_REPORT_STATUSES } }
+    },
+    include: {
+      report: { select: { id: true, title: true, wardId: true } },
+      contractor: { select: { id: true, userId: true, businessName: true } }
+    }
+  });
+
+  const touchedContractors = new Set();
+
+  for (const assignment of assignments) {
+    summary.overdue += 1;
+    const { penaltyDays: daysLate, penaltyAmount } = getDeadlinePenalty(assignment, now);
+    if (daysLate <= assignment.penaltyDays) continue;
+
+    // Conditional update keeps overlapping runs from double-counting the same day,
+    // and skips work cancelled since the query (the contractor was just blocked)
+    const { count } = await prisma.assignment.updateMany({
+      where: { id: assignment.id, penaltyDays: assignment.penaltyDays, status: { in: ACTIVE_ASSIGNMENT_STATUSES } },
+      data: { penaltyAmount, penaltyDays: daysLate }
+    });
+    if (count === 0) continue;
+
+    summary.penalized += 1;
+    touchedContractors.add(assignment.contractorId);
+
+    const justification = `Assignment ${daysLate} day(s) past its deadline of ${assignment.deadlineAt.toISOString()}`;
+
+    await logSystemAction("ASSIGNMENT", assignment.id, "PENALIZED", justification,
+      { penaltyAmount: assignment.penaltyAmount, penaltyDays: assignment.penaltyDays },
+      { penaltyAmount, penaltyDays: daysLate, agreedAmount: assignment.agreedAmount }
+    );
+
+    await prisma.reportHistory.create({
+      data: {
+        reportId: assignment.reportId,
+        actorId: SYSTEM_ACTOR.id,
+        actorName: SYSTEM_ACTOR.name,
+        action: "PENALTY_APPLIED",
+        description: `Contractor is ${daysLate} day(s) late; penalty now ${penaltyAmount}`,
+        oldValue: { penaltyAmount: assignment.penaltyAmount },
+        newValue: { penaltyAmount },
+        metadata: {
+          assignmentId: assignment.id,
+          contractorId: assignment.contractorId,
+          daysLate,
+          agreedAmount: assignment.agreedAmount
+        },
+        isSystemGenerated: true
+      }
+    });
+
+    // First day late: one strike per missed deadline
+    if (assignment.penaltyDays === 0) {
+      const { blocked } = await addStrike(assignment.contractorId, `Missed deadline on "${assignment.report.title}"`);
+      summary.strikes += 1;
+      if (blocked) summary.blocked += 1;
+
+      await notifyWardOfficers(assignment.report.wardId, {
+        type: "DEADLINE_MISSED",
+        title: "Contractor missed a deadline",
+        message: `${assignment.contractor.businessName} missed the deadline on "${assignment.report.title}".`,
+        reportId: assignment.reportId,
+        data: { assignmentId: assignment.id }
+      });
+
+      if (assignment.contractor.userId) {
+        await notifyUsers([assignment.contractor.userId], {
+          type: "DEADLINE_MISSED",
+          title: "Deadline missed",
+          message: `"${assignment.report.title}" is past its deadline. A strike was added and a daily penalty now applies.`,
+          reportId: assignment.reportId,
+          data: { assignmentId: assignment.id }
+        });
+      }
+    }
+  }
+
+  for (const contractorId of touchedContractors) {
+    await recomputeOnTimeRate(contractorId);
+  }
+
+  return summary;
+};
+
+export default {
+  getPenaltyConfig,
+  calculatePenalty,
+  getDeadlinePenalty,
+  recomputeOnTimeRate,
+  cancelContractorAssignments,
+  enforceStrikeLimit,
+  addStrike,
+  applyOverduePenalties
+};
@@ -0,0 +1,297 @@
+// Authorization policies for JanMarg Backend
+//
+// Moderators and admins may only act on wards they are attached to through
+// the Moderator and WardAdmin tables. SUPERADMIN is not ward-scoped.
+// Contractors may only bid or work once their KYC is verified, and not while blocked.
+import { PrismaClient } from "../generated/prisma/index.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Check if a user bypasses ward scoping
+ * @param {object} user - Authenticated user
+ * @returns {boolean} True for SUPERADMIN
+ */
+export const isWardScopeExempt = (user) => user?.role === "SUPERADMIN";
+
+/**
+ * Get the IDs of all wards a user administers or moderates
+ * @param {string} userId - User ID
+ * @returns {Promise<array>} Unique ward IDs
+ */
+export const getUserWardIds = async (userId) => {
+  const [wardAdmins, moderatorRoles] = await Promise.all([
+    prisma.wardAdmin.findMany({ where: { userId }, select: { wardId: true } }),
+    prisma.moderator.findMany({ where: { userId }, select: { wardId: true } })
+  ]);
+
+  return [...new Set([...wardAdmins, ...moderatorRoles].map(row => row.wardId))];
+};
+
+/**
+ * Resolve and cache the caller's ward scope on the request
+ * @param {object} req - Express request with req.user set
+ * @returns {Promise<object>} { all: boolean, wardIds: array }
+ */
+export const resolveWardScope = async (req) => {
+  if (!req.wardScope) {
+    req.wardScope = isWardScopeExempt(req.user)
+      ? { all: true, wardIds: [] }
+      : { all: false, wardIds: await getUserWardIds(req.user.id) };
+  }
+  return req.wardScope;
+};
+
+/**
+ * Check if a ward is inside a resolved scope
+ * @param {object} scope - Result of resolveWardScope
+ * @param {string} wardId - Ward to check
+ * @returns {boolean} True if allowed
+ */
+export const scopeIncludesWard = (scope, wardId) => scope.all || scope.wardIds.includes(wardId);
+
+/**
+ * Build the wardId part of a Prisma where clause for a scoped list query
+ * @param {object} scope - Result of resolveWardScope
+ * @param {string} requestedWardId - Optional ward filter from the query string
+ * @returns {object|null} Where fragment, or null if the requested ward is out of scope
+ */
+export const buildWardFilter = (scope, requestedWardId) => {
+  if (requestedWardId) {
+    return scopeIncludesWard(scope, requestedWardId) ? { wardId: requestedWardId } : null;
+  }
+  return scope.all ? {} : { wardId: { in: scope.wardIds } };
+};
+
+/**
+ * Middleware: attach req.wardScope for list endpoints
+ */
+export const loadWardScope = async (req, res, next) => {
+  try {
+    await resolveWardScope(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware factory: only allow users attached to the ward in a route param
+ * @param {string} paramName - Route param holding the ward ID
+ * @returns {function} Express middleware function
+ */
+export const requireWardAccess = (paramName = "wardId") => {
+  return async (req, res, next) => {
+    try {
+      const scope = await resolveWardScope(req);
+
+      if (!scopeIncludesWard(scope, req.params[paramName])) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. You are not assigned to this ward."
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Middleware factory: only allow users attached to the ward of the report in a route param
+ * @param {string} paramName - Route param holding the report ID
+ * @returns {function} Express middleware function
+ */
+export const requireReportWardAccess = (paramName = "id") => {
+  return async (req, res, next) => {
+    try {
+      const report = await prisma.report.findUnique({
+        where: { id: req.params[paramName] },
+        select: { wardId: true }
+      });
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: "Report not found"
+        });
+      }
+
+      const scope = await resolveWardScope(req);
+
+      if (!scopeIncludesWard(scope, report.wardId)) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. This report belongs to a ward you are not assigned to."
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Middleware factory: only allow users attached to the ward of the assignment in a route param
+ * @param {string} paramName - Route param holding the assignment ID
+ * @returns {function} Express middleware function
+ */
+export const requireAssignmentWardAccess = (paramName = "id") => {
+  return async (req, res, next) => {
+    try {
+      const assignment = await prisma.assignment.findUnique({
+        where: { id: req.params[paramName] },
+        select: { report: { select: { wardId: true } } }
+      });
+
+      if (!assignment) {
+        return res.status(404).json({
+          success: false,
+          message: "Assignment not found"
+        });
+      }
+
+      const scope = await resolveWardScope(req);
+
+      if (!scopeIncludesWard(scope, assignment.report.wardId)) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. This assignment belongs to a ward you are not assigned to."
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Roles that moderate report discussions (ward-scoped except SUPERADMIN)
+const MODERATING_ROLES = ["MODERATOR", "ADMIN", "SUPERADMIN"];
+
+/**
+ * Check if the caller moderates the ward of a report
+ * @param {object} req - Express request (req.user may be unset)
+ * @param {object} report - Report with wardId
+ * @returns {Promise<boolean>} True for moderators and admins of the report's ward
+ */
+export const canModerateReport = async (req, report) => {
+  if (!req.user || !MODERATING_ROLES.includes(req.user.role)) return false;
+  const scope = await resolveWardScope(req);
+  return scopeIncludesWard(scope, report.wardId);
+};
+
+/**
+ * Check if the caller may see private notes on a report:
+ * its moderators and admins, and the reporters it concerns
+ * (including those of reports merged into it)
+ * @param {object} req - Express request (req.user may be unset)
+ * @param {object} report - Report with wardId, reporterId and mergedReporterIds
+ * @returns {Promise<boolean>}
+ */
+export const canViewPrivateNotes = async (req, report) => {
+  if (!req.user) return false;
+  if (req.user.id === report.reporterId) return true;
+  if (report.mergedReporterIds?.includes(req.user.id)) return true;
+  return canModerateReport(req, report);
+};
+
+/**
+ * Middleware: only allow contractors whose KYC has been verified and who are not blocked.
+ * Attaches the contractor profile as req.contractor.
+ */
+export const requireVerifiedContractor = async (req, res, next) => {
+  try {
+    const contractor = await prisma.contractor.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!contractor) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. No contractor profile is linked to this account."
+      });
+    }
+
+    if (contractor.isBlocked) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. This contractor account is blocked.",
+        reason: contractor.blockReason
+      });
+    }
+
+    if (!contractor.isVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Contractor KYC must be verified first."
+      });
+    }
+
+    req.contractor = contractor;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Hide the reporter of an anonymous report from everyone except the reporter
+ * and, when privileged is set, the report's moderators. Reporters of anonymous
+ * reports merged into this one (hiddenReporterIds) are hidden the same way,
+ * in the report, its comments and its history.
+ * @param {object} report - Report with reporterId, isAnonymous and hiddenReporterIds
+ * @param {object} user - Viewer (req.user, may be unset)
+ * @param {boolean} privileged - True for the report's moderators
+ * @returns {object} Report without hiddenReporterIds
+ */
+export const redactAnonymousReporter = (report, user, privileged = false) => {
+  if (privileged) return report;
+
+  const hiddenIds = new Set((report.hiddenReporterIds || []).filter(id => id !== user?.id));
+  const hideReporter = report.isAnonymous && report.reporterId !== user?.id;
+  if (hideReporter) hiddenIds.add(report.reporterId);
+
+  const { hiddenReporterIds, ...redacted } = report;
+  if (redacted.mergedReporterIds) {
+    redacted.mergedReporterIds = redacted.mergedReporterIds.filter(id => !hiddenIds.has(id));
+  }
+  if (hiddenIds.size === 0) return redacted;
+
+  if (hideReporter) {
+    redacted.reporterId = null;
+    redacted.reporter = null;
+  }
+  if (report.comments) {
+    redacted.comments = report.comments.map(comment => hiddenIds.has(comment.authorId)
+      ? { ...comment, authorId: null, author: null }
+      : comment);
+  }
+  if (report.history) {
+    redacted.history = report.history.map(entry => hiddenIds.has(entry.actorId)
+      ? { ...entry, actorId: null, actorName: "Anonymous citizen" }
+      : entry);
+  }
+  return redacted;
+};
+
+export default {
+  isWardScopeExempt,
+  getUserWardIds,
+  resolveWardScope,
+  scopeIncludesWard,
+  buildWardFilter,
+  loadWardScope,
+  requireWardAccess,
+  requireReportWardAccess,
+  requireAssignmentWardAccess,
+  canModerateReport,
+  canViewPrivateNotes,
+  redactAnonymousReporter,
+  requireVerifiedContractor
+};
@@ -0,0 +1,92 @@
+// Contractor ratings for JanMarg Backend
+//
+// Each verified job can be rated once by its reporter on quality and
+// timeliness (1-5). Contractor.avgRating is a trimmed mean of the per-job
+// scores: once there are enough ratings, the highest and lowest
+// RATING_TRIM_PCT percent are dropped so a few extreme ratings cannot swing it.
+import { PrismaClient } from "../generated/prisma/index.js";
+import { rescoreReportBids } from "./scoring.js";
+
+const prisma = new PrismaClient();
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+
+// Report statuses in which the reporter may rate the contractor
+export const RATEABLE_REPORT_STATUSES = ["VERIFIED", "CLOSED"];
+
+export const getRatingTrimConfig = () => ({
+  trimPct: parseFloat(process.env.RATING_TRIM_PCT || "10"),
+  minCount: parseInt(process.env.RATING_TRIM_MIN_COUNT || "5")
+});
+
+/**
+ * Check that a rating value is a whole number in range
+ * @param {any} value - Value from the request body
+ * @returns {boolean}
+ */
+export const isValidRating = (value) => {
+  return Number.isInteger(value) && value >= MIN_RATING && value <= MAX_RATING;
+};
+
+/**
+ * Mean of the scores after dropping the top and bottom trimPct percent
+ * (at least one from each end) once there are minCount or more scores
+ * @param {number[]} scores - Per-job scores
+ * @returns {number} Trimmed mean rounded to 2 decimals, 0 when there are no scores
+ */
+export const trimmedMean = (scores) => {
+  if (scores.length === 0) return 0;
+
+  const { trimPct, minCount } = getRatingTrimConfig();
+  const sorted = [...scores].sort((a, b) => a - b);
+
+  let kept = sorted;
+  if (sorted.length >= minCount && trimPct > 0) {
+    const trim = Math.max(1, Math.floor(sorted.length * trimPct / 100));
+    kept = sorted.slice(trim, sorted.length - trim);
+  }
+
+  const mean = kept.reduce((sum, score) => sum + score, 0) / kept.length;
+  return Math.round(mean * 100) / 100;
+};
+
+/**
+ * Recompute a contractor's avgRating and ratingCount, then rescore the
+ * contractor's open bids so the new rating counts immediately
+ * @param {string} contractorId - Contractor ID
+ * @returns {Promise<object>} { avgRating, ratingCount }
+ */
+export const recomputeAvgRating = async (contractorId) => {
+  const ratings = await prisma.contractorRating.findMany({
+    where: { contractorId },
+    select: { score: true }
+  });
+
+  const avgRating = trimmedMean(ratings.map(rating => rating.score));
+
+  await prisma.contractor.update({
+    where: { id: contractorId },
+    data: { avgRating, ratingCount: ratings.length }
+  });
+
+  const openBids = await prisma.bid.findMany({
+    where: { contractorId, status: "PENDING", report: { status: "IN_BIDDING" } },
+    select: { reportId: true }
+  });
+  for (const reportId of new Set(openBids.map(bid => bid.reportId))) {
+    await rescoreReportBids(reportId);
+  }
+
+  return { avgRating, ratingCount: ratings.length };
+};
+
+export default {
+  MIN_RATING,
+  MAX_RATING,
+  RATEABLE_REPORT_STATUSES,
+  getRatingTrimConfig,
+  isValidRating,
+  trimmedMean,
+  recomputeAvgRating
+};
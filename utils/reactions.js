@@ -0,0 +1,149 @@
+// Report reactions for JanMarg Backend
+//
+// Each reaction row and its Report counter change in the same transaction,
+// and the unique (reportId, userId, type) index stops double inserts, so
+// counters stay in step with the rows even when a user clicks twice at once.
+// Upvote and downvote are mutually exclusive; THANKS is independent.
+import { PrismaClient } from "../generated/prisma/index.js";
+
+const prisma = new PrismaClient();
+
+// Reaction type -> Report counter field
+export const REACTION_COUNTERS = {
+  UPVOTE: "upvotes",
+  DOWNVOTE: "downvotes",
+  THANKS: "thanks"
+};
+
+export const REACTION_TYPES = Object.keys(REACTION_COUNTERS);
+
+// Contractors can be thanked once their work on the report is done
+export const THANKABLE_REPORT_STATUSES = ["COMPLETED", "VERIFIED", "CLOSED"];
+
+const OPPOSITE_REACTIONS = {
+  UPVOTE: "DOWNVOTE",
+  DOWNVOTE: "UPVOTE"
+};
+
+// Transaction write conflicts and lost unique-insert races are retried
+const RETRYABLE_CODES = ["P2034", "P2002"];
+const MAX_ATTEMPTS = 3;
+
+const counterSelect = { upvotes: true, downvotes: true, thanks: true };
+
+/**
+ * Add, remove or toggle a user's reaction on a report
+ * @param {object} options - {
+ *   reportId, userId, type,
+ *   active?: true to add, false to remove, omitted to toggle,
+ *   contractorId?: contractor being thanked (THANKS)
+ * }
+ * @returns {Promise<object>} { active, changed, counts }
+ */
+export const setReaction = async ({ reportId, userId, type, active, contractorId = null }) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const existing = await tx.reportReaction.findUnique({
+          where: { reportId_userId_type: { reportId, userId, type } }
+        });
+
+        const wantActive = active === undefined ? !existing : active;
+        const delta = { upvotes: 0, downvotes: 0, thanks: 0 };
+
+        if (wantActive && !existing) {
+          await tx.reportReaction.create({
+            data: { reportId, userId, type, contractorId }
+          });
+          delta[REACTION_COUNTERS[type]] += 1;
+
+          const opposite = OPPOSITE_REACTIONS[type];
+          if (opposite) {
+            const removed = await tx.reportReaction.deleteMany({
+              where: { reportId, userId, type: opposite }
+            });
+            delta[REACTION_COUNTERS[opposite]] -= removed.count;
+          }
+        } else if (!wantActive && existing) {
+          const removed = await tx.reportReaction.deleteMany({
+            where: { id: existing.id }
+          });
+          delta[REACTION_COUNTERS[type]] -= removed.count;
+        }
+
+        const changed = Object.values(delta).some(value => value !== 0);
+        const counts = changed
+          ? await tx.report.update({
+              where: { id: reportId },
+              data: {
+                upvotes: { increment: delta.upvotes },
+                downvotes: { increment: delta.downvotes },
+                thanks: { increment: delta.thanks }
+              },
+              select: counterSelect
+            })
+          : await tx.report.findUnique({ where: { id: reportId }, select: counterSelect });
+
+        return { active: wantActive, changed, counts };
+      });
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS || !RETRYABLE_CODES.includes(error.code)) throw error;
+    }
+  }
+};
+
+/**
+ * Reset a report's counters from its reaction rows, after rows were moved in bulk
+ * @param {string} reportId - Report to recount
+ * @param {object} client - Prisma client or transaction (default: module client)
+ * @returns {Promise<object>} { upvotes, downvotes, thanks }
+ */
+export const recountReactionCounters = async (reportId, client = prisma) => {
+  const groups = await client.reportReaction.groupBy({
+    by: ["type"],
+    where: { reportId },
+    _count: { _all: true }
+  });
+
+  const counts = { upvotes: 0, downvotes: 0, thanks: 0 };
+  for (const group of groups) {
+    const field = REACTION_COUNTERS[group.type];
+    if (field) counts[field] = group._count._all;
+  }
+
+  return client.report.update({
+    where: { id: reportId },
+    data: counts,
+    select: counterSelect
+  });
+};
+
+/**
+ * Get a user's reactions on a set of reports
+ * @param {string} userId - Viewer's user ID (may be undefined for anonymous viewers)
+ * @param {array} reportIds - Report IDs
+ * @returns {Promise<Map>} reportId -> array of reaction types
+ */
+export const getViewerReactions = async (userId, reportIds) => {
+  const byReport = new Map(reportIds.map(id => [id, []]));
+  if (!userId || reportIds.length === 0) return byReport;
+
+  const reactions = await prisma.reportReaction.findMany({
+    where: { userId, reportId: { in: reportIds } },
+    select: { reportId: true, type: true }
+  });
+
+  for (const reaction of reactions) {
+    byReport.get(reaction.reportId)?.push(reaction.type);
+  }
+  return byReport;
+};
+
+export default {
+  REACTION_COUNTERS,
+  REACTION_TYPES,
+  THANKABLE_REPORT_STATUSES,
+  setReaction,
+  recountReactionCounters,
+  getViewerReactions
+};
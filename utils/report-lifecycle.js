@@ -0,0 +1,301 @@
+// Report lifecycle state machine for JanMarg Backend
+//
+// TRANSITIONS is the single source of truth for how a report's status may
+// change. Each edge lists:
+//   roles         - who may make the move ("SYSTEM" is the scheduler and
+//                   automated workflow steps; SUPERADMIN may do what ADMIN may)
+//   justification - whether a justification (min 10 characters) is required;
+//                   SYSTEM moves describe themselves in the report history
+//   preconditions - named checks that must pass (see PRECONDITIONS)
+//   via           - set when the move belongs to a dedicated workflow endpoint;
+//                   the generic status endpoint refuses these and points there
+// Every route that changes Report.status checks the move with checkTransition.
+import { PrismaClient } from "../generated/prisma/index.js";
+
+const prisma = new PrismaClient();
+
+export const REPORT_STATUSES = [
+  "OPEN", "DUPLICATE", "MERGED", "VALIDATED", "IN_BIDDING",
+  "ASSIGNED", "IN_PROGRESS", "PENDING_CITIZEN_REVIEW",
+  "COMPLETED", "VERIFIED", "CLOSED", "REJECTED", "AUTO_CLOSED"
+];
+
+export const MIN_JUSTIFICATION_LENGTH = 10;
+
+// Ward moderators and admins; reopening a finished report is for admins only
+const STAFF = ["MODERATOR", "ADMIN"];
+const ADMINS = ["ADMIN"];
+
+const edge = (roles, options = {}) => ({
+  roles,
+  justification: options.justification ?? roles.some(role => STAFF.includes(role)),
+  preconditions: options.preconditions || [],
+  via: options.via || null
+});
+
+const VIA = {
+  bidding: "POST /api/admin/reports/:id/bidding",
+  award: "POST /api/admin/reports/:id/bid/assign or PATCH /api/admin/reports/:id/assign",
+  duplicate: "POST /api/reports/:id/duplicate, POST /api/admin/reports/:id/moderate (MARK_DUPLICATE) or PATCH /api/admin/duplicates/:id",
+  proof: "POST /api/assignments/:id/proofs",
+  citizenReview: "POST /api/reports/:id/proofs/:proofId/confirm or /dispute",
+  proofReview: "PATCH /api/admin/proofs/:id/approve",
+  merge: "POST /api/admin/reports/:id/merge",
+  unmerge: "POST /api/admin/reports/:id/unmerge",
+  reopen: "POST /api/reports/:id/reopen"
+};
+
+// The original report is the reason for a DUPLICATE move, so none is required
+export const TRANSITIONS = {
+  OPEN: {
+    VALIDATED: edge(STAFF),
+    REJECTED: edge(STAFF),
+    DUPLICATE: edge(STAFF, { via: VIA.duplicate, justification: false }),
+    MERGED: edge(STAFF, { via: VIA.merge }),
+    AUTO_CLOSED: edge(["SYSTEM"])
+  },
+  VALIDATED: {
+    IN_BIDDING: edge(STAFF, { via: VIA.bidding, justification: false }),
+    ASSIGNED: edge([...STAFF, "SYSTEM"], { via: VIA.award }),
+    OPEN: edge(STAFF),
+    REJECTED: edge(STAFF),
+    DUPLICATE: edge(STAFF, { via: VIA.duplicate, justification: false }),
+    MERGED: edge(STAFF, { via: VIA.merge }),
+    AUTO_CLOSED: edge(["SYSTEM"])
+  },
+  IN_BIDDING: {
+    ASSIGNED: edge([...STAFF, "SYSTEM"], { via: VIA.award }),
+    VALIDATED: edge([...STAFF, "SYSTEM"], { preconditions: ["noOpenBiddingWindow"] })
+  },
+  ASSIGNED: {
+    IN_PROGRESS: edge(["CONTRACTOR", ...STAFF], { preconditions: ["hasActiveAssignment"] }),
+    PENDING_CITIZEN_REVIEW: edge(["CONTRACTOR"], { via: VIA.proof, preconditions: ["hasCompletionProof"] }),
+    VALIDATED: edge([...STAFF, "SYSTEM"], { preconditions: ["noActiveAssignment"] })
+  },
+  IN_PROGRESS: {
+    PENDING_CITIZEN_REVIEW: edge(["CONTRACTOR"], { via: VIA.proof, preconditions: ["hasCompletionProof"] }),
+    VALIDATED: edge([...STAFF, "SYSTEM"], { preconditions: ["noActiveAssignment"] })
+  },
+  PENDING_CITIZEN_REVIEW: {
+    VERIFIED: edge(["CITIZEN", "SYSTEM"], { via: VIA.citizenReview }),
+    CLOSED: edge(["CITIZEN"], { via: VIA.citizenReview, preconditions: ["hasApprovedProof"] }),
+    IN_PROGRESS: edge(["CITIZEN", ...STAFF], { via: `${VIA.citizenReview} or ${VIA.proofReview}` }),
+    COMPLETED: edge(STAFF, { preconditions: ["hasApprovedProof"] }),
+    AUTO_CLOSED: edge(["SYSTEM"], { preconditions: ["hasCompletionProof"] })
+  },
+  COMPLETED: {
+    VERIFIED: edge(["CITIZEN"], { via: VIA.citizenReview }),
+    CLOSED: edge(STAFF, { preconditions: ["hasApprovedProof"] }),
+    IN_PROGRESS: edge(STAFF)
+  },
+  VERIFIED: {
+    CLOSED: edge(STAFF, { preconditions: ["hasApprovedProof"] }),
+    IN_PROGRESS: edge(STAFF, { via: VIA.proofReview }),
+    // Reporter taking back an automatic verification within the grace period
+    PENDING_CITIZEN_REVIEW: edge(["CITIZEN"], { via: VIA.reopen })
+  },
+  // CLOSED -> OPEN and REJECTED -> OPEN are also the moves made when an appeal is upheld (utils/appeals.js)
+  CLOSED: {
+    OPEN: edge(ADMINS)
+  },
+  AUTO_CLOSED: {
+    OPEN: edge(["CITIZEN", ...STAFF])
+  },
+  REJECTED: {
+    OPEN: edge(ADMINS)
+  },
+  DUPLICATE: {
+    OPEN: edge(STAFF),
+    MERGED: edge(STAFF, { via: VIA.merge })
+  },
+  // Unmerge restores whichever status the report had before the merge
+  MERGED: {
+    OPEN: edge(STAFF, { via: VIA.unmerge }),
+    VALIDATED: edge(STAFF, { via: VIA.unmerge }),
+    DUPLICATE: edge(STAFF, { via: VIA.unmerge })
+  }
+};
+
+/**
+ * Named precondition checks: (report, client) => Promise<string|null>,
+ * returning why the move is not possible, or null when it is. client is the
+ * Prisma client or the transaction the move is made in.
+ */
+const PRECONDITIONS = {
+  hasActiveAssignment: async (report, client) => {
+    const assignment = await client.assignment.findFirst({
+      where: { reportId: report.id, status: { in: ["ASSIGNED", "IN_PROGRESS"] } },
+      select: { id: true }
+    });
+    return assignment ? null : "the report has no active contractor assignment";
+  },
+
+  noActiveAssignment: async (report, client) => {
+    const assignment = await client.assignment.findFirst({
+      where: { reportId: report.id, status: { in: ["ASSIGNED", "IN_PROGRESS"] } },
+      select: { id: true }
+    });
+    return assignment ? "the report still has an active contractor assignment; cancel it first" : null;
+  },
+
+  hasCompletionProof: async (report, client) => {
+    const proof = await client.completionProof.findFirst({
+      where: { reportId: report.id, progressPct: 100, approvalStatus: { not: "REJECTED" } },
+      select: { id: true }
+    });
+    return proof ? null : "no 100% completion proof has been submitted";
+  },
+
+  hasApprovedProof: async (report, client) => {
+    const proof = await client.completionProof.findFirst({
+      where: { reportId: report.id, progressPct: 100, approvalStatus: { in: ["OFFICER_APPROVED", "CITIZEN_CONFIRMED"] } },
+      select: { id: true }
+    });
+    return proof ? null : "no completion proof has been approved by an officer or confirmed by the citizen";
+  },
+
+  noOpenBiddingWindow: async (report, client) => {
+    const window = await client.biddingWindow.findFirst({
+      where: { reportId: report.id, status: "OPEN" },
+      select: { id: true }
+    });
+    return window ? "a bidding window is still open; it must close or be cancelled first" : null;
+  }
+};
+
+/**
+ * Normalise a role for the transition table (SUPERADMIN acts as ADMIN)
+ */
+const tableRole = (role) => role === "SUPERADMIN" ? "ADMIN" : role;
+
+/**
+ * Get the statuses a report may move to from a status
+ * @param {string} from - Current status
+ * @param {object} options - { role?: only moves this role may make, manual?: exclude workflow-only moves }
+ * @returns {array} [{ status, roles, justification, preconditions, via }]
+ */
+export const getAllowedTransitions = (from, { role, manual = false } = {}) => {
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, rule]) => !role || rule.roles.includes(tableRole(role)))
+    .filter(([, rule]) => !manual || !rule.via)
+    .map(([status, rule]) => ({ status, ...rule }));
+};
+
+/**
+ * Get the statuses from which a report may move to a status
+ * @param {string} to - Target status
+ * @returns {array} Source statuses
+ */
+export const getSourceStatuses = (to) => {
+  return Object.keys(TRANSITIONS).filter(from => TRANSITIONS[from][to]);
+};
+
+/**
+ * Check whether a report may move to a new status
+ * @param {object} report - Report with id and status
+ * @param {string} to - Target status
+ * @param {object} options - {
+ *   role: actor role ("SYSTEM" for automated steps),
+ *   justification?: string,
+ *   manual?: true from the generic status endpoint (workflow-only moves are refused),
+ *   client?: transaction to run the preconditions in (defaults to the Prisma client)
+ * }
+ * @returns {Promise<object>} { ok, status?, message?, allowedTransitions? }
+ *   status is 400 for bad input, 403 when the role may not make the move and
+ *   409 when the report's state does not allow it
+ */
+export const checkTransition = async (report, to, { role, justification = null, manual = false, client = prisma }) => {
+  const allowedTransitions = getAllowedTransitions(report.status, { role, manual }).map(rule => rule.status);
+  const rule = TRANSITIONS[report.status]?.[to];
+
+  if (!REPORT_STATUSES.includes(to)) {
+    return { ok: false, status: 400, message: `Unknown status ${to}`, allowedTransitions };
+  }
+
+  if (!rule) {
+    return {
+      ok: false,
+      status: 409,
+      message: `A report cannot move from ${report.status} to ${to}`,
+      allowedTransitions
+    };
+  }
+
+  if (!rule.roles.includes(tableRole(role))) {
+    return {
+      ok: false,
+      status: 403,
+      message: `${role} cannot move a report from ${report.status} to ${to} (allowed: ${rule.roles.join(", ")})`,
+      allowedTransitions
+    };
+  }
+
+  if (manual && rule.via) {
+    return {
+      ok: false,
+      status: 409,
+      message: `Moving from ${report.status} to ${to} must go through ${rule.via}`,
+      allowedTransitions
+    };
+  }
+
+  if (rule.justification && role !== "SYSTEM" && (!justification || justification.trim().length < MIN_JUSTIFICATION_LENGTH)) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Justification is required to move from ${report.status} to ${to} (min ${MIN_JUSTIFICATION_LENGTH} characters)`,
+      allowedTransitions
+    };
+  }
+
+  for (const name of rule.preconditions) {
+    const failure = await PRECONDITIONS[name](report, client);
+    if (failure) {
+      return {
+        ok: false,
+        status: 409,
+        message: `Cannot move from ${report.status} to ${to}: ${failure}`,
+        allowedTransitions
+      };
+    }
+  }
+
+  return { ok: true };
+};
+
+/**
+ * Send the response for a failed checkTransition
+ * @param {object} res - Express response
+ * @param {object} report - Report with status
+ * @param {object} check - Result of checkTransition
+ */
+export const sendTransitionError = (res, report, check) => {
+  return res.status(check.status).json({
+    success: false,
+    message: check.message,
+    currentStatus: report.status,
+    allowedTransitions: check.allowedTransitions
+  });
+};
+
+/**
+ * The full transition graph, for clients that draw or validate the lifecycle
+ * @returns {object} { statuses, transitions: [{ from, to, roles, justification, preconditions, via }] }
+ */
+export const getLifecycleGraph = () => ({
+  statuses: REPORT_STATUSES,
+  transitions: Object.entries(TRANSITIONS).flatMap(([from, edges]) =>
+    Object.entries(edges).map(([to, rule]) => ({ from, to, ...rule }))
+  )
+});
+
+export default {
+  REPORT_STATUSES,
+  MIN_JUSTIFICATION_LENGTH,
+  TRANSITIONS,
+  getAllowedTransitions,
+  getSourceStatuses,
+  checkTransition,
+  sendTransitionError,
+  getLifecycleGraph
+};
@@ -0,0 +1,122 @@
+// Background job scheduler for JanMarg Backend
+//
+// Jobs run on a fixed interval inside the API process. A job never overlaps
+// with itself: if a run is still going when the next tick fires, that tick is skipped.
+import logger from "../config/logger.js";
+import { PrismaClient } from "../generated/prisma/index.js";
+import { closeBiddingWindow } from "./bidding.js";
+import { applyOverduePenalties } from "./penalties.js";
+import { applyAutoClosePolicies } from "./auto-close.js";
+import { escalateOverdueAppeals } from "./appeals.js";
+
+const prisma = new PrismaClient();
+
+const jobs = new Map();
+
+/**
+ * Register a recurring job
+ * @param {string} name - Unique job name
+ * @param {number} intervalSeconds - Time between runs
+ * @param {function} run - Async function; its return value is logged
+ */
+export const registerJob = (name, intervalSeconds, run) => {
+  jobs.set(name, { name, intervalSeconds, run, timer: null, running: false });
+};
+
+/**
+ * Run a registered job once, unless it is already running
+ * @param {string} name - Job name
+ * @returns {Promise<any>} The job's result, or undefined if skipped
+ */
+export const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job || job.running) return undefined;
+
+  job.running = true;
+  try {
+    const result = await job.run();
+    logger.info(`Scheduled job completed: ${name}`, { job: name, result });
+    return result;
+  } catch (error) {
+    logger.error(`Scheduled job failed: ${name}`, { job: name, error: error.message, stack: error.stack });
+    return undefined;
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Close every bidding window whose deadline has passed
+ * @returns {Promise<object>} Count of windows per outcome
+ */
+export const closeExpiredBiddingWindows = async () => {
+  const windows = await prisma.biddingWindow.findMany({
+    where: { status: "OPEN", closesAt: { lte: new Date() } },
+    orderBy: { closesAt: 'asc' }
+  });
+
+  const summary = { AWARDED: 0, ESCALATED: 0, SKIPPED: 0 };
+  for (const window of windows) {
+    const { outcome } = await closeBiddingWindow(window);
+    summary[outcome] += 1;
+  }
+  return summary;
+};
+
+/**
+ * Register the built-in jobs and start their timers.
+ * Disabled when SCHEDULER_ENABLED=false (e.g. on serverless deployments).
+ */
+export const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === "false") {
+    logger.info("Scheduler disabled by SCHEDULER_ENABLED=false");
+    return;
+  }
+
+  registerJob(
+    "close-bidding-windows",
+    parseInt(process.env.BIDDING_CHECK_INTERVAL_SECONDS || "60"),
+    closeExpiredBiddingWindows
+  );
+  registerJob(
+    "apply-overdue-penalties",
+    parseInt(process.env.PENALTY_CHECK_INTERVAL_SECONDS || "3600"),
+    applyOverduePenalties
+  );
+  registerJob(
+    "apply-auto-close-policies",
+    parseInt(process.env.AUTO_CLOSE_CHECK_INTERVAL_SECONDS || "3600"),
+    applyAutoClosePolicies
+  );
+  registerJob(
+    "escalate-overdue-appeals",
+    parseInt(process.env.APPEAL_CHECK_INTERVAL_SECONDS || "3600"),
+    escalateOverdueAppeals
+  );
+
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+    job.timer = setInterval(() => runJob(job.name), job.intervalSeconds * 1000);
+    job.timer.unref(); // do not keep the process alive just for jobs
+  }
+
+  logger.info("Scheduler started", { jobs: [...jobs.keys()] });
+};
+
+/**
+ * Stop all job timers
+ */
+export const stopScheduler = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+};
+
+export default {
+  registerJob,
+  runJob,
+  closeExpiredBiddingWindows,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,113 @@
+// Public contractor scorecard for JanMarg Backend
+//
+// Everything here is derived from assignments, proofs and ratings so the
+// numbers can be audited against the individual jobs they come from.
+import { PrismaClient } from "../generated/prisma/index.js";
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RECENT_JOBS_LIMIT = 10;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Build the public performance scorecard for a contractor
+ * @param {object} contractor - Contractor row
+ * @returns {Promise<object>} Scorecard
+ */
+export const buildContractorScorecard = async (contractor) => {
+  const now = new Date();
+
+  const [assignments, disputes, ratingAverages] = await Promise.all([
+    prisma.assignment.findMany({
+      where: { contractorId: contractor.id },
+      include: {
+        report: {
+          select: { id: true, title: true, status: true, wardId: true, ward: { select: { name: true } } }
+        }
+      },
+      orderBy: { assignedAt: 'desc' }
+    }),
+    prisma.completionProofApproval.count({
+      where: {
+        isApproved: false,
+        approverRole: "CITIZEN",
+        completionProof: { assignment: { contractorId: contractor.id } }
+      }
+    }),
+    prisma.contractorRating.aggregate({
+      where: { contractorId: contractor.id },
+      _avg: { quality: true, timeliness: true }
+    })
+  ]);
+
+  const completed = assignments.filter(assignment => assignment.status === "COMPLETED");
+  const cancelled = assignments.filter(assignment => assignment.status === "CANCELLED");
+  const finished = completed.length + cancelled.length;
+
+  // Days late per completed job with a deadline (0 when on time)
+  const daysOver = completed
+    .filter(assignment => assignment.deadlineAt && assignment.completedAt)
+    .map(assignment => Math.max(0, (assignment.completedAt.getTime() - assignment.deadlineAt.getTime()) / DAY_MS));
+
+  const penalized = assignments.filter(assignment => assignment.penaltyAmount > 0);
+
+  return {
+    contractor: {
+      id: contractor.id,
+      businessName: contractor.businessName,
+      isVerified: contractor.isVerified,
+      isBlocked: contractor.isBlocked,
+      specializationIds: contractor.specializationIds,
+      serviceWardIds: contractor.serviceWardIds,
+      memberSince: contractor.createdAt
+    },
+    jobs: {
+      won: assignments.length,
+      active: assignments.length - finished,
+      completed: completed.length,
+      cancelled: cancelled.length,
+      overdue: assignments.filter(assignment =>
+        !["COMPLETED", "CANCELLED"].includes(assignment.status) && assignment.deadlineAt && assignment.deadlineAt < now
+      ).length
+    },
+    completionRate: finished === 0 ? null : round(completed.length / finished, 3),
+    onTimeRate: contractor.onTimeRate,
+    avgDaysOverDeadline: daysOver.length === 0 ? null : round(daysOver.reduce((sum, days) => sum + days, 0) / daysOver.length),
+    lateCompletions: daysOver.filter(days => days > 0).length,
+    strikes: contractor.strikes,
+    penalties: {
+      totalAmount: round(penalized.reduce((sum, assignment) => sum + assignment.penaltyAmount, 0)),
+      jobsPenalized: penalized.length
+    },
+    disputes,
+    ratings: {
+      avgRating: contractor.avgRating,
+      ratingCount: contractor.ratingCount,
+      avgQuality: ratingAverages._avg.quality,
+      avgTimeliness: ratingAverages._avg.timeliness
+    },
+    recentJobs: assignments.slice(0, RECENT_JOBS_LIMIT).map(assignment => ({
+      assignmentId: assignment.id,
+      report: {
+        id: assignment.report.id,
+        title: assignment.report.title,
+        status: assignment.report.status,
+        wardId: assignment.report.wardId,
+        wardName: assignment.report.ward?.name
+      },
+      status: assignment.status,
+      agreedAmount: assignment.agreedAmount,
+      assignedAt: assignment.assignedAt,
+      deadlineAt: assignment.deadlineAt,
+      completedAt: assignment.completedAt,
+      penaltyAmount: assignment.penaltyAmount
+    }))
+  };
+};
+
+export default {
+  buildContractorScorecard
+};
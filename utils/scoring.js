@@ -0,0 +1,181 @@
+// Bid scoring for JanMarg Backend
+//
+// Every bid gets a 0-100 score built from four components, each normalized to 0-1:
+//   price    - lowest active bid amount / this bid's amount
+//   rating   - contractor avgRating / 5 (0.5 while the contractor has no ratings)
+//   onTime   - contractor onTimeRate
+//   strikes  - 1 - strikes / STRIKE_LIMIT (0 once the limit is reached)
+// The weighted sum is then scaled by a small, capped officer adjustment.
+// The full calculation is stored on Bid.scoreBreakdown so it can be published.
+import { PrismaClient } from "../generated/prisma/index.js";
+
+const prisma = new PrismaClient();
+
+export const SCORE_COMPONENTS = ["price", "rating", "onTime", "strikes"];
+
+export const DEFAULT_WEIGHTS = {
+  price: 0.5,
+  rating: 0.2,
+  onTime: 0.2,
+  strikes: 0.1
+};
+
+const STRIKE_LIMIT = 5;
+const NEUTRAL_RATING = 0.5;
+
+// Bids that still compete for the work
+const SCORED_BID_STATUSES = ["PENDING", "SELECTED"];
+
+export const getMaxOfficerAdjPct = () => parseFloat(process.env.BID_OFFICER_ADJ_MAX_PCT || "5");
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Validate custom scoring weights (e.g. for an issue type)
+ * @param {object} weights - Partial map of component -> non-negative number
+ * @returns {object} { valid, message? }
+ */
+export const validateWeights = (weights) => {
+  if (!weights || typeof weights !== "object" || Array.isArray(weights)) {
+    return { valid: false, message: "Weights must be an object" };
+  }
+
+  for (const [key, value] of Object.entries(weights)) {
+    if (!SCORE_COMPONENTS.includes(key)) {
+      return { valid: false, message: `Unknown weight "${key}". Allowed: ${SCORE_COMPONENTS.join(", ")}` };
+    }
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      return { valid: false, message: `Weight "${key}" must be a non-negative number` };
+    }
+  }
+
+  const merged = { ...DEFAULT_WEIGHTS, ...weights };
+  if (SCORE_COMPONENTS.every(key => merged[key] === 0)) {
+    return { valid: false, message: "At least one weight must be greater than zero" };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Resolve the weights for an issue type, normalized to sum to 1
+ * @param {object|null} issueType - Issue type with optional scoringWeights
+ * @returns {object} Weight per component
+ */
+export const getScoringWeights = (issueType) => {
+  const custom = issueType?.scoringWeights;
+  const weights = custom && validateWeights(custom).valid
+    ? { ...DEFAULT_WEIGHTS, ...custom }
+    : { ...DEFAULT_WEIGHTS };
+
+  const total = SCORE_COMPONENTS.reduce((sum, key) => sum + weights[key], 0);
+  return Object.fromEntries(SCORE_COMPONENTS.map(key => [key, round(weights[key] / total)]));
+};
+
+/**
+ * Clamp an officer adjustment to the configured cap
+ * @param {number} pct - Requested adjustment in percent
+ * @returns {number} Adjustment within +/- BID_OFFICER_ADJ_MAX_PCT
+ */
+export const clampOfficerAdjustment = (pct) => {
+  const max = getMaxOfficerAdjPct();
+  return clamp(Number(pct) || 0, -max, max);
+};
+
+/**
+ * Score a single bid
+ * @param {object} bid - Bid with amount and officerAdjPct
+ * @param {object} contractor - Contractor with avgRating, onTimeRate, strikes
+ * @param {number} lowestAmount - Lowest amount among the report's active bids
+ * @param {object} weights - Normalized weights from getScoringWeights
+ * @returns {object} { score, breakdown }
+ */
+export const computeBidScore = (bid, contractor, lowestAmount, weights) => {
+  const values = {
+    price: bid.amount > 0 ? clamp(lowestAmount / bid.amount, 0, 1) : 0,
+    rating: contractor.avgRating > 0 ? clamp(contractor.avgRating / 5, 0, 1) : NEUTRAL_RATING,
+    onTime: clamp(contractor.onTimeRate ?? 1, 0, 1),
+    strikes: clamp(1 - (contractor.strikes || 0) / STRIKE_LIMIT, 0, 1)
+  };
+
+  const components = Object.fromEntries(SCORE_COMPONENTS.map(key => [key, {
+    value: round(values[key]),
+    weight: weights[key],
+    points: round(values[key] * weights[key] * 100, 2)
+  }]));
+
+  const baseScore = round(SCORE_COMPONENTS.reduce((sum, key) => sum + values[key] * weights[key], 0) * 100, 2);
+  const officerAdjPct = clampOfficerAdjustment(bid.officerAdjPct);
+  const score = round(clamp(baseScore * (1 + officerAdjPct / 100), 0, 100), 2);
+
+  return {
+    score,
+    breakdown: {
+      components,
+      baseScore,
+      officerAdjPct,
+      maxOfficerAdjPct: getMaxOfficerAdjPct(),
+      score,
+      inputs: {
+        amount: bid.amount,
+        lowestAmount,
+        avgRating: contractor.avgRating,
+        onTimeRate: contractor.onTimeRate,
+        strikes: contractor.strikes,
+        strikeLimit: STRIKE_LIMIT
+      },
+      computedAt: new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * Recompute and store scores for every active bid on a report.
+ * Call after any bid is placed, revised, withdrawn or adjusted, since the
+ * price component depends on the lowest bid.
+ * @param {string} reportId - Report ID
+ * @returns {Promise<array>} Scored bids, highest score first
+ */
+export const rescoreReportBids = async (reportId) => {
+  const report = await prisma.report.findUnique({
+    where: { id: reportId },
+    select: { issueType: { select: { scoringWeights: true } } }
+  });
+
+  if (!report) return [];
+
+  const bids = await prisma.bid.findMany({
+    where: { reportId, status: { in: SCORED_BID_STATUSES } },
+    include: {
+      contractor: { select: { avgRating: true, onTimeRate: true, strikes: true } }
+    }
+  });
+
+  if (bids.length === 0) return [];
+
+  const weights = getScoringWeights(report.issueType);
+  const lowestAmount = Math.min(...bids.map(bid => bid.amount));
+
+  const scored = await Promise.all(bids.map(bid => {
+    const { score, breakdown } = computeBidScore(bid, bid.contractor, lowestAmount, weights);
+    return prisma.bid.update({
+      where: { id: bid.id },
+      data: { score, scoreBreakdown: { ...breakdown, weights } }
+    });
+  }));
+
+  return scored.sort((a, b) => b.score - a.score);
+};
+
+export default {
+  SCORE_COMPONENTS,
+  DEFAULT_WEIGHTS,
+  getMaxOfficerAdjPct,
+  validateWeights,
+  getScoringWeights,
+  clampOfficerAdjustment,
+  computeBidScore,
+  rescoreReportBids
+};
@@ -0,0 +1,82 @@
+// SMS delivery for JanMarg Backend
+//
+// A provider is an object with a `name` and an async `send(phone, message)`.
+// Pick one with SMS_PROVIDER; real gateways are added with registerSmsProvider().
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import logger from "../config/logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Development stand-in: prints the message to the console
+ */
+const consoleProvider = {
+  name: "console",
+  send: async (phone, message) => {
+    console.log(`📱 SMS to ${phone}: ${message}`);
+    logger.info('SMS sent (console provider)', { phone });
+    return { delivered: true };
+  }
+};
+
+/**
+ * Development stand-in: appends messages to logs/sms-outbox.log
+ */
+const fileProvider = {
+  name: "file",
+  send: async (phone, message) => {
+    const outbox = process.env.SMS_OUTBOX_FILE || path.join(__dirname, '../logs/sms-outbox.log');
+    const line = JSON.stringify({ to: phone, message, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(outbox, `${line}\n`);
+    logger.info('SMS written to outbox file', { phone, outbox });
+    return { delivered: true };
+  }
+};
+
+const providers = new Map([
+  [consoleProvider.name, consoleProvider],
+  [fileProvider.name, fileProvider]
+]);
+
+/**
+ * Register an SMS provider (e.g. a gateway client)
+ * @param {object} provider - { name, send(phone, message) }
+ */
+export const registerSmsProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get the provider selected by SMS_PROVIDER (defaults to console)
+ * @returns {object} SMS provider
+ */
+export const getSmsProvider = () => {
+  const name = process.env.SMS_PROVIDER || "console";
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider "${name}". Registered: ${[...providers.keys()].join(', ')}`);
+  }
+
+  if (process.env.NODE_ENV === 'production' && ["console", "file"].includes(name)) {
+    logger.warn('Development SMS provider in use in production', { provider: name });
+  }
+
+  return provider;
+};
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} phone - Destination mobile number
+ * @param {string} message - Message body
+ */
+export const sendSms = (phone, message) => getSmsProvider().send(phone, message);
+
+export default {
+  registerSmsProvider,
+  getSmsProvider,
+  sendSms
+};
@@ -0,0 +1,96 @@
+// Object storage for uploaded media in JanMarg Backend
+//
+// Routes never touch the filesystem directly; they go through a storage
+// driver picked by STORAGE_DRIVER. A driver implements:
+//   put(key, buffer, { contentType }) -> Promise<{ key, size }>
+//   getStream(key)                   -> Promise<Readable | null> (null when missing)
+//   remove(key)                      -> Promise<void>
+// Only the "local" driver ships today; an S3-compatible driver can be added
+// with registerStorageDriver without changing any route.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const drivers = new Map();
+let activeDriver = null;
+
+/**
+ * Register a storage driver factory
+ * @param {string} name - Driver name used in STORAGE_DRIVER
+ * @param {function} factory - () => driver
+ */
+export const registerStorageDriver = (name, factory) => {
+  drivers.set(name, factory);
+};
+
+/**
+ * Resolve a key under the root directory, refusing keys that escape it
+ */
+const resolveLocalPath = (rootDir, key) => {
+  const filePath = path.resolve(rootDir, key);
+  if (!filePath.startsWith(rootDir + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+registerStorageDriver("local", () => {
+  const rootDir = path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads");
+
+  return {
+    name: "local",
+
+    put: async (key, buffer) => {
+      const filePath = resolveLocalPath(rootDir, key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, size: buffer.length };
+    },
+
+    getStream: async (key) => {
+      const filePath = resolveLocalPath(rootDir, key);
+      try {
+        await fs.promises.access(filePath, fs.constants.R_OK);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(resolveLocalPath(rootDir, key), { force: true });
+    }
+  };
+});
+
+/**
+ * Get the configured storage driver (created once per process)
+ * @returns {object} Storage driver
+ */
+export const getStorage = () => {
+  if (!activeDriver) {
+    const name = process.env.STORAGE_DRIVER || "local";
+    const factory = drivers.get(name);
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}". Registered drivers: ${[...drivers.keys()].join(", ")}`);
+    }
+    activeDriver = factory();
+  }
+  return activeDriver;
+};
+
+/**
+ * Build a unique object key, e.g. reports/<reportId>/<random>.jpg
+ * @param {string} prefix - Key prefix
+ * @param {string} extension - File extension without the dot
+ * @returns {string} Object key
+ */
+export const buildObjectKey = (prefix, extension) => {
+  return `${prefix}/${crypto.randomUUID()}.${extension}`;
+};
+
+export default {
+  registerStorageDriver,
+  getStorage,
+  buildObjectKey
+};
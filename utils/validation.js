@@ -0,0 +1,48 @@
+// Input validation helpers for JanMarg Backend
+
+/**
+ * Check email format
+ * @param {string} email - Email address
+ * @returns {boolean} True if the format is valid
+ */
+export const validateEmail = (email) => {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email);
+};
+
+/**
+ * Check Indian mobile number format (10 digits starting with 6-9)
+ * @param {string} phone - Phone number
+ * @returns {boolean} True if the format is valid
+ */
+export const validatePhone = (phone) => {
+  const phoneRegex = /^[6-9]\d{9}$/; // Indian mobile number format
+  return phoneRegex.test(phone);
+};
+
+/**
+ * Check PAN format (e.g. ABCDE1234F)
+ * @param {string} pan - Permanent Account Number
+ * @returns {boolean} True if the format is valid
+ */
+export const validatePan = (pan) => {
+  const panRegex = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+  return panRegex.test(pan);
+};
+
+/**
+ * Check GSTIN format (state code, PAN, entity number, "Z", checksum)
+ * @param {string} gst - GST identification number
+ * @returns {boolean} True if the format is valid
+ */
+export const validateGst = (gst) => {
+  const gstRegex = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+  return gstRegex.test(gst);
+};
+
+export default {
+  validateEmail,
+  validatePhone,
+  validatePan,
+  validateGst
+};